@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+import { createParticlesMaterial, updateParticlesMaterial, indexFractions } from './particles.js';
+import { tools } from './pointers.js';
+
+// simplex-like noise (simplified)
+function noise3d(x, y, z, frequency) {
+  return Math.sin(x * frequency) * Math.cos(y * frequency) * Math.sin(z * frequency + x * 0.01);
+}
+
+/**
+ * the original simulation: a JS loop over the position array, every frame.
+ * kept as the fallback when float render targets aren't available, and to
+ * compare against the GPU version (it tops out around 10-20k particles).
+ * same emitters and lifetimes, no trails (they need the GPU history).
+ */
+export function createCpuFlow({ count, spawns, random, ramp, renderer, params }) {
+  const positions = new Float32Array(count * 3);
+  const velocities = new Float32Array(count * 3);
+  const ages = new Float32Array(count * 2); // age in seconds, lifetime factor
+
+  // start at the spawn points, at a random point of their life
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = spawns[i * 4];
+    positions[i * 3 + 1] = spawns[i * 4 + 1];
+    positions[i * 3 + 2] = spawns[i * 4 + 2];
+    ages[i * 2] = random.next() * spawns[i * 4 + 3] * params.lifetime;
+    ages[i * 2 + 1] = spawns[i * 4 + 3];
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('aAge', new THREE.BufferAttribute(ages, 2));
+  geometry.setAttribute('aIndex', new THREE.BufferAttribute(indexFractions(count), 1));
+
+  const material = createParticlesMaterial({ ramp, params });
+
+  const points = new THREE.Points(geometry, material);
+  // particles travel away from the bounding sphere computed on the first frame
+  points.frustumCulled = false;
+
+  const object = new THREE.Group();
+  object.add(points);
+
+  // pointer tools, same math as the gpu velocity pass
+  function applyPointers(i3, x, y, z, step, pointers) {
+    const tool = tools.indexOf(params.tool);
+    const push = params.strength * 0.3 * step;
+    const { axis } = pointers;
+
+    for (const pointer of pointers.forces) {
+      if (!pointer.active) continue;
+
+      const dx = x - pointer.position.x;
+      const dy = y - pointer.position.y;
+      const dz = z - pointer.position.z;
+      const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (dist >= params.radius || dist === 0) continue;
+
+      const falloff = 1 - dist / params.radius;
+
+      if (tool === 3) {
+        // brush: drag the velocity toward the pointer's
+        const amount = Math.min(falloff * params.strength * 0.2 * step, 1);
+        velocities[i3] += (pointer.velocity.x - velocities[i3]) * amount;
+        velocities[i3 + 1] += (pointer.velocity.y - velocities[i3 + 1]) * amount;
+        velocities[i3 + 2] += (pointer.velocity.z - velocities[i3 + 2]) * amount;
+        continue;
+      }
+
+      let fx = dx / dist;
+      let fy = dy / dist;
+      let fz = dz / dist;
+      if (tool === 1) {
+        fx = -fx;
+        fy = -fy;
+        fz = -fz;
+      }
+      else if (tool === 2) {
+        // vortex: around the view axis
+        const cx = axis.y * fz - axis.z * fy;
+        const cy = axis.z * fx - axis.x * fz;
+        const cz = axis.x * fy - axis.y * fx;
+        fx = cx;
+        fy = cy;
+        fz = cz;
+      }
+
+      velocities[i3] += fx * falloff * push;
+      velocities[i3 + 1] += fy * falloff * push;
+      velocities[i3 + 2] += fz * falloff * push;
+    }
+  }
+
+  // step: frames at 60fps since the last update (1 at 60fps)
+  function update(time, step, pointers) {
+    const posArray = geometry.attributes.position.array;
+    const force = params.flowSpeed * 0.02 * step;
+    const damping = Math.pow(params.damping, step);
+    const pull = Math.pow(0.99, step);
+    const delta = step / 60;
+
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+
+      // lifetime over: back to the emitter, still
+      const life = ages[i * 2 + 1] * params.lifetime;
+      ages[i * 2] += delta;
+      if (params.lifecycle && ages[i * 2] > life) {
+        ages[i * 2] %= life;
+        posArray[i3] = spawns[i * 4];
+        posArray[i3 + 1] = spawns[i * 4 + 1];
+        posArray[i3 + 2] = spawns[i * 4 + 2];
+        velocities[i3] = velocities[i3 + 1] = velocities[i3 + 2] = 0;
+        continue;
+      }
+
+      const x = posArray[i3];
+      const y = posArray[i3 + 1];
+      const z = posArray[i3 + 2];
+
+      // flow field forces
+      velocities[i3] += noise3d(x + time * 10, y, z, params.noiseFrequency) * force;
+      velocities[i3 + 1] += noise3d(x, y + time * 10, z, params.noiseFrequency) * force;
+      velocities[i3 + 2] += noise3d(x, y, z + time * 10, params.noiseFrequency) * force;
+
+      applyPointers(i3, x, y, z, step, pointers);
+
+      // damping
+      velocities[i3] *= damping;
+      velocities[i3 + 1] *= damping;
+      velocities[i3 + 2] *= damping;
+
+      // apply velocity
+      posArray[i3] += velocities[i3] * step;
+      posArray[i3 + 1] += velocities[i3 + 1] * step;
+      posArray[i3 + 2] += velocities[i3 + 2] * step;
+
+      // boundary: pull back toward center
+      if (Math.sqrt(x * x + y * y + z * z) > params.boundaryRadius) {
+        posArray[i3] *= pull;
+        posArray[i3 + 1] *= pull;
+        posArray[i3 + 2] *= pull;
+      }
+    }
+
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.aAge.needsUpdate = true;
+    updateParticlesMaterial(material, renderer, params);
+  }
+
+  function dispose() {
+    geometry.dispose();
+    material.dispose();
+  }
+
+  return { object, count, update, dispose };
+}
@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import { MeshSurfaceSampler } from 'three/examples/jsm/math/MeshSurfaceSampler.js';
+
+export const shapes = ['sphere', 'disc', 'mesh', 'image'];
+
+/**
+ * spawn shapes: `sample(random, target, offset)` writes one xyz spawn point.
+ * every particle gets its own spawn point when the flow is built, and goes
+ * back to it when its lifetime is over.
+ */
+
+// random position in a sphere shell (radius 30 to 50), the original cloud
+function sphere() {
+  return {
+    sample(random, target, offset) {
+      const radius = 30 + random.next() * 20;
+      const theta = random.next() * Math.PI * 2;
+      const phi = Math.acos(2 * random.next() - 1);
+
+      target[offset] = radius * Math.sin(phi) * Math.cos(theta);
+      target[offset + 1] = radius * Math.sin(phi) * Math.sin(theta);
+      target[offset + 2] = radius * Math.cos(phi);
+    }
+  };
+}
+
+// flat disc facing the camera, uniform over its area
+function disc({ radius = 45 } = {}) {
+  return {
+    sample(random, target, offset) {
+      const r = Math.sqrt(random.next()) * radius;
+      const angle = random.next() * Math.PI * 2;
+
+      target[offset] = Math.cos(angle) * r;
+      target[offset + 1] = Math.sin(angle) * r;
+      target[offset + 2] = random.centered() * 2;
+    }
+  };
+}
+
+// surface of any mesh, area weighted (MeshSurfaceSampler)
+function meshSurface({ mesh }) {
+  const point = new THREE.Vector3();
+  let current = null;
+
+  // the sampler draws from its own random function: route it through the seeded stream
+  const sampler = new MeshSurfaceSampler(mesh).setRandomGenerator(() => current.next()).build();
+
+  return {
+    sample(random, target, offset) {
+      current = random;
+      sampler.sample(point);
+      point.toArray(target, offset);
+    }
+  };
+}
+
+// pixels of an image (alpha x luminance over the threshold), `width` units wide
+function imageMask({ image, width = 90, threshold = 0.5 }) {
+  const canvas = document.createElement('canvas');
+  const scale = Math.min(1, 512 / Math.max(image.width, image.height));
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+  const pixels = [];
+  for (let i = 0; i < canvas.width * canvas.height; i++) {
+    const luminance = (data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114) / 255;
+    if (luminance * (data[i * 4 + 3] / 255) > threshold) pixels.push(i);
+  }
+
+  const unit = width / canvas.width;
+
+  return {
+    sample(random, target, offset) {
+      // empty mask: everything at the center rather than NaN
+      if (pixels.length === 0) {
+        target[offset] = target[offset + 1] = target[offset + 2] = 0;
+        return;
+      }
+
+      const pixel = pixels[Math.floor(random.next() * pixels.length)];
+      const x = pixel % canvas.width + random.next();
+      const y = Math.floor(pixel / canvas.width) + random.next();
+
+      target[offset] = (x - canvas.width / 2) * unit;
+      target[offset + 1] = (canvas.height / 2 - y) * unit;
+      target[offset + 2] = random.centered() * 1.5;
+    }
+  };
+}
+
+// default mask: a word drawn on a canvas, until an image is loaded
+export function textImage(text = 'FLOW') {
+  const canvas = document.createElement('canvas');
+  canvas.width = 512;
+  canvas.height = 200;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.font = 'bold 170px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  return canvas;
+}
+
+export function createEmitter(shape, options = {}) {
+  if (shape === 'disc') return disc(options);
+  if (shape === 'mesh') return meshSurface(options);
+  if (shape === 'image') return imageMask(options);
+  return sphere(options);
+}
+
+/**
+ * spawn points for `count` particles, xyzw per particle: xyz spawn point,
+ * w lifetime factor (0.5 to 1.5, times the lifetime parameter)
+ */
+export function createSpawns(emitter, count, random) {
+  const spawns = new Float32Array(count * 4);
+
+  for (let i = 0; i < count; i++) {
+    emitter.sample(random, spawns, i * 4);
+    spawns[i * 4 + 3] = 0.5 + random.next();
+  }
+
+  return spawns;
+}
@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+import curlNoise from './curlNoise.js';
+import { createParticlesMaterial, updateParticlesMaterial, indexFractions } from './particles.js';
+import { createTrails } from './trails.js';
+import { MAX_POINTERS, tools } from './pointers.js';
+
+// velocity pass: curl noise force, pointer tools, damping
+const velocityShader = /* glsl */ `
+#define MAX_POINTERS ${MAX_POINTERS}
+
+uniform sampler2D uSpawns;
+uniform float uTime;
+uniform float uStep;
+uniform float uDelta;
+uniform float uLifetime;
+uniform float uLifecycle;
+uniform float uFrequency;
+uniform float uFlowSpeed;
+uniform float uDamping;
+
+uniform vec4 uPointers[MAX_POINTERS]; // xyz: local position, w: 1 when active
+uniform vec3 uPointerVelocities[MAX_POINTERS];
+uniform vec3 uPointerAxis;
+uniform int uTool; // 0 repel, 1 attract, 2 vortex, 3 brush
+uniform float uRadius;
+uniform float uStrength;
+
+${curlNoise}
+
+void main() {
+  vec2 uv = gl_FragCoord.xy / resolution.xy;
+  vec4 positionAge = texture2D(texturePosition, uv);
+  vec3 position = positionAge.xyz;
+  vec3 velocity = texture2D(textureVelocity, uv).xyz;
+
+  // respawning this frame (the position pass makes the same test): start still
+  float life = texture2D(uSpawns, uv).w * uLifetime;
+  if (uLifecycle > 0.5 && positionAge.w + uDelta > life) {
+    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    return;
+  }
+
+  // flow field force (curl noise is roughly -1..1 per axis, like the CPU noise)
+  vec3 flow = curlNoise(position * uFrequency + vec3(0.0, 0.0, uTime * 0.5));
+  velocity += flow * uFlowSpeed * 0.02 * uStep;
+
+  // pointer tools, same math as the CPU version
+  for (int i = 0; i < MAX_POINTERS; i++) {
+    vec4 pointer = uPointers[i];
+    if (pointer.w < 0.5) continue;
+
+    vec3 away = position - pointer.xyz;
+    float dist = length(away);
+    if (dist >= uRadius || dist == 0.0) continue;
+
+    float falloff = 1.0 - dist / uRadius;
+
+    if (uTool == 3) {
+      // brush: drag the velocity toward the pointer's
+      velocity = mix(velocity, uPointerVelocities[i], min(falloff * uStrength * 0.2 * uStep, 1.0));
+      continue;
+    }
+
+    vec3 direction = away / dist;
+    if (uTool == 1) direction = -direction;
+    else if (uTool == 2) direction = cross(uPointerAxis, direction);
+
+    velocity += direction * falloff * uStrength * 0.3 * uStep;
+  }
+
+  velocity *= pow(uDamping, uStep);
+
+  gl_FragColor = vec4(velocity, 1.0);
+}
+`;
+
+// position pass: age, respawn, integrate, pull back past the boundary (w = age in seconds)
+const positionShader = /* glsl */ `
+uniform sampler2D uSpawns;
+uniform float uStep;
+uniform float uDelta;
+uniform float uLifetime;
+uniform float uLifecycle;
+uniform float uBoundaryRadius;
+
+void main() {
+  vec2 uv = gl_FragCoord.xy / resolution.xy;
+  vec4 positionAge = texture2D(texturePosition, uv);
+  vec3 position = positionAge.xyz;
+  vec3 velocity = texture2D(textureVelocity, uv).xyz;
+  vec4 spawn = texture2D(uSpawns, uv);
+
+  float age = positionAge.w + uDelta;
+  float life = spawn.w * uLifetime;
+
+  if (uLifecycle > 0.5 && age > life) {
+    // back to the emitter; mod keeps ages staggered when lifecycle is turned on
+    gl_FragColor = vec4(spawn.xyz, mod(age, life));
+    return;
+  }
+
+  if (length(position) > uBoundaryRadius) position *= pow(0.99, uStep);
+  position += velocity * uStep;
+
+  gl_FragColor = vec4(position, age);
+}
+`;
+
+/**
+ * flow field on the GPU: position (+ age) and velocity live in float
+ * textures (one texel per particle), updated by two ping-pong passes every
+ * frame with GPUComputationRenderer. `size` is the texture side: size²
+ * particles. `spawns` (from createSpawns) is where each one is born again.
+ *
+ * throws when the device can't render to float textures: use the CPU version
+ */
+export function createGpuFlow(renderer, { size, spawns, random, ramp, params }) {
+  const count = size * size;
+  const gpuCompute = new GPUComputationRenderer(size, size, renderer);
+
+  // start at the spawn points, at a random point of their life
+  const positionTexture = gpuCompute.createTexture();
+  const velocityTexture = gpuCompute.createTexture(); // zeros
+  const positionData = positionTexture.image.data;
+  positionData.set(spawns);
+  for (let i = 0; i < count; i++) positionData[i * 4 + 3] = random.next() * spawns[i * 4 + 3] * params.lifetime;
+
+  const spawnTexture = gpuCompute.createTexture();
+  spawnTexture.image.data.set(spawns);
+
+  const velocityVariable = gpuCompute.addVariable('textureVelocity', velocityShader, velocityTexture);
+  const positionVariable = gpuCompute.addVariable('texturePosition', positionShader, positionTexture);
+  gpuCompute.setVariableDependencies(velocityVariable, [positionVariable, velocityVariable]);
+  gpuCompute.setVariableDependencies(positionVariable, [positionVariable, velocityVariable]);
+
+  const velocityUniforms = velocityVariable.material.uniforms;
+  velocityUniforms.uSpawns = { value: spawnTexture };
+  velocityUniforms.uTime = { value: 0 };
+  velocityUniforms.uStep = { value: 1 };
+  velocityUniforms.uDelta = { value: 1 / 60 };
+  velocityUniforms.uLifetime = { value: params.lifetime };
+  velocityUniforms.uLifecycle = { value: 1 };
+  velocityUniforms.uFrequency = { value: params.noiseFrequency };
+  velocityUniforms.uFlowSpeed = { value: params.flowSpeed };
+  velocityUniforms.uDamping = { value: params.damping };
+  velocityUniforms.uPointers = { value: Array.from({ length: MAX_POINTERS }, () => new THREE.Vector4()) };
+  velocityUniforms.uPointerVelocities = { value: Array.from({ length: MAX_POINTERS }, () => new THREE.Vector3()) };
+  velocityUniforms.uPointerAxis = { value: new THREE.Vector3() };
+  velocityUniforms.uTool = { value: 0 };
+  velocityUniforms.uRadius = { value: params.radius };
+  velocityUniforms.uStrength = { value: params.strength };
+
+  const positionUniforms = positionVariable.material.uniforms;
+  positionUniforms.uSpawns = { value: spawnTexture };
+  positionUniforms.uStep = { value: 1 };
+  positionUniforms.uDelta = { value: 1 / 60 };
+  positionUniforms.uLifetime = { value: params.lifetime };
+  positionUniforms.uLifecycle = { value: 1 };
+  positionUniforms.uBoundaryRadius = { value: params.boundaryRadius };
+
+  const error = gpuCompute.init();
+  if (error !== null) {
+    gpuCompute.dispose();
+    spawnTexture.dispose();
+    throw new Error(error);
+  }
+
+  // one vertex per texel, aReference = the texel center
+  const references = new Float32Array(count * 2);
+  for (let i = 0; i < count; i++) {
+    references[i * 2] = ((i % size) + 0.5) / size;
+    references[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  // never read (the shader uses the texture), but sets the vertex count
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  geometry.setAttribute('aReference', new THREE.BufferAttribute(references, 2));
+  geometry.setAttribute('aIndex', new THREE.BufferAttribute(indexFractions(count), 1));
+
+  const material = createParticlesMaterial({ ramp, params, simulation: true });
+  material.uniforms.uSpawns.value = spawnTexture;
+
+  const points = new THREE.Points(geometry, material);
+  // positions come from a texture: the bounding sphere of zeros would cull it
+  points.frustumCulled = false;
+
+  // points and trails share the rotation
+  const object = new THREE.Group();
+  object.add(points);
+
+  const trails = params.trails
+    ? createTrails(gpuCompute, { particleSize: size, count: Math.min(params.trailCount, count), length: params.trailLength, spawnTexture, ramp, params })
+    : null;
+  if (trails) object.add(trails.mesh);
+
+  // step: frames at 60fps since the last update (1 at 60fps)
+  function update(time, step, pointers) {
+    const lifecycle = params.lifecycle ? 1 : 0;
+
+    velocityUniforms.uTime.value = time;
+    velocityUniforms.uStep.value = step;
+    velocityUniforms.uDelta.value = step / 60;
+    velocityUniforms.uLifetime.value = params.lifetime;
+    velocityUniforms.uLifecycle.value = lifecycle;
+    velocityUniforms.uFrequency.value = params.noiseFrequency;
+    velocityUniforms.uFlowSpeed.value = params.flowSpeed;
+    velocityUniforms.uDamping.value = params.damping;
+
+    pointers.forces.forEach((pointer, i) => {
+      velocityUniforms.uPointers.value[i].set(pointer.position.x, pointer.position.y, pointer.position.z, pointer.active ? 1 : 0);
+      velocityUniforms.uPointerVelocities.value[i].copy(pointer.velocity);
+    });
+    velocityUniforms.uPointerAxis.value.copy(pointers.axis);
+    velocityUniforms.uTool.value = tools.indexOf(params.tool);
+    velocityUniforms.uRadius.value = params.radius;
+    velocityUniforms.uStrength.value = params.strength;
+    positionUniforms.uStep.value = step;
+    positionUniforms.uDelta.value = step / 60;
+    positionUniforms.uLifetime.value = params.lifetime;
+    positionUniforms.uLifecycle.value = lifecycle;
+    positionUniforms.uBoundaryRadius.value = params.boundaryRadius;
+
+    gpuCompute.compute();
+
+    const positions = gpuCompute.getCurrentRenderTarget(positionVariable).texture;
+    material.uniforms.uPositions.value = positions;
+    updateParticlesMaterial(material, renderer, params);
+
+    trails?.update(positions);
+  }
+
+  function dispose() {
+    gpuCompute.dispose();
+    spawnTexture.dispose();
+    geometry.dispose();
+    material.dispose();
+    trails?.dispose();
+  }
+
+  return { object, count, update, dispose };
+}
@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+
+// shared by both simulations: same look, same curves over lifetime
+
+const RAMP_WIDTH = 64;
+
+/**
+ * color and size over lifetime, baked into a 64x1 texture the shaders
+ * sample with the particle's life progress (0 at birth, 1 at death):
+ * rgb = color, a = size multiplier / 2 (so sizes go up to 2)
+ *
+ * stops: [[progress, value], ...] in increasing progress, linear in between
+ */
+export function createRamp(colorStops, sizeStops) {
+  const data = new Uint8Array(RAMP_WIDTH * 4);
+  const texture = new THREE.DataTexture(data, RAMP_WIDTH, 1);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+
+  const color = new THREE.Color();
+  const from = new THREE.Color();
+  const to = new THREE.Color();
+
+  function interpolate(stops, t, lerp) {
+    if (t <= stops[0][0]) return lerp(stops[0][1], stops[0][1], 0);
+
+    for (let i = 1; i < stops.length; i++) {
+      const [end, endValue] = stops[i];
+      const [start, startValue] = stops[i - 1];
+      if (t <= end) return lerp(startValue, endValue, (t - start) / Math.max(end - start, 1e-6));
+    }
+
+    const last = stops[stops.length - 1][1];
+    return lerp(last, last, 0);
+  }
+
+  const lerpColor = (a, b, t) => color.lerpColors(from.set(a), to.set(b), t);
+  const lerpNumber = (a, b, t) => a + (b - a) * t;
+
+  function update(newColorStops = colorStops, newSizeStops = sizeStops) {
+    colorStops = newColorStops;
+    sizeStops = newSizeStops;
+
+    for (let i = 0; i < RAMP_WIDTH; i++) {
+      const t = i / (RAMP_WIDTH - 1);
+      interpolate(colorStops, t, lerpColor);
+      const size = interpolate(sizeStops, t, lerpNumber);
+
+      data[i * 4] = Math.round(THREE.MathUtils.clamp(color.r, 0, 1) * 255);
+      data[i * 4 + 1] = Math.round(THREE.MathUtils.clamp(color.g, 0, 1) * 255);
+      data[i * 4 + 2] = Math.round(THREE.MathUtils.clamp(color.b, 0, 1) * 255);
+      data[i * 4 + 3] = Math.round(THREE.MathUtils.clamp(size / 2, 0, 1) * 255);
+    }
+
+    texture.needsUpdate = true;
+  }
+
+  update();
+
+  return { texture, update };
+}
+
+// i / count per particle: where it sits on the ramp when lifecycle is off
+// (the original cyan to magenta gradient across the cloud)
+export function indexFractions(count) {
+  const fractions = new Float32Array(count);
+  for (let i = 0; i < count; i++) fractions[i] = i / count;
+  return fractions;
+}
+
+const vertexShader = /* glsl */ `
+uniform sampler2D uRamp;
+uniform float uSize;
+uniform float uScale;
+uniform float uLifetime;
+uniform float uLifecycle;
+
+#ifdef USE_SIMULATION
+  uniform sampler2D uPositions; // xyz position, w age
+  uniform sampler2D uSpawns; // xyz spawn point, w lifetime factor
+  attribute vec2 aReference;
+#else
+  attribute vec2 aAge; // age, lifetime factor
+#endif
+
+attribute float aIndex;
+
+varying vec3 vColor;
+
+void main() {
+  #ifdef USE_SIMULATION
+    vec4 simulated = texture2D(uPositions, aReference);
+    vec3 particle = simulated.xyz;
+    float age = simulated.w;
+    float life = texture2D(uSpawns, aReference).w * uLifetime;
+  #else
+    vec3 particle = position;
+    float age = aAge.x;
+    float life = aAge.y * uLifetime;
+  #endif
+
+  float progress = uLifecycle > 0.5 ? clamp(age / life, 0.0, 1.0) : aIndex;
+  vec4 ramp = texture2D(uRamp, vec2(progress, 0.5));
+  float sizeOverLife = uLifecycle > 0.5 ? ramp.a * 2.0 : 1.0;
+
+  vec4 mvPosition = modelViewMatrix * vec4(particle, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+
+  // same size attenuation as PointsMaterial
+  gl_PointSize = uSize * sizeOverLife * (uScale / -mvPosition.z);
+
+  vColor = ramp.rgb;
+}
+`;
+
+const fragmentShader = /* glsl */ `
+uniform float uOpacity;
+
+varying vec3 vColor;
+
+void main() {
+  gl_FragColor = vec4(vColor, uOpacity);
+  #include <colorspace_fragment>
+}
+`;
+
+/**
+ * points material for both versions: `simulation` reads positions and ages
+ * from the GPU textures, otherwise from the position / aAge attributes
+ */
+export function createParticlesMaterial({ ramp, params, simulation = false }) {
+  return new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    defines: simulation ? { USE_SIMULATION: '' } : {},
+    uniforms: {
+      uRamp: { value: ramp.texture },
+      uPositions: { value: null },
+      uSpawns: { value: null },
+      uSize: { value: params.size },
+      uScale: { value: 1 },
+      uOpacity: { value: params.opacity },
+      uLifetime: { value: params.lifetime },
+      uLifecycle: { value: params.lifecycle ? 1 : 0 }
+    },
+    blending: THREE.AdditiveBlending,
+    transparent: true,
+    depthWrite: false
+  });
+}
+
+// per frame, from the gui values
+export function updateParticlesMaterial(material, renderer, params) {
+  const { uniforms } = material;
+  uniforms.uSize.value = params.size;
+  // PointsMaterial's scale: half the drawing buffer height
+  uniforms.uScale.value = renderer.domElement.height / 2;
+  uniforms.uOpacity.value = params.opacity;
+  uniforms.uLifetime.value = params.lifetime;
+  uniforms.uLifecycle.value = params.lifecycle ? 1 : 0;
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+
+export const MAX_POINTERS = 4;
+export const tools = ['repel', 'attract', 'vortex', 'brush'];
+
+/**
+ * pointer / touch input as force points in the particles' own space.
+ *
+ * each pointer is a ray from the camera, hit against a camera-facing plane
+ * through the cloud center, then moved into the local space of the rotating
+ * points: forces stay under the finger whatever the cloud's rotation.
+ *
+ * mouse: active while it hovers the canvas (like the original sketch).
+ * touch / pen: one force point per finger while it's down (multitouch).
+ */
+export function createPointers(camera, element) {
+  const pointers = new Map(); // pointerId -> { ndc, local, previous }
+
+  // per frame, read by both simulations
+  const forces = Array.from({ length: MAX_POINTERS }, () => ({
+    active: false,
+    position: new THREE.Vector3(),
+    velocity: new THREE.Vector3() // units per 60fps frame, for the brush
+  }));
+  const axis = new THREE.Vector3(); // camera direction, local space (vortex axis)
+
+  const raycaster = new THREE.Raycaster();
+  const plane = new THREE.Plane();
+  const center = new THREE.Vector3();
+  const hit = new THREE.Vector3();
+  const inverseRotation = new THREE.Quaternion();
+
+  function toNdc(event, target) {
+    const bounds = element.getBoundingClientRect();
+    target.set(
+      ((event.clientX - bounds.left) / bounds.width) * 2 - 1,
+      -((event.clientY - bounds.top) / bounds.height) * 2 + 1
+    );
+  }
+
+  function onPointerDown(event) {
+    element.setPointerCapture(event.pointerId);
+    onPointerMove(event);
+  }
+
+  function onPointerMove(event) {
+    // touch and pen only push while down
+    if (event.pointerType !== 'mouse' && event.buttons === 0) return;
+
+    let pointer = pointers.get(event.pointerId);
+    if (!pointer) {
+      if (pointers.size >= MAX_POINTERS) return;
+      pointer = { ndc: new THREE.Vector2(), local: new THREE.Vector3(), previous: null };
+      pointers.set(event.pointerId, pointer);
+    }
+    toNdc(event, pointer.ndc);
+  }
+
+  function onPointerEnd(event) {
+    // the mouse keeps hovering after a click
+    if (event.type === 'pointerup' && event.pointerType === 'mouse') return;
+    pointers.delete(event.pointerId);
+  }
+
+  element.addEventListener('pointerdown', onPointerDown);
+  element.addEventListener('pointermove', onPointerMove);
+  element.addEventListener('pointerup', onPointerEnd);
+  element.addEventListener('pointercancel', onPointerEnd);
+  element.addEventListener('pointerleave', onPointerEnd);
+
+  // after the object's rotation is set for this frame
+  function update(object, step) {
+    object.updateMatrixWorld();
+    object.getWorldPosition(center);
+    camera.getWorldDirection(axis);
+    plane.setFromNormalAndCoplanarPoint(axis, center);
+
+    object.getWorldQuaternion(inverseRotation).invert();
+    axis.applyQuaternion(inverseRotation);
+
+    let index = 0;
+    for (const pointer of pointers.values()) {
+      raycaster.setFromCamera(pointer.ndc, camera);
+      if (!raycaster.ray.intersectPlane(plane, hit)) continue;
+
+      pointer.local.copy(object.worldToLocal(hit));
+
+      const force = forces[index++];
+      force.active = true;
+      force.position.copy(pointer.local);
+      if (pointer.previous) force.velocity.subVectors(pointer.local, pointer.previous).divideScalar(Math.max(step, 0.001));
+      else force.velocity.set(0, 0, 0);
+
+      pointer.previous ??= new THREE.Vector3();
+      pointer.previous.copy(pointer.local);
+    }
+
+    for (; index < MAX_POINTERS; index++) forces[index].active = false;
+  }
+
+  function dispose() {
+    element.removeEventListener('pointerdown', onPointerDown);
+    element.removeEventListener('pointermove', onPointerMove);
+    element.removeEventListener('pointerup', onPointerEnd);
+    element.removeEventListener('pointercancel', onPointerEnd);
+    element.removeEventListener('pointerleave', onPointerEnd);
+  }
+
+  return { forces, axis, update, dispose };
+}
@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+
+// history pass: column 0 = the particle now, column k = column k - 1 of the last frame
+const historyVertexShader = /* glsl */ `
+void main() {
+  gl_Position = vec4(position, 1.0);
+}
+`;
+
+const historyFragmentShader = /* glsl */ `
+uniform sampler2D uHistory;
+uniform sampler2D uPositions;
+uniform vec2 uResolution; // trail length, trail count
+uniform float uParticleSize;
+uniform float uFill;
+
+void main() {
+  float trail = floor(gl_FragCoord.y);
+  vec2 particleUv = vec2(mod(trail, uParticleSize) + 0.5, floor(trail / uParticleSize) + 0.5) / uParticleSize;
+
+  // fill: every column at the current position, so new trails don't start from the origin
+  if (gl_FragCoord.x < 1.0 || uFill > 0.5) gl_FragColor = texture2D(uPositions, particleUv);
+  else gl_FragColor = texture2D(uHistory, (gl_FragCoord.xy - vec2(1.0, 0.0)) / uResolution);
+}
+`;
+
+// ribbons: two vertices per history column, spread across the trail, facing the camera
+const ribbonVertexShader = /* glsl */ `
+uniform sampler2D uHistory;
+uniform sampler2D uSpawns;
+uniform sampler2D uRamp;
+uniform float uLength;
+uniform float uWidth;
+uniform float uLifetime;
+uniform float uLifecycle;
+
+attribute float aSlot; // history column, 0 = now
+attribute float aSide; // -1 or 1
+attribute float aTrail; // history row (uv)
+attribute vec2 aReference; // the particle in the simulation textures
+attribute float aIndex;
+
+varying vec3 vColor;
+varying float vAlpha;
+
+vec4 slot(float index) {
+  return texture2D(uHistory, vec2((clamp(index, 0.0, uLength - 1.0) + 0.5) / uLength, aTrail));
+}
+
+void main() {
+  vec4 newest = slot(0.0);
+  vec4 current = slot(aSlot);
+  vec4 previous = slot(aSlot - 1.0);
+  vec4 next = slot(aSlot + 1.0);
+
+  // older than the newest sample: recorded before a respawn, the ribbon would
+  // jump across the scene. the vertex before the jump hides too (next is older)
+  float valid = step(current.w, newest.w + 0.0001) * step(next.w, newest.w + 0.0001);
+
+  vec4 mvPosition = modelViewMatrix * vec4(current.xyz, 1.0);
+  vec3 tangent = (modelViewMatrix * vec4(previous.xyz - next.xyz, 0.0)).xyz;
+  vec3 side = cross(tangent, mvPosition.xyz);
+  float sideLength = length(side);
+
+  // thinner and dimmer toward the tail
+  float tail = 1.0 - aSlot / (uLength - 1.0);
+  if (sideLength > 0.000001) mvPosition.xyz += side / sideLength * aSide * uWidth * tail * 0.5;
+
+  gl_Position = projectionMatrix * mvPosition;
+
+  float life = texture2D(uSpawns, aReference).w * uLifetime;
+  float progress = uLifecycle > 0.5 ? clamp(current.w / life, 0.0, 1.0) : aIndex;
+  vec4 ramp = texture2D(uRamp, vec2(progress, 0.5));
+  float sizeOverLife = uLifecycle > 0.5 ? ramp.a * 2.0 : 1.0;
+
+  vColor = ramp.rgb;
+  vAlpha = valid * tail * min(sizeOverLife, 1.0);
+}
+`;
+
+const ribbonFragmentShader = /* glsl */ `
+uniform float uOpacity;
+
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+  gl_FragColor = vec4(vColor, uOpacity * vAlpha);
+  #include <colorspace_fragment>
+}
+`;
+
+/**
+ * fading ribbon trails for the first `count` particles of the GPU flow.
+ * a `length` x `count` float render target keeps each particle's last
+ * `length` positions (and ages), shifted by one column every frame.
+ * samples taken before a respawn are hidden, so ribbons never streak
+ * from the death point to the emitter.
+ */
+export function createTrails(gpuCompute, { particleSize, count, length, spawnTexture, ramp, params }) {
+  const targets = [
+    gpuCompute.createRenderTarget(length, count, THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping, THREE.NearestFilter, THREE.NearestFilter),
+    gpuCompute.createRenderTarget(length, count, THREE.ClampToEdgeWrapping, THREE.ClampToEdgeWrapping, THREE.NearestFilter, THREE.NearestFilter)
+  ];
+  let current = 0;
+  let filled = false;
+
+  const historyMaterial = new THREE.ShaderMaterial({
+    vertexShader: historyVertexShader,
+    fragmentShader: historyFragmentShader,
+    uniforms: {
+      uHistory: { value: null },
+      uPositions: { value: null },
+      uResolution: { value: new THREE.Vector2(length, count) },
+      uParticleSize: { value: particleSize },
+      uFill: { value: 1 }
+    }
+  });
+
+  // trail t, column k: vertices 2 * (t * length + k) and + 1
+  const vertices = count * length * 2;
+  const slots = new Float32Array(vertices);
+  const sides = new Float32Array(vertices);
+  const trailRows = new Float32Array(vertices);
+  const references = new Float32Array(vertices * 2);
+  const fractions = new Float32Array(vertices);
+  const triangles = new Uint32Array(count * (length - 1) * 6);
+
+  for (let t = 0; t < count; t++) {
+    const referenceX = ((t % particleSize) + 0.5) / particleSize;
+    const referenceY = (Math.floor(t / particleSize) + 0.5) / particleSize;
+
+    for (let k = 0; k < length; k++) {
+      const v = (t * length + k) * 2;
+      for (let s = 0; s < 2; s++) {
+        slots[v + s] = k;
+        sides[v + s] = s === 0 ? -1 : 1;
+        trailRows[v + s] = (t + 0.5) / count;
+        references[(v + s) * 2] = referenceX;
+        references[(v + s) * 2 + 1] = referenceY;
+        fractions[v + s] = t / (particleSize * particleSize);
+      }
+
+      if (k < length - 1) {
+        const i = (t * (length - 1) + k) * 6;
+        triangles.set([v, v + 1, v + 2, v + 1, v + 3, v + 2], i);
+      }
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  // never read (the shader uses the history), but sets the vertex count
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices * 3), 3));
+  geometry.setAttribute('aSlot', new THREE.BufferAttribute(slots, 1));
+  geometry.setAttribute('aSide', new THREE.BufferAttribute(sides, 1));
+  geometry.setAttribute('aTrail', new THREE.BufferAttribute(trailRows, 1));
+  geometry.setAttribute('aReference', new THREE.BufferAttribute(references, 2));
+  geometry.setAttribute('aIndex', new THREE.BufferAttribute(fractions, 1));
+  geometry.setIndex(new THREE.BufferAttribute(triangles, 1));
+
+  const material = new THREE.ShaderMaterial({
+    vertexShader: ribbonVertexShader,
+    fragmentShader: ribbonFragmentShader,
+    uniforms: {
+      uHistory: { value: null },
+      uSpawns: { value: spawnTexture },
+      uRamp: { value: ramp.texture },
+      uLength: { value: length },
+      uWidth: { value: params.trailWidth },
+      uOpacity: { value: params.trailOpacity },
+      uLifetime: { value: params.lifetime },
+      uLifecycle: { value: 1 }
+    },
+    side: THREE.DoubleSide,
+    blending: THREE.AdditiveBlending,
+    transparent: true,
+    depthWrite: false
+  });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.frustumCulled = false;
+
+  // after the simulation step, with its new position texture
+  function update(positions) {
+    const next = 1 - current;
+    historyMaterial.uniforms.uPositions.value = positions;
+    historyMaterial.uniforms.uHistory.value = targets[current].texture;
+    historyMaterial.uniforms.uFill.value = filled ? 0 : 1;
+    gpuCompute.doRenderTarget(historyMaterial, targets[next]);
+    current = next;
+    filled = true;
+
+    const { uniforms } = material;
+    uniforms.uHistory.value = targets[current].texture;
+    uniforms.uWidth.value = params.trailWidth;
+    uniforms.uOpacity.value = params.trailOpacity;
+    uniforms.uLifetime.value = params.lifetime;
+    uniforms.uLifecycle.value = params.lifecycle ? 1 : 0;
+  }
+
+  function dispose() {
+    for (const target of targets) target.dispose();
+    historyMaterial.dispose();
+    geometry.dispose();
+    material.dispose();
+  }
+
+  return { mesh, update, dispose };
+}
@@ -1,4 +1,18 @@
 import * as THREE from 'three';
+import GUI from 'lil-gui';
+import Seed from 'lab-core/Seed.js';
+import AudioReactive from 'lab-core/AudioReactive.js';
+import { createGpuFlow } from './flow/gpu.js';
+import { createCpuFlow } from './flow/cpu.js';
+import { createPointers, tools } from './flow/pointers.js';
+import { createEmitter, createSpawns, shapes, textImage } from './flow/emitters.js';
+import { createRamp } from './flow/particles.js';
+
+const gui = new GUI({ title: 'Particle Flow' });
+
+// seeded randomness: ?seed=... in the url reproduces a layout
+const seed = new Seed({ gui });
+console.info(`seed: ${seed.value} (add ?seed=${seed.value} to the url to keep this layout)`);
 
 // scene setup
 const scene = new THREE.Scene();
@@ -10,128 +24,217 @@ document.body.appendChild(renderer.domElement);
 
 camera.position.z = 50;
 
-// particle config
-const PARTICLE_COUNT = 5000;
-const positions = new Float32Array(PARTICLE_COUNT * 3);
-const velocities = new Float32Array(PARTICLE_COUNT * 3);
-const colors = new Float32Array(PARTICLE_COUNT * 3);
-
-// initialize particles
-for (let i = 0; i < PARTICLE_COUNT; i++) {
-  const i3 = i * 3;
-  
-  // random position in a sphere
-  const radius = 30 + Math.random() * 20;
-  const theta = Math.random() * Math.PI * 2;
-  const phi = Math.acos(2 * Math.random() - 1);
-  
-  positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
-  positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-  positions[i3 + 2] = radius * Math.cos(phi);
-  
-  velocities[i3] = 0;
-  velocities[i3 + 1] = 0;
-  velocities[i3 + 2] = 0;
-  
-  // gradient colors: cyan to magenta
-  const t = i / PARTICLE_COUNT;
-  colors[i3] = 0.1 + t * 0.9;     // r
-  colors[i3 + 1] = 0.8 - t * 0.4; // g
-  colors[i3 + 2] = 0.9;           // b
+// simulation config: the gpu count is a texture side (size² particles)
+const params = {
+  mode: 'gpu',
+  gpuSize: 512,
+  cpuCount: 5000,
+  noiseFrequency: 0.02,
+  flowSpeed: 1,
+  damping: 0.98,
+  boundaryRadius: 60,
+  tool: 'repel',
+  radius: 15,
+  strength: 1,
+  shape: 'sphere',
+  lifecycle: true,
+  lifetime: 8,
+  birthColor: '#1acce6',
+  middleColor: '#8c99e6',
+  deathColor: '#ff66e6',
+  birthSize: 0.3,
+  peakSize: 1,
+  deathSize: 0,
+  trails: false,
+  trailCount: 4096,
+  trailLength: 24,
+  trailWidth: 0.12,
+  trailOpacity: 0.35,
+  size: 0.15,
+  opacity: 0.8,
+  spin: true
+};
+
+const gpuSizes = { '16k': 128, '65k': 256, '262k': 512, '1M': 1024 };
+const trailCounts = { '1k': 1024, '4k': 4096, '16k': 16384 };
+
+// emitter sources: a mesh to sample, an image mask (a word until one is loaded)
+const emitterMesh = new THREE.Mesh(new THREE.TorusKnotGeometry(18, 5, 200, 32));
+let emitterImage = textImage('FLOW');
+
+// color / size over lifetime: birth, peak (at 15% of the life) and death
+const colorStops = () => [[0, params.birthColor], [0.5, params.middleColor], [1, params.deathColor]];
+const sizeStops = () => [[0, params.birthSize], [0.15, params.peakSize], [1, params.deathSize]];
+const ramp = createRamp(colorStops(), sizeStops());
+const updateRamp = () => ramp.update(colorStops(), sizeStops());
+
+// ?mode=cpu starts on the original cpu loop
+if (new URLSearchParams(window.location.search).get('mode') === 'cpu') params.mode = 'cpu';
+
+let flow = null;
+
+function buildFlow() {
+  if (flow) {
+    scene.remove(flow.object);
+    flow.dispose();
+  }
+
+  // same seed = same starting cloud, in both modes
+  const random = seed.random.stream('particles').reset();
+  const emitter = createEmitter(params.shape, { mesh: emitterMesh, image: emitterImage });
+
+  if (params.mode === 'gpu') {
+    try {
+      const size = params.gpuSize;
+      const spawns = createSpawns(emitter, size * size, random);
+      flow = createGpuFlow(renderer, { size, spawns, random, ramp, params });
+    }
+    catch (error) {
+      console.warn(`gpu flow unavailable (${error.message}), falling back to the cpu version`);
+      params.mode = 'cpu';
+      modeController.updateDisplay();
+    }
+  }
+
+  if (params.mode === 'cpu') {
+    random.reset();
+    const spawns = createSpawns(emitter, params.cpuCount, random);
+    flow = createCpuFlow({ count: params.cpuCount, spawns, random, ramp, renderer, params });
+  }
+
+  stats.particles = flow.count;
+  updateModeControllers();
+  scene.add(flow.object);
 }
 
-// geometry
-const geometry = new THREE.BufferGeometry();
-geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+// any image as the emitter mask (bright, opaque pixels emit)
+function loadImage() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/*';
+  input.addEventListener('change', () => {
+    const file = input.files[0];
+    if (!file) return;
 
-// material
-const material = new THREE.PointsMaterial({
-  size: 0.15,
-  vertexColors: true,
-  blending: THREE.AdditiveBlending,
-  transparent: true,
-  opacity: 0.8,
-  sizeAttenuation: true
-});
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(image.src);
+      emitterImage = image;
+      params.shape = 'image';
+      shapeController.updateDisplay();
+      buildFlow();
+    };
+    image.src = URL.createObjectURL(file);
+  });
+  input.click();
+}
 
-const particles = new THREE.Points(geometry, material);
-scene.add(particles);
+// gui
+const stats = { particles: 0, frameMs: 0 };
 
-// simplex-like noise (simplified)
-function noise3d(x, y, z) {
-  const freq = 0.02;
-  return Math.sin(x * freq) * Math.cos(y * freq) * Math.sin(z * freq + x * 0.01);
+const simulationFolder = gui.addFolder('Simulation');
+const modeController = simulationFolder.add(params, 'mode', ['gpu', 'cpu']).onChange(buildFlow);
+const gpuSizeController = simulationFolder.add(params, 'gpuSize', gpuSizes).name('particles (gpu)').onChange(buildFlow);
+const cpuCountController = simulationFolder.add(params, 'cpuCount').min(1000).max(50000).step(1000).name('particles (cpu)').onFinishChange(buildFlow);
+simulationFolder.add({ reset: buildFlow }, 'reset');
+
+const flowFolder = gui.addFolder('Flow');
+flowFolder.add(params, 'noiseFrequency').min(0.002).max(0.1).step(0.001).name('noise frequency');
+const flowSpeedController = flowFolder.add(params, 'flowSpeed').min(0).max(5).step(0.01).name('flow speed');
+flowFolder.add(params, 'damping').min(0.8).max(1).step(0.001);
+flowFolder.add(params, 'boundaryRadius').min(10).max(150).step(1).name('boundary radius');
+
+const emitterFolder = gui.addFolder('Emitter');
+const shapeController = emitterFolder.add(params, 'shape', shapes).onChange(buildFlow);
+emitterFolder.add({ loadImage }, 'loadImage').name('load image mask');
+emitterFolder.add(params, 'lifecycle').name('respawn');
+emitterFolder.add(params, 'lifetime').min(0.5).max(30).step(0.1).name('lifetime (s)');
+
+const lifeFolder = gui.addFolder('Over lifetime');
+lifeFolder.addColor(params, 'birthColor').name('birth color').onChange(updateRamp);
+lifeFolder.addColor(params, 'middleColor').name('middle color').onChange(updateRamp);
+lifeFolder.addColor(params, 'deathColor').name('death color').onChange(updateRamp);
+lifeFolder.add(params, 'birthSize').min(0).max(2).step(0.01).name('birth size').onChange(updateRamp);
+lifeFolder.add(params, 'peakSize').min(0).max(2).step(0.01).name('peak size').onChange(updateRamp);
+lifeFolder.add(params, 'deathSize').min(0).max(2).step(0.01).name('death size').onChange(updateRamp);
+
+// gpu only: the history lives in a render target
+const trailsFolder = gui.addFolder('Trails');
+trailsFolder.add(params, 'trails').onChange(buildFlow);
+trailsFolder.add(params, 'trailCount', trailCounts).name('count').onChange(buildFlow);
+trailsFolder.add(params, 'trailLength').min(4).max(64).step(1).name('length (frames)').onFinishChange(buildFlow);
+trailsFolder.add(params, 'trailWidth').min(0.01).max(1).step(0.01).name('width');
+trailsFolder.add(params, 'trailOpacity').min(0).max(1).step(0.01).name('opacity');
+trailsFolder.close();
+
+const pointerFolder = gui.addFolder('Pointer');
+pointerFolder.add(params, 'tool', tools);
+pointerFolder.add(params, 'radius').min(1).max(50).step(0.5);
+pointerFolder.add(params, 'strength').min(0).max(5).step(0.01);
+
+const lookFolder = gui.addFolder('Look');
+lookFolder.add(params, 'size').min(0.01).max(1).step(0.01);
+lookFolder.add(params, 'opacity').min(0.05).max(1).step(0.01);
+lookFolder.add(params, 'spin'); // off for a disc or a logo that should face the camera
+
+// readouts, to compare both modes
+const statsFolder = gui.addFolder('Stats');
+statsFolder.add(stats, 'particles').disable().listen();
+statsFolder.add(stats, 'frameMs').name('frame ms').disable().listen();
+
+// audio > play: the flow surges with the bass (any other slider from audio > bindings)
+const audio = new AudioReactive({ gui });
+audio.bind(flowSpeedController, { signal: 'bass', amount: 0.3 });
+
+function updateModeControllers() {
+  gpuSizeController.show(params.mode === 'gpu');
+  cpuCountController.show(params.mode === 'cpu');
+  trailsFolder.show(params.mode === 'gpu');
 }
 
-// mouse interaction
-const mouse = new THREE.Vector2(0, 0);
-window.addEventListener('mousemove', (e) => {
-  mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-});
+buildFlow();
+seed.addEventListener('change', buildFlow);
+
+// pointer / touch tools, in world space
+const pointers = createPointers(camera, renderer.domElement);
 
 // animation loop
+const clock = new THREE.Clock();
 let time = 0;
+let spinTime = 0;
+let frames = 0;
+let frameTime = 0;
+
 function animate() {
   requestAnimationFrame(animate);
-  time += 0.01;
-  
-  const posArray = geometry.attributes.position.array;
-  
-  for (let i = 0; i < PARTICLE_COUNT; i++) {
-    const i3 = i * 3;
-    
-    const x = posArray[i3];
-    const y = posArray[i3 + 1];
-    const z = posArray[i3 + 2];
-    
-    // flow field forces
-    const noiseX = noise3d(x + time * 10, y, z);
-    const noiseY = noise3d(x, y + time * 10, z);
-    const noiseZ = noise3d(x, y, z + time * 10);
-    
-    // add forces to velocity
-    velocities[i3] += noiseX * 0.02;
-    velocities[i3 + 1] += noiseY * 0.02;
-    velocities[i3 + 2] += noiseZ * 0.02;
-    
-    // mouse repulsion
-    const dx = x - mouse.x * 30;
-    const dy = y - mouse.y * 30;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    if (dist < 15) {
-      const force = (15 - dist) * 0.02;
-      velocities[i3] += (dx / dist) * force;
-      velocities[i3 + 1] += (dy / dist) * force;
-    }
-    
-    // damping
-    velocities[i3] *= 0.98;
-    velocities[i3 + 1] *= 0.98;
-    velocities[i3 + 2] *= 0.98;
-    
-    // apply velocity
-    posArray[i3] += velocities[i3];
-    posArray[i3 + 1] += velocities[i3 + 1];
-    posArray[i3 + 2] += velocities[i3 + 2];
-    
-    // boundary: pull back toward center
-    const currentDist = Math.sqrt(x * x + y * y + z * z);
-    if (currentDist > 60) {
-      posArray[i3] *= 0.99;
-      posArray[i3 + 1] *= 0.99;
-      posArray[i3 + 2] *= 0.99;
-    }
-  }
-  
-  geometry.attributes.position.needsUpdate = true;
-  
+
+  // frames at 60fps since the last one (clamped after a background tab)
+  const elapsed = clock.getDelta();
+  const step = Math.min(elapsed, 1 / 20) * 60;
+  time += 0.01 * step;
+
+  // audio levels, before the bound parameters are read
+  audio.update(Math.min(elapsed, 1 / 20));
+
   // gentle rotation
-  particles.rotation.y = time * 0.1;
-  particles.rotation.x = Math.sin(time * 0.5) * 0.1;
-  
+  if (params.spin) spinTime += 0.01 * step;
+  flow.object.rotation.y = spinTime * 0.1;
+  flow.object.rotation.x = Math.sin(spinTime * 0.5) * 0.1;
+
+  // pointers follow the rotation: project them after it
+  pointers.update(flow.object, step);
+  flow.update(time, step, pointers);
+
   renderer.render(scene, camera);
+
+  // frame time averaged over half a second
+  frames++;
+  frameTime += elapsed;
+  if (frameTime >= 0.5) {
+    stats.frameMs = Math.round(frameTime / frames * 1000 * 10) / 10;
+    frames = 0;
+    frameTime = 0;
+  }
 }
 
 animate();
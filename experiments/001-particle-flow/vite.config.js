@@ -0,0 +1,6 @@
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+  // lab-core is linked from outside this folder: resolve its three/lil-gui from here
+  resolve: { dedupe: ['three', 'lil-gui'] }
+});
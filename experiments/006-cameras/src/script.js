@@ -1,5 +1,7 @@
 import * as THREE from 'three'
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
+import GUI from 'lil-gui'
+import CursorOrbitControls from 'lab-core/CursorOrbitControls.js'
 
 /**
  * Base
@@ -23,16 +25,6 @@ const mesh = new THREE.Mesh(
 )
 scene.add(mesh)
 
-// Cursor - for custom controls later
-const cursor = {
-    x: 0,
-    y: 0
-}
-window.addEventListener('mousemove', (event) => {
-    cursor.x = event.clientX / sizes.width - 0.5
-    cursor.y = - (event.clientY / sizes.height - 0.5)
-})
-
 // Camera
 // PerspectiveCamera with near and far (0.1 and 100 are reasonable values)
 const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
@@ -40,9 +32,32 @@ camera.position.z = 3
 camera.lookAt(mesh.position)
 scene.add(camera)
 
-// OrbitControls - built-in controls for orbiting, panning, zooming
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true // smooth camera movement
+// Controls - swap them in the GUI
+// orbit: OrbitControls, built-in controls for orbiting, panning, zooming
+// cursor: the custom controls, the camera goes around the cube with the cursor
+// (a full turn from the left edge to the right edge, eased)
+const parameters = { controls: 'orbit' }
+let controls = null
+
+const setControls = () => {
+    controls?.dispose()
+
+    if (parameters.controls === 'orbit') {
+        controls = new OrbitControls(camera, canvas)
+        controls.enableDamping = true // smooth camera movement
+    }
+    else {
+        controls = new CursorOrbitControls(camera, canvas, {
+            target: mesh.position,
+            azimuthRange: Math.PI * 2,
+            polarRange: Math.PI * 0.8
+        })
+    }
+}
+setControls()
+
+const gui = new GUI()
+gui.add(parameters, 'controls', ['orbit', 'cursor']).onChange(setControls)
 
 // Renderer
 const renderer = new THREE.WebGLRenderer({
@@ -55,16 +70,10 @@ const clock = new THREE.Clock()
 
 const tick = () =>
 {
-    const elapsedTime = clock.getElapsedTime()
-
-    // CUSTOM CONTROLS (commented out - using OrbitControls instead)
-    // camera.position.x = Math.sin(cursor.x * Math.PI * 2) * 3
-    // camera.position.z = Math.cos(cursor.x * Math.PI * 2) * 3
-    // camera.position.y = cursor.y * 5
-    // camera.lookAt(mesh.position)
+    const deltaTime = clock.getDelta()
 
-    // Update OrbitControls (required for damping to work)
-    controls.update()
+    // Update controls (required for damping / easing to work)
+    controls.update(deltaTime)
 
     // Render
     renderer.render(scene, camera)
@@ -1,107 +1,40 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-
-/**
- * Base
- */
-// Canvas
-const canvas = document.querySelector('canvas.webgl')
-
-// Scene
-const scene = new THREE.Scene()
-
-/**
- * Object
- */
-const geometry = new THREE.BoxGeometry(1, 1, 1)
-const material = new THREE.MeshBasicMaterial({ color: 0xff0000 })
-const mesh = new THREE.Mesh(geometry, material)
-scene.add(mesh)
-
-/**
- * Sizes - use window dimensions for fullscreen
- */
-const sizes = {
-    width: window.innerWidth,
-    height: window.innerHeight
-}
-
-/**
- * Handle resize
- */
-window.addEventListener('resize', () => {
-    // Update sizes
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-
-    // Update camera aspect ratio
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-
-    // Update renderer
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Handle fullscreen (double click to toggle)
- */
-window.addEventListener('dblclick', () => {
-    const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement
-
-    if (!fullscreenElement) {
-        if (canvas.requestFullscreen) {
-            canvas.requestFullscreen()
-        } else if (canvas.webkitRequestFullscreen) {
-            canvas.webkitRequestFullscreen()
-        }
-    } else {
-        if (document.exitFullscreen) {
-            document.exitFullscreen()
-        } else if (document.webkitExitFullscreen) {
-            document.webkitExitFullscreen()
-        }
-    }
-})
-
-/**
- * Camera
- */
-// Base camera
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.z = 3
-scene.add(camera)
-
-// Controls
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({
-    canvas: canvas
-})
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)) // cap at 2 for performance
-
-/**
- * Animate
- */
-const clock = new THREE.Clock()
-
-const tick = () =>
-{
-    const elapsedTime = clock.getElapsedTime()
-
-    // Update controls
-    controls.update()
-
-    // Render
-    renderer.render(scene, camera)
-
-    // Call tick again on the next frame
-    window.requestAnimationFrame(tick)
+import { Experience } from 'lab-core'
+
+/**
+ * Fullscreen & Resize
+ *
+ * Two independent experiences, each embedded in a card:
+ * - Sizes: the card's size (ResizeObserver), not the window's, so dragging
+ *   a card's corner resizes its renderer and camera only
+ * - Pixel ratio: capped at 2, followed when the window changes screen
+ * - Fullscreen: double click puts that card fullscreen (its GUI with it),
+ *   not the canvas or the whole page
+ * - Nothing shared: own scene, loop, GUI and presets (per card id)
+ */
+const createCard = (container, geometry, color) => {
+    const experience = new Experience({
+        container,
+        camera: { position: [0, 0, 3] },
+        debug: { title: container.id }
+    })
+
+    /**
+     * Object
+     */
+    const material = new THREE.MeshBasicMaterial({ color })
+    const mesh = new THREE.Mesh(geometry, material)
+    experience.scene.add(mesh)
+
+    experience.debug.ui?.addColor(material, 'color')
+
+    /**
+     * Handle fullscreen (double click to toggle)
+     */
+    experience.canvas.addEventListener('dblclick', () => experience.sizes.toggleFullscreen())
+
+    return experience
 }
 
-tick()
+createCard(document.querySelector('#cube'), new THREE.BoxGeometry(1, 1, 1), '#ff0000')
+createCard(document.querySelector('#sphere'), new THREE.SphereGeometry(0.7, 32, 16), '#0088ff')
@@ -1,18 +1,23 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
+import { ImprovedNoise } from 'three/examples/jsm/math/ImprovedNoise.js'
+import { VertexNormalsHelper } from 'three/examples/jsm/helpers/VertexNormalsHelper.js'
+import { VertexTangentsHelper } from 'three/examples/jsm/helpers/VertexTangentsHelper.js'
+import { Experience, parametricGeometry, superformulaGeometry, loftGeometry, terrainGeometry, addGeometryControls } from 'lab-core'
+import assets from '../assets.json'
 
 /**
  * Base
  */
-// Canvas
-const canvas = document.querySelector('canvas.webgl')
-
-// Scene
-const scene = new THREE.Scene()
+const experience = new Experience({
+    ...assets,
+    camera: { position: [0, 1.5, 4] }
+})
+const { scene, resources } = experience
+const gui = experience.debug.ui
 
 /**
  * Object - Custom BufferGeometry
- * 
+ *
  * Geometry stores:
  * - Vertices (positions)
  * - Faces (triangles connecting vertices)
@@ -39,6 +44,7 @@ const scene = new THREE.Scene()
 
 /**
  * Random triangles - more interesting demo
+ * No index, no normals, no UVs: only works in wireframe
  */
 const geometry = new THREE.BufferGeometry()
 
@@ -56,58 +62,207 @@ const positionsAttribute = new THREE.BufferAttribute(positionsArray, 3)
 geometry.setAttribute('position', positionsAttribute)
 
 // Material - wireframe to see the triangles
-const material = new THREE.MeshBasicMaterial({ 
+const trianglesMaterial = new THREE.MeshBasicMaterial({
     color: 0xff0000,
     wireframe: true  // see individual triangles
 })
 
-const mesh = new THREE.Mesh(geometry, material)
-scene.add(mesh)
+const triangles = new THREE.Mesh(geometry, trianglesMaterial)
+scene.add(triangles)
 
-// Sizes
-const sizes = {
-    width: window.innerWidth,
-    height: window.innerHeight
-}
+/**
+ * Procedural geometries (lab-core)
+ * Indexed, with normals, UVs and tangents: lit, textured and normal mapped
+ */
+const material = new THREE.MeshStandardMaterial({
+    roughness: 0.45,
+    metalness: 0.1,
+    side: THREE.DoubleSide
+})
+
+experience.addEventListener('ready', () => {
+    const { checkerTexture, normalTexture } = resources.items
+
+    checkerTexture.colorSpace = THREE.SRGBColorSpace
+    checkerTexture.wrapS = checkerTexture.wrapT = THREE.RepeatWrapping
+    checkerTexture.repeat.set(4, 4)
+    normalTexture.wrapS = normalTexture.wrapT = THREE.RepeatWrapping
+    normalTexture.repeat.set(4, 4)
 
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+    updateTextures()
 })
 
-// Camera
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.z = 3
-scene.add(camera)
+// Parametric: the surface f(u, v) is picked by name (names survive presets, functions don't)
+const surfaces = {
+    torus: (u, v, target) => {
+        const theta = u * Math.PI * 2
+        const phi = v * Math.PI * 2
+        const ring = 1 + 0.4 * Math.cos(phi)
+        target.set(ring * Math.cos(theta), 0.4 * Math.sin(phi), -ring * Math.sin(theta))
+    },
+    seashell: (u, v, target) => {
+        const theta = u * Math.PI * 6
+        const phi = v * Math.PI * 2
+        const growth = Math.exp(theta / (Math.PI * 6))
+        const section = Math.cos(phi / 2) ** 2
+        target.set(
+            2 * (growth - 1) * Math.cos(theta) * section,
+            1 - Math.exp(theta / (Math.PI * 3)) - Math.sin(phi) + growth * Math.sin(phi),
+            2 * (1 - growth) * Math.sin(theta) * section
+        ).multiplyScalar(0.35)
+        target.y += 1.4
+    },
+    sphere: (u, v, target) => target.setFromSphericalCoords(1.2, Math.PI * (1 - v), Math.PI * 2 * u)
+}
+const buildParametric = ({ surface, ...parameters }) => parametricGeometry({ ...parameters, surface: surfaces[surface] })
 
-// Controls
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
+// Loft: a profile along a path, tapered along open paths
+const paths = {
+    knot: new THREE.CatmullRomCurve3(
+        Array.from({ length: 64 }, (unused, i) => {
+            // (2, 3) torus knot
+            const t = i / 64 * Math.PI * 2
+            const radius = 1 + 0.4 * Math.cos(3 * t)
+            return new THREE.Vector3(radius * Math.cos(2 * t), 0.4 * Math.sin(3 * t), radius * Math.sin(2 * t))
+        }),
+        true
+    ),
+    arc: new THREE.CatmullRomCurve3([
+        new THREE.Vector3(-1.5, -0.5, 0),
+        new THREE.Vector3(-0.5, 0.8, 0.5),
+        new THREE.Vector3(0.5, 0.2, -0.5),
+        new THREE.Vector3(1.5, 1, 0)
+    ])
+}
+const star = new THREE.Shape(Array.from({ length: 10 }, (unused, i) => {
+    const angle = i / 10 * Math.PI * 2
+    const radius = i % 2 ? 0.12 : 0.3
+    return new THREE.Vector2(Math.cos(angle) * radius, Math.sin(angle) * radius)
+}))
+const profiles = { circle: null, star }
+const buildLoft = ({ path, profile, taper, ...parameters }) => loftGeometry({
+    ...parameters,
+    path: paths[path],
+    profile: profiles[profile],
+    scale: (t) => 1 - taper * t
+})
 
-// Renderer
-const renderer = new THREE.WebGLRenderer({
-    canvas: canvas
+// Terrain: fractal noise as the heightmap
+const noise = new ImprovedNoise()
+const buildTerrain = ({ amplitude, frequency, octaves, ...parameters }) => terrainGeometry({
+    ...parameters,
+    height: (x, z) => {
+        let height = 0
+        for (let octave = 0; octave < octaves; octave++) {
+            const scale = 2 ** octave
+            height += noise.noise(x * frequency * scale, z * frequency * scale, 0.5) / scale
+        }
+        return height * amplitude
+    }
 })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
 
-// Animate
-const clock = new THREE.Clock()
+const generators = {
+    parametric: {
+        build: buildParametric,
+        parameters: { surface: 'torus', uSegments: 96, vSegments: 32 },
+        options: { surface: Object.keys(surfaces) }
+    },
+    supershape: {
+        build: superformulaGeometry,
+        parameters: {
+            longitude: { m: 6, n1: 1, n2: 1, n3: 1 },
+            latitude: { m: 3, n1: 0.5, n2: 1.7, n3: 1.7 },
+            radius: 1,
+            segments: 128
+        }
+    },
+    loft: {
+        build: buildLoft,
+        parameters: { path: 'knot', profile: 'circle', radius: 0.2, taper: 0, twist: 0, pathSegments: 256, profileSegments: 24, caps: true },
+        options: { path: Object.keys(paths), profile: Object.keys(profiles), taper: [0, 1, 0.01] }
+    },
+    terrain: {
+        build: buildTerrain,
+        parameters: { width: 4, depth: 4, widthSegments: 128, depthSegments: 128, amplitude: 0.6, frequency: 0.6, octaves: 4 },
+        options: { amplitude: [0, 2, 0.01], frequency: [0.1, 3, 0.01], octaves: [1, 8, 1] }
+    }
+}
+
+/**
+ * Lights
+ */
+scene.add(new THREE.AmbientLight('#ffffff', 0.6))
+const directionalLight = new THREE.DirectionalLight('#ffffff', 2.5)
+directionalLight.position.set(2, 3, 2)
+scene.add(directionalLight)
+
+/**
+ * Normals / tangents helpers, on the shown geometry
+ */
+const helpers = []
+const updateHelpers = () => {
+    for (const helper of helpers) {
+        helper.geometry.dispose()
+        helper.material.dispose()
+        scene.remove(helper)
+    }
+    helpers.length = 0
 
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
+    const mesh = generators[parameters.shape]?.mesh
+    if (!parameters.helpers || !mesh) return
 
-    // Update controls
-    controls.update()
+    helpers.push(new VertexNormalsHelper(mesh, 0.05, '#00ff00'), new VertexTangentsHelper(mesh, 0.05, '#ff0000'))
+    scene.add(...helpers)
+}
 
-    // Render
-    renderer.render(scene, camera)
+/**
+ * Shape
+ */
+const parameters = {
+    shape: 'supershape',
+    wireframe: false,
+    textured: true,
+    helpers: false
+}
 
-    window.requestAnimationFrame(tick)
+const showShape = () => {
+    triangles.visible = parameters.shape === 'triangles'
+    for (const [name, generator] of Object.entries(generators)) {
+        generator.mesh.visible = name === parameters.shape
+        generator.folder.show(generator.mesh.visible)
+    }
+    updateHelpers()
 }
 
-tick()
+// The normal map bends the light along the tangents
+const updateTextures = () => {
+    const { checkerTexture = null, normalTexture = null } = parameters.textured ? resources.items : {}
+    material.map = checkerTexture
+    material.normalMap = normalTexture
+    material.needsUpdate = true
+}
+
+gui.add(parameters, 'shape', ['triangles', ...Object.keys(generators)]).onChange(showShape)
+gui.add(parameters, 'wireframe').onChange((wireframe) => { material.wireframe = wireframe })
+gui.add(parameters, 'textured').onChange(() => updateTextures())
+gui.add(parameters, 'helpers').name('normals / tangents').onChange(updateHelpers)
+
+// One mesh and GUI folder per generator, the shown one picked by shape
+for (const [name, generator] of Object.entries(generators)) {
+    generator.mesh = new THREE.Mesh(generator.build(generator.parameters), material)
+    scene.add(generator.mesh)
+
+    // Rebuilt with disposal on change, like a subdivision slider
+    generator.folder = addGeometryControls(gui, generator.mesh, generator.build, generator.parameters, {
+        title: name,
+        options: generator.options,
+        onChange: () => updateHelpers()
+    })
+}
+showShape()
+
+/**
+ * Projection: orthographic to study the shapes without perspective
+ * (also under Camera > projection, OrbitControls zoom it)
+ */
+gui.add(experience.camera, 'toggleProjection').name('orthographic / perspective')
@@ -14,6 +14,10 @@ export default {
         emptyOutDir: true, // Empty the folder first
         sourcemap: true // Add sourcemap
     },
+    resolve:
+    {
+        dedupe: [ 'three', 'lil-gui' ] // lab-core is linked from outside: resolve its three / lil-gui from here
+    },
     plugins:
     [
         restart({ restart: [ '../static/**', ] }) // Restart server on static file change
@@ -1,5 +1,6 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
+import { Experience } from 'lab-core'
+import assets from '../assets.json'
 
 /**
  * Textures
@@ -15,38 +16,46 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
  */
 
 /**
- * Loading Manager - track loading progress
+ * Base
+ * The textures are listed in assets.json and loaded by the experience resources
+ * (one LoadingManager for every loader, the loading overlay follows it)
+ */
+const experience = new Experience({
+    ...assets,
+    camera: { position: [1, 1, 1] },
+    debug: false,
+    loadingOverlay: { title: 'Textures' },
+    // Static scene: only render when the camera moves or a texture arrives
+    scheduler: { onDemand: true }
+})
+const { scene, resources } = experience
+
+/**
+ * Loading progress - the manager callbacks, as resources events
  */
-const loadingManager = new THREE.LoadingManager()
-loadingManager.onStart = () => console.log('Loading started')
-loadingManager.onLoad = () => console.log('Loading complete')
-loadingManager.onProgress = (url, loaded, total) => {
-    console.log(`Loading: ${url} (${loaded}/${total})`)
-}
-loadingManager.onError = (url) => console.error(`Error loading: ${url}`)
+resources.addEventListener('progress', ({ loaded, total }) => console.log(`Loading: ${loaded}/${total}`))
+resources.addEventListener('error', ({ source }) => console.error(`Error loading: ${source.path}`))
 
 /**
- * Texture Loader
+ * Textures
+ * By hand it would be: const colorTexture = new THREE.TextureLoader(loadingManager).load('/textures/door/color.jpg')
  */
-const textureLoader = new THREE.TextureLoader(loadingManager)
+experience.addEventListener('ready', () => {
+    console.log('Loading complete')
 
-// Load the door texture
-const colorTexture = textureLoader.load('/textures/door/color.jpg')
-const alphaTexture = textureLoader.load('/textures/door/alpha.jpg')
-const heightTexture = textureLoader.load('/textures/door/height.jpg')
-const normalTexture = textureLoader.load('/textures/door/normal.jpg')
-const ambientOcclusionTexture = textureLoader.load('/textures/door/ambientOcclusion.jpg')
-const metalnessTexture = textureLoader.load('/textures/door/metalness.jpg')
-const roughnessTexture = textureLoader.load('/textures/door/roughness.jpg')
+    const { colorTexture, minecraftTexture } = resources.items
 
-// For minecraft-style textures, use NearestFilter to keep pixelated look
-const minecraftTexture = textureLoader.load('/textures/minecraft.png')
-minecraftTexture.generateMipmaps = false
-minecraftTexture.minFilter = THREE.NearestFilter
-minecraftTexture.magFilter = THREE.NearestFilter
+    // Color space - important for color textures!
+    colorTexture.colorSpace = THREE.SRGBColorSpace
 
-// Color space - important for color textures!
-colorTexture.colorSpace = THREE.SRGBColorSpace
+    // For minecraft-style textures, use NearestFilter to keep pixelated look
+    minecraftTexture.generateMipmaps = false
+    minecraftTexture.minFilter = THREE.NearestFilter
+    minecraftTexture.magFilter = THREE.NearestFilter
+
+    material.map = colorTexture
+    material.needsUpdate = true
+})
 
 /**
  * Texture transformations
@@ -76,66 +85,10 @@ colorTexture.colorSpace = THREE.SRGBColorSpace
  * - LinearFilter: blurry, default
  */
 
-/**
- * Base
- */
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
-
 /**
  * Object
  */
 const geometry = new THREE.BoxGeometry(1, 1, 1)
-const material = new THREE.MeshBasicMaterial({ map: colorTexture })
+const material = new THREE.MeshBasicMaterial()
 const mesh = new THREE.Mesh(geometry, material)
 scene.add(mesh)
-
-/**
- * Sizes
- */
-const sizes = {
-    width: window.innerWidth,
-    height: window.innerHeight
-}
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.x = 1
-camera.position.y = 1
-camera.position.z = 1
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
-/**
- * Animate
- */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
@@ -1,7 +1,6 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
+import assets from '../assets.json'
 
 /**
  * Materials
@@ -18,48 +17,34 @@ import GUI from 'lil-gui'
  * - MeshPhysicalMaterial: extends Standard, adds clearcoat, transmission, etc.
  */
 
-const gui = new GUI()
+const experience = new Experience({
+    ...assets, // textures + environment map, see assets.json
+    camera: { position: [1, 1, 2] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
 
 /**
- * Textures
+ * Textures + environment map (for reflections)
  */
-const textureLoader = new THREE.TextureLoader()
-const doorColorTexture = textureLoader.load('/textures/door/color.jpg')
-const doorAlphaTexture = textureLoader.load('/textures/door/alpha.jpg')
-const doorAmbientOcclusionTexture = textureLoader.load('/textures/door/ambientOcclusion.jpg')
-const doorHeightTexture = textureLoader.load('/textures/door/height.jpg')
-const doorNormalTexture = textureLoader.load('/textures/door/normal.jpg')
-const doorMetalnessTexture = textureLoader.load('/textures/door/metalness.jpg')
-const doorRoughnessTexture = textureLoader.load('/textures/door/roughness.jpg')
-const matcapTexture = textureLoader.load('/textures/matcaps/1.png')
-const gradientTexture = textureLoader.load('/textures/gradients/3.jpg')
-
-doorColorTexture.colorSpace = THREE.SRGBColorSpace
-matcapTexture.colorSpace = THREE.SRGBColorSpace
-
-// Toon shading needs NearestFilter to avoid gradient interpolation
-gradientTexture.minFilter = THREE.NearestFilter
-gradientTexture.magFilter = THREE.NearestFilter
-gradientTexture.generateMipmaps = false
+experience.addEventListener('ready', () => {
+    const { doorColorTexture, matcapTexture, gradientTexture, environmentMap } = experience.resources.items
+
+    doorColorTexture.colorSpace = THREE.SRGBColorSpace
+    matcapTexture.colorSpace = THREE.SRGBColorSpace
+
+    // Toon shading needs NearestFilter to avoid gradient interpolation
+    gradientTexture.minFilter = THREE.NearestFilter
+    gradientTexture.magFilter = THREE.NearestFilter
+    gradientTexture.generateMipmaps = false
 
-/**
- * Environment Map (for reflections)
- */
-const rgbeLoader = new RGBELoader()
-rgbeLoader.load('/textures/environmentMap/2k.hdr', (environmentMap) => {
     environmentMap.mapping = THREE.EquirectangularReflectionMapping
-    
+
     // Use as scene background and environment (for reflections)
     scene.background = environmentMap
     scene.environment = environmentMap
 })
 
-/**
- * Base
- */
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
-
 /**
  * Materials - try different ones!
  */
@@ -73,7 +58,7 @@ material.roughness = 0.2
 gui.add(material, 'metalness').min(0).max(1).step(0.01)
 gui.add(material, 'roughness').min(0).max(1).step(0.01)
 
-// Alternative materials to try:
+// Alternative materials to try (textures are in experience.resources.items once ready):
 // const material = new THREE.MeshBasicMaterial({ map: doorColorTexture })
 // const material = new THREE.MeshNormalMaterial({ flatShading: true })
 // const material = new THREE.MeshMatcapMaterial({ matcap: matcapTexture })
@@ -92,57 +77,16 @@ torus.position.x = 1.5
 
 scene.add(sphere, plane, torus)
 
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(1, 1, 2)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    
+experience.onUpdate(({ elapsed }) => {
     // Rotate objects
-    sphere.rotation.y = 0.1 * elapsedTime
-    plane.rotation.y = 0.1 * elapsedTime
-    torus.rotation.y = 0.1 * elapsedTime
-    
-    sphere.rotation.x = -0.15 * elapsedTime
-    plane.rotation.x = -0.15 * elapsedTime
-    torus.rotation.x = -0.15 * elapsedTime
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+    sphere.rotation.y = 0.1 * elapsed
+    plane.rotation.y = 0.1 * elapsed
+    torus.rotation.y = 0.1 * elapsed
+
+    sphere.rotation.x = -0.15 * elapsed
+    plane.rotation.x = -0.15 * elapsed
+    torus.rotation.x = -0.15 * elapsed
+})
@@ -1,7 +1,7 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js'
 import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js'
+import { Experience } from 'lab-core'
+import assets from '../assets.json'
 
 /**
  * 3D Text
@@ -12,27 +12,28 @@ import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js'
 
 /**
  * Base
+ * Font and matcap (assets.json) are loaded by the experience resources (FontLoader + TextureLoader)
  */
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+const experience = new Experience({
+    ...assets,
+    camera: { position: [1, 1, 2] },
+    // Nothing moves on its own: render when the camera or the GUI changes
+    scheduler: { onDemand: true }
+})
+const { scene, resources } = experience
 
 // AxesHelper - debug tool to see orientation
 // const axesHelper = new THREE.AxesHelper()
 // scene.add(axesHelper)
 
 /**
- * Textures
- */
-const textureLoader = new THREE.TextureLoader()
-const matcapTexture = textureLoader.load('/textures/matcaps/1.png')
-matcapTexture.colorSpace = THREE.SRGBColorSpace
-
-/**
- * Fonts
+ * Text and donuts (once font and matcap are loaded)
  */
-const fontLoader = new FontLoader()
+experience.addEventListener('ready', () => {
+    const font = resources.items.font
+    const matcapTexture = resources.items.matcap
+    matcapTexture.colorSpace = THREE.SRGBColorSpace
 
-fontLoader.load('/fonts/helvetiker_regular.typeface.json', (font) => {
     // TextGeometry parameters
     const textGeometry = new TextGeometry('Hello Three.js', {
         font: font,
@@ -63,67 +64,35 @@ fontLoader.load('/fonts/helvetiker_regular.typeface.json', (font) => {
     // Add donuts around the text
     const donutGeometry = new THREE.TorusGeometry(0.3, 0.2, 20, 45)
     
-    for (let i = 0; i < 100; i++) {
-        const donut = new THREE.Mesh(donutGeometry, material)
-        
-        // Random position
-        donut.position.x = (Math.random() - 0.5) * 10
-        donut.position.y = (Math.random() - 0.5) * 10
-        donut.position.z = (Math.random() - 0.5) * 10
-        
-        // Random rotation
-        donut.rotation.x = Math.random() * Math.PI
-        donut.rotation.y = Math.random() * Math.PI
-        
-        // Random scale
-        const scale = Math.random()
-        donut.scale.set(scale, scale, scale)
-        
-        scene.add(donut)
-    }
-})
+    const donuts = new THREE.Group()
+    scene.add(donuts)
 
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
+    const scatterDonuts = () => {
+        // Same seed = same donuts
+        const random = experience.random.stream('donuts').reset()
 
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
+        donuts.clear()
 
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(1, 1, 2)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
-/**
- * Animate
- */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
+        for (let i = 0; i < 100; i++) {
+            const donut = new THREE.Mesh(donutGeometry, material)
+            
+            // Random position
+            donut.position.x = random.centered() * 10
+            donut.position.y = random.centered() * 10
+            donut.position.z = random.centered() * 10
+            
+            // Random rotation
+            donut.rotation.x = random.next() * Math.PI
+            donut.rotation.y = random.next() * Math.PI
+            
+            // Random scale
+            const scale = random.next()
+            donut.scale.set(scale, scale, scale)
+            
+            donuts.add(donut)
+        }
+    }
 
-tick()
+    scatterDonuts()
+    experience.seed.addEventListener('change', scatterDonuts)
+})
@@ -1,6 +1,5 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
 
 /**
  * Lights
@@ -18,13 +17,11 @@ import GUI from 'lil-gui'
  * Helpers: DirectionalLightHelper, PointLightHelper, SpotLightHelper, etc.
  */
 
-const gui = new GUI()
-
-/**
- * Base
- */
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+const experience = new Experience({
+    camera: { position: [1, 1, 2] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
 
 /**
  * Lights
@@ -72,6 +69,25 @@ const spotLightHelper = new THREE.SpotLightHelper(spotLight)
 scene.add(spotLightHelper)
 // Note: need to call spotLightHelper.update() if you move the spotlight
 
+// One folder per light, so a preset captures the whole lighting setup
+const addLightFolder = (name, light, helper = null) => {
+    const folder = gui.addFolder(name)
+    folder.close()
+    folder.add(light, 'visible')
+    folder.add(light, 'intensity').min(0).max(10).step(0.01)
+    folder.addColor(light, 'color')
+    folder.add(light.position, 'x').min(-5).max(5).step(0.01).onChange(() => helper?.update())
+    folder.add(light.position, 'y').min(-5).max(5).step(0.01).onChange(() => helper?.update())
+    folder.add(light.position, 'z').min(-5).max(5).step(0.01).onChange(() => helper?.update())
+    return folder
+}
+
+addLightFolder('Directional', directionalLight, directionalLightHelper)
+addLightFolder('Hemisphere', hemisphereLight).addColor(hemisphereLight, 'groundColor')
+addLightFolder('Point', pointLight, pointLightHelper)
+addLightFolder('RectArea', rectAreaLight)
+addLightFolder('Spot', spotLight, spotLightHelper).add(spotLight, 'angle').min(0).max(Math.PI * 0.5).step(0.001).onChange(() => spotLightHelper.update())
+
 /**
  * Objects
  */
@@ -92,57 +108,16 @@ plane.position.y = -0.65
 
 scene.add(sphere, cube, torus, plane)
 
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(1, 1, 2)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    
+experience.onUpdate(({ elapsed }) => {
     // Rotate objects
-    sphere.rotation.y = 0.1 * elapsedTime
-    cube.rotation.y = 0.1 * elapsedTime
-    torus.rotation.y = 0.1 * elapsedTime
-    
-    sphere.rotation.x = 0.15 * elapsedTime
-    cube.rotation.x = 0.15 * elapsedTime
-    torus.rotation.x = 0.15 * elapsedTime
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
+    sphere.rotation.y = 0.1 * elapsed
+    cube.rotation.y = 0.1 * elapsed
+    torus.rotation.y = 0.1 * elapsed
 
-tick()
+    sphere.rotation.x = 0.15 * elapsed
+    cube.rotation.x = 0.15 * elapsed
+    torus.rotation.x = 0.15 * elapsed
+})
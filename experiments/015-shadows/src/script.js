@@ -1,6 +1,5 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import GUI from 'lil-gui'
+import { Experience, Viewports } from 'lab-core'
 
 /**
  * Shadows
@@ -21,12 +20,15 @@ import GUI from 'lil-gui'
  * - PCFShadowMap: default, smoother edges
  * - PCFSoftShadowMap: softer, no radius support
  * - VSMShadowMap: less artifacts, can have light bleed
+ *
+ * Viewports > layout: quad shows the four types side by side
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+const experience = new Experience({
+    camera: { position: [1, 1, 2] },
+    renderer: { shadows: 'pcfsoft' } // 1. renderer.shadowMap.enabled + type
+})
+const { scene } = experience
 
 /**
  * Lights
@@ -102,56 +104,24 @@ plane.receiveShadow = true
 scene.add(sphere, plane)
 
 /**
- * Sizes
+ * Viewports: one per shadow map type, same camera
  */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+new Viewports({
+    experience,
+    views: [
+        { label: 'BasicShadowMap', shadowType: THREE.BasicShadowMap },
+        { label: 'PCFShadowMap', shadowType: THREE.PCFShadowMap },
+        { label: 'PCFSoftShadowMap', shadowType: THREE.PCFSoftShadowMap },
+        { label: 'VSMShadowMap', shadowType: THREE.VSMShadowMap }
+    ]
 })
 
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(1, 1, 2)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
-// Enable shadows
-renderer.shadowMap.enabled = true
-renderer.shadowMap.type = THREE.PCFSoftShadowMap
-
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    
+experience.onUpdate(({ elapsed }) => {
     // Animate sphere
-    sphere.position.x = Math.cos(elapsedTime) * 1.5
-    sphere.position.z = Math.sin(elapsedTime) * 1.5
-    sphere.position.y = Math.abs(Math.sin(elapsedTime * 3))
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+    sphere.position.x = Math.cos(elapsed) * 1.5
+    sphere.position.z = Math.sin(elapsed) * 1.5
+    sphere.position.y = Math.abs(Math.sin(elapsed * 3))
+})
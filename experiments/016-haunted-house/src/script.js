@@ -1,6 +1,6 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import GUI from 'lil-gui'
+import { Experience, CameraPath } from 'lab-core'
+import approach from '../camera-path.json'
 
 /**
  * Haunted House
@@ -14,12 +14,15 @@ import GUI from 'lil-gui'
  * - Floor
  * - Fog
  * - Lights (ambient, moon, door, ghosts)
+ * - Camera path (approach shot: Camera path > play), isometric view
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+const experience = new Experience({
+    camera: { position: [4, 2, 5] },
+    renderer: { clearColor: '#262837', shadows: 'pcfsoft' } // clear color matches fog
+})
+const { scene } = experience
+const gui = experience.debug.ui
 
 /**
  * Fog
@@ -104,20 +107,30 @@ scene.add(graves)
 const graveGeometry = new THREE.BoxGeometry(0.6, 0.8, 0.2)
 const graveMaterial = new THREE.MeshStandardMaterial({ color: '#b2b6b1' })
 
-for (let i = 0; i < 50; i++) {
-    const angle = Math.random() * Math.PI * 2
-    const radius = 3 + Math.random() * 6
-    const x = Math.sin(angle) * radius
-    const z = Math.cos(angle) * radius
-
-    const grave = new THREE.Mesh(graveGeometry, graveMaterial)
-    grave.position.set(x, 0.3, z)
-    grave.rotation.y = (Math.random() - 0.5) * 0.4
-    grave.rotation.z = (Math.random() - 0.5) * 0.4
-    grave.castShadow = true
-    graves.add(grave)
+const placeGraves = () => {
+    // Same seed = same graveyard
+    const random = experience.random.stream('graves').reset()
+
+    graves.clear()
+
+    for (let i = 0; i < 50; i++) {
+        const angle = random.next() * Math.PI * 2
+        const radius = 3 + random.next() * 6
+        const x = Math.sin(angle) * radius
+        const z = Math.cos(angle) * radius
+
+        const grave = new THREE.Mesh(graveGeometry, graveMaterial)
+        grave.position.set(x, 0.3, z)
+        grave.rotation.y = random.centered() * 0.4
+        grave.rotation.z = random.centered() * 0.4
+        grave.castShadow = true
+        graves.add(grave)
+    }
 }
 
+placeGraves()
+experience.seed.addEventListener('change', placeGraves)
+
 /**
  * Floor
  */
@@ -146,6 +159,7 @@ moonLight.shadow.mapSize.width = 256
 moonLight.shadow.mapSize.height = 256
 moonLight.shadow.camera.far = 15
 scene.add(moonLight)
+experience.quality.addShadowMap(moonLight) // 64 to 256 with the quality tier
 
 // Door light
 const doorLight = new THREE.PointLight('#ff7d46', 3, 7)
@@ -155,6 +169,7 @@ doorLight.shadow.mapSize.width = 256
 doorLight.shadow.mapSize.height = 256
 doorLight.shadow.camera.far = 7
 house.add(doorLight)
+experience.quality.addShadowMap(doorLight)
 
 /**
  * Ghosts (floating lights)
@@ -168,66 +183,42 @@ ghost3.castShadow = true
 scene.add(ghost1, ghost2, ghost3)
 
 /**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
+ * Camera path: from above the graves down to the door
  */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(4, 2, 5)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
+new CameraPath({ experience, ...approach, loop: false })
 
 /**
- * Renderer
+ * Isometric view: orthographic, down the diagonal (Camera > projection goes back)
  */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-renderer.setClearColor('#262837') // match fog color
-renderer.shadowMap.enabled = true
-renderer.shadowMap.type = THREE.PCFSoftShadowMap
+gui.add({
+    isometric: () => {
+        const { camera } = experience
+        camera.setProjection('orthographic')
+
+        const target = camera.controls?.target ?? camera.target
+        const distance = camera.instance.position.distanceTo(target)
+        camera.instance.position.copy(target).add(new THREE.Vector3(1, 1, 1).setLength(distance))
+        camera.instance.lookAt(target)
+    }
+}, 'isometric').name('isometric view')
 
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-
+experience.onUpdate(({ elapsed }) => {
     // Animate ghosts
-    const ghost1Angle = elapsedTime * 0.5
+    const ghost1Angle = elapsed * 0.5
     ghost1.position.x = Math.cos(ghost1Angle) * 4
     ghost1.position.z = Math.sin(ghost1Angle) * 4
-    ghost1.position.y = Math.sin(elapsedTime * 3)
+    ghost1.position.y = Math.sin(elapsed * 3)
 
-    const ghost2Angle = -elapsedTime * 0.32
+    const ghost2Angle = -elapsed * 0.32
     ghost2.position.x = Math.cos(ghost2Angle) * 5
     ghost2.position.z = Math.sin(ghost2Angle) * 5
-    ghost2.position.y = Math.sin(elapsedTime * 4) + Math.sin(elapsedTime * 2.5)
-
-    const ghost3Angle = -elapsedTime * 0.18
-    ghost3.position.x = Math.cos(ghost3Angle) * (7 + Math.sin(elapsedTime * 0.32))
-    ghost3.position.z = Math.sin(ghost3Angle) * (7 + Math.sin(elapsedTime * 0.5))
-    ghost3.position.y = Math.sin(elapsedTime * 4) + Math.sin(elapsedTime * 2.5)
+    ghost2.position.y = Math.sin(elapsed * 4) + Math.sin(elapsed * 2.5)
 
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+    const ghost3Angle = -elapsed * 0.18
+    ghost3.position.x = Math.cos(ghost3Angle) * (7 + Math.sin(elapsed * 0.32))
+    ghost3.position.z = Math.sin(ghost3Angle) * (7 + Math.sin(elapsed * 0.5))
+    ghost3.position.y = Math.sin(elapsed * 4) + Math.sin(elapsed * 2.5)
+})
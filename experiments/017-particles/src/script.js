@@ -1,6 +1,5 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
 
 /**
  * Particles
@@ -19,29 +18,52 @@ import GUI from 'lil-gui'
  * - vertexColors: per-particle colors
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+const experience = new Experience({
+    camera: { position: [0, 0, 3] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
 
 /**
  * Particles
  */
 const particlesGeometry = new THREE.BufferGeometry()
-const count = 5000
+const maxCount = 5000
 
 // Positions (x, y, z for each particle)
-const positions = new Float32Array(count * 3)
-const colors = new Float32Array(count * 3)
+const positions = new Float32Array(maxCount * 3)
+const colors = new Float32Array(maxCount * 3)
 
-for (let i = 0; i < count * 3; i++) {
-    positions[i] = (Math.random() - 0.5) * 10
-    colors[i] = Math.random() // RGB values 0-1
+const scatterParticles = () => {
+    const random = experience.random.stream('particles').reset()
+
+    for (let i = 0; i < maxCount * 3; i++) {
+        positions[i] = random.centered() * 10
+        colors[i] = random.next() // RGB values 0-1
+    }
+
+    particlesGeometry.attributes.position.needsUpdate = true
+    particlesGeometry.attributes.color.needsUpdate = true
 }
 
 particlesGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
 particlesGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
 
+scatterParticles()
+
+// Quality: fewer particles drawn (and animated) on slow machines
+let count = experience.quality.add('particles', {
+    min: 1000,
+    max: maxCount,
+    step: 500,
+    onChange: (value) => {
+        count = value
+        particlesGeometry.setDrawRange(0, count)
+    }
+})
+particlesGeometry.setDrawRange(0, count)
+experience.seed.addEventListener('change', scatterParticles)
+
 // Material
 const particlesMaterial = new THREE.PointsMaterial({
     size: 0.1,
@@ -63,56 +85,15 @@ scene.add(particles)
 // GUI
 gui.add(particlesMaterial, 'size').min(0.01).max(0.5).step(0.01)
 
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.z = 3
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    
+experience.onUpdate(({ elapsed }) => {
     // Animate particles (wave effect)
     for (let i = 0; i < count; i++) {
         const i3 = i * 3
         const x = particlesGeometry.attributes.position.array[i3]
-        particlesGeometry.attributes.position.array[i3 + 1] = Math.sin(elapsedTime + x)
+        particlesGeometry.attributes.position.array[i3 + 1] = Math.sin(elapsed + x)
     }
     particlesGeometry.attributes.position.needsUpdate = true
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+})
@@ -1,6 +1,5 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
 
 /**
  * Galaxy Generator
@@ -12,10 +11,11 @@ import GUI from 'lil-gui'
  * - GUI controls to tweak in real-time
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+const experience = new Experience({
+    camera: { position: [3, 3, 3] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
 
 /**
  * Galaxy parameters
@@ -32,6 +32,18 @@ const parameters = {
     outsideColor: '#1b3984'
 }
 
+// Quality: fewer stars on slow machines (the count slider still works, until the next tier change)
+parameters.count = experience.quality.add('particles', {
+    min: 20000,
+    max: parameters.count,
+    step: 1000,
+    onChange: (count) => {
+        parameters.count = count
+        countController.updateDisplay()
+        generateGalaxy()
+    }
+})
+
 let geometry = null
 let material = null
 let points = null
@@ -47,6 +59,9 @@ const generateGalaxy = () => {
         scene.remove(points)
     }
 
+    // Same seed + same parameters = same galaxy
+    const random = experience.random.stream('galaxy').reset()
+
     geometry = new THREE.BufferGeometry()
     
     const positions = new Float32Array(parameters.count * 3)
@@ -59,14 +74,14 @@ const generateGalaxy = () => {
         const i3 = i * 3
 
         // Position
-        const radius = Math.random() * parameters.radius
+        const radius = random.next() * parameters.radius
         const spinAngle = radius * parameters.spin
         const branchAngle = (i % parameters.branches) / parameters.branches * Math.PI * 2
 
         // Randomness (more at edges using power)
-        const randomX = Math.pow(Math.random(), parameters.randomnessPower) * (Math.random() < 0.5 ? 1 : -1) * parameters.randomness * radius
-        const randomY = Math.pow(Math.random(), parameters.randomnessPower) * (Math.random() < 0.5 ? 1 : -1) * parameters.randomness * radius
-        const randomZ = Math.pow(Math.random(), parameters.randomnessPower) * (Math.random() < 0.5 ? 1 : -1) * parameters.randomness * radius
+        const randomX = Math.pow(random.next(), parameters.randomnessPower) * random.sign() * parameters.randomness * radius
+        const randomY = Math.pow(random.next(), parameters.randomnessPower) * random.sign() * parameters.randomness * radius
+        const randomZ = Math.pow(random.next(), parameters.randomnessPower) * random.sign() * parameters.randomness * radius
 
         positions[i3] = Math.cos(branchAngle + spinAngle) * radius + randomX
         positions[i3 + 1] = randomY
@@ -101,7 +116,7 @@ generateGalaxy()
 /**
  * GUI - regenerate on change
  */
-gui.add(parameters, 'count').min(100).max(1000000).step(100).onFinishChange(generateGalaxy)
+const countController = gui.add(parameters, 'count').min(100).max(1000000).step(100).onFinishChange(generateGalaxy)
 gui.add(parameters, 'size').min(0.001).max(0.1).step(0.001).onFinishChange(generateGalaxy)
 gui.add(parameters, 'radius').min(0.01).max(20).step(0.01).onFinishChange(generateGalaxy)
 gui.add(parameters, 'branches').min(2).max(20).step(1).onFinishChange(generateGalaxy)
@@ -111,53 +126,18 @@ gui.add(parameters, 'randomnessPower').min(1).max(10).step(0.001).onFinishChange
 gui.addColor(parameters, 'insideColor').onFinishChange(generateGalaxy)
 gui.addColor(parameters, 'outsideColor').onFinishChange(generateGalaxy)
 
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
+// Rebuild when the seed is edited / rerolled
+experience.seed.addEventListener('change', generateGalaxy)
 
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(3, 3, 3)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+// Dev server: 'Leaks > check generateGalaxy' regenerates 5 times and fails if resources pile up
+experience.leaks?.addCheck('generateGalaxy', generateGalaxy)
 
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    
+experience.onUpdate(({ elapsed }) => {
     // Rotate galaxy
     if (points) {
-        points.rotation.y = elapsedTime * 0.1
+        points.rotation.y = elapsed * 0.1
     }
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+})
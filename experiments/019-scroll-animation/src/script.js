@@ -1,6 +1,9 @@
 import * as THREE from 'three'
 import GUI from 'lil-gui'
 import gsap from 'gsap'
+import Resources from 'lab-core/Resources.js'
+import CursorOrbitControls from 'lab-core/CursorOrbitControls.js'
+import assets from '../assets.json'
 
 /**
  * Scroll-based Animation
@@ -32,13 +35,18 @@ gui.addColor(parameters, 'materialColor').onChange(() => {
 /**
  * Objects
  */
-const textureLoader = new THREE.TextureLoader()
-const gradientTexture = textureLoader.load('/textures/gradients/3.jpg')
-gradientTexture.magFilter = THREE.NearestFilter
-
 const material = new THREE.MeshToonMaterial({
-    color: parameters.materialColor,
-    gradientMap: gradientTexture
+    color: parameters.materialColor
+})
+
+// Gradient map from assets.json (a placeholder if the file is missing)
+const resources = new Resources(assets.sources)
+resources.addEventListener('ready', () => {
+    const { gradientTexture } = resources.items
+    gradientTexture.magFilter = THREE.NearestFilter
+
+    material.gradientMap = gradientTexture
+    material.needsUpdate = true
 })
 
 // Meshes - one per section
@@ -139,13 +147,12 @@ window.addEventListener('scroll', () => {
 })
 
 /**
- * Cursor (for parallax)
+ * Cursor parallax (eased) on the group, the camera itself follows the scroll
  */
-const cursor = { x: 0, y: 0 }
-
-window.addEventListener('mousemove', (event) => {
-    cursor.x = event.clientX / sizes.width - 0.5
-    cursor.y = event.clientY / sizes.height - 0.5
+const parallax = new CursorOrbitControls(cameraGroup, canvas, {
+    mode: 'parallax',
+    amount: 0.5,
+    lookAtTarget: false
 })
 
 /**
@@ -170,10 +177,7 @@ const tick = () => {
     camera.position.y = -scrollY / sizes.height * objectsDistance
 
     // Parallax (eased)
-    const parallaxX = cursor.x * 0.5
-    const parallaxY = -cursor.y * 0.5
-    cameraGroup.position.x += (parallaxX - cameraGroup.position.x) * 5 * deltaTime
-    cameraGroup.position.y += (parallaxY - cameraGroup.position.y) * 5 * deltaTime
+    parallax.update(deltaTime)
 
     // Animate meshes (constant rotation)
     for (const mesh of sectionMeshes) {
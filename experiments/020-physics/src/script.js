@@ -1,7 +1,6 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import GUI from 'lil-gui'
 import * as CANNON from 'cannon-es'
+import { Experience } from 'lab-core'
 
 /**
  * Physics with Cannon.js (cannon-es)
@@ -16,12 +15,14 @@ import * as CANNON from 'cannon-es'
  * Libraries: cannon-es, ammo.js, rapier, oimo.js
  */
 
-const gui = new GUI()
+const experience = new Experience({
+    camera: { position: [-3, 3, 3] },
+    renderer: { shadows: 'pcfsoft' }
+})
+const { scene } = experience
+const gui = experience.debug.ui
 const debugObject = {}
 
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
-
 /**
  * Physics World
  */
@@ -128,23 +129,38 @@ createBox(1, 1, 1, { x: 2, y: 3, z: 0 })
 /**
  * GUI
  */
+// One continuous stream: the nth spawn after a given seed is always the same
+const spawnRandom = experience.random.stream('spawn')
+
 debugObject.createSphere = () => {
-    createSphere(Math.random() * 0.5, {
-        x: (Math.random() - 0.5) * 3,
+    createSphere(spawnRandom.next() * 0.5, {
+        x: spawnRandom.centered() * 3,
         y: 3,
-        z: (Math.random() - 0.5) * 3
+        z: spawnRandom.centered() * 3
     })
 }
 debugObject.createBox = () => {
-    createBox(Math.random(), Math.random(), Math.random(), {
-        x: (Math.random() - 0.5) * 3,
+    createBox(spawnRandom.next(), spawnRandom.next(), spawnRandom.next(), {
+        x: spawnRandom.centered() * 3,
         y: 3,
-        z: (Math.random() - 0.5) * 3
+        z: spawnRandom.centered() * 3
     })
 }
 
+debugObject.reset = () => {
+    for (const object of objectsToUpdate) {
+        world.removeBody(object.body)
+        scene.remove(object.mesh)
+    }
+    objectsToUpdate.length = 0
+}
+
 gui.add(debugObject, 'createSphere')
 gui.add(debugObject, 'createBox')
+gui.add(debugObject, 'reset')
+
+// Geometries and materials are shared by every spawn: kept alive on purpose after a reset
+experience.leaks?.ignore(sphereGeometry, sphereMaterial, boxGeometry, boxMaterial)
 
 /**
  * Lights
@@ -157,63 +173,18 @@ directionalLight.castShadow = true
 directionalLight.shadow.mapSize.set(1024, 1024)
 directionalLight.position.set(5, 5, 5)
 scene.add(directionalLight)
-
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(-3, 3, 3)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.shadowMap.enabled = true
-renderer.shadowMap.type = THREE.PCFSoftShadowMap
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+experience.quality.addShadowMap(directionalLight) // 256 to 1024 with the quality tier
 
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-let oldElapsedTime = 0
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    const deltaTime = elapsedTime - oldElapsedTime
-    oldElapsedTime = elapsedTime
-
+experience.onUpdate(({ delta }) => {
     // Update physics world
-    world.step(1 / 60, deltaTime, 3)
+    world.step(1 / 60, delta, 3)
 
     // Sync Three.js meshes with Cannon.js bodies
     for (const object of objectsToUpdate) {
         object.mesh.position.copy(object.body.position)
         object.mesh.quaternion.copy(object.body.quaternion)
     }
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+})
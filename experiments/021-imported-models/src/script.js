@@ -1,8 +1,6 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
+import assets from '../assets.json'
 
 /**
  * Imported Models
@@ -20,60 +18,47 @@ import GUI from 'lil-gui'
  * - asset: metadata
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+// Model + DRACO decoder path (need draco decoder files) come from assets.json
+const experience = new Experience({
+    ...assets,
+    camera: { position: [2, 2, 2], target: [0, 0.75, 0] },
+    renderer: { shadows: 'pcfsoft' },
+    loadingOverlay: { title: 'Fox' } // progress bar + file list, fades out on a shader plane
+})
+const { scene } = experience
 
 /**
  * Models
  */
+let mixer = null // for animations
 
-// DRACO Loader (for compressed models)
-const dracoLoader = new DRACOLoader()
-dracoLoader.setDecoderPath('/draco/') // need draco decoder files
+experience.addEventListener('ready', () => {
+    const gltf = experience.resources.items.foxModel
+    console.log('Model loaded:', gltf)
 
-// GLTF Loader
-const gltfLoader = new GLTFLoader()
-gltfLoader.setDRACOLoader(dracoLoader)
+    // Option 1: Add entire scene
+    // scene.add(gltf.scene)
 
-let mixer = null // for animations
+    // Option 2: Add children individually
+    // while (gltf.scene.children.length) {
+    //     scene.add(gltf.scene.children[0])
+    // }
 
-gltfLoader.load(
-    '/models/Fox/glTF/Fox.gltf', // or .glb
-    (gltf) => {
-        console.log('Model loaded:', gltf)
-        
-        // Option 1: Add entire scene
-        // scene.add(gltf.scene)
-        
-        // Option 2: Add children individually
-        // while (gltf.scene.children.length) {
-        //     scene.add(gltf.scene.children[0])
-        // }
-        
-        // Option 3: Add scene but scale/position
-        gltf.scene.scale.set(0.025, 0.025, 0.025)
-        scene.add(gltf.scene)
-        
-        // Animations
-        if (gltf.animations.length > 0) {
-            mixer = new THREE.AnimationMixer(gltf.scene)
-            const action = mixer.clipAction(gltf.animations[0])
-            action.play()
-            
-            // GUI to switch animations
-            const animationNames = gltf.animations.map(a => a.name)
-            console.log('Animations:', animationNames)
-        }
-    },
-    (progress) => {
-        console.log('Loading progress:', (progress.loaded / progress.total * 100) + '%')
-    },
-    (error) => {
-        console.error('Error loading model:', error)
+    // Option 3: Add scene but scale/position (the missing-model placeholder is already to scale)
+    if (!gltf.userData.placeholder) gltf.scene.scale.set(0.025, 0.025, 0.025)
+    scene.add(gltf.scene)
+
+    // Animations
+    if (gltf.animations.length > 0) {
+        mixer = new THREE.AnimationMixer(gltf.scene)
+        const action = mixer.clipAction(gltf.animations[0])
+        action.play()
+
+        // GUI to switch animations
+        const animationNames = gltf.animations.map(a => a.name)
+        console.log('Animations:', animationNames)
     }
-)
+})
 
 /**
  * Floor
@@ -106,60 +91,14 @@ directionalLight.shadow.camera.right = 7
 directionalLight.shadow.camera.bottom = -7
 directionalLight.position.set(5, 5, 5)
 scene.add(directionalLight)
-
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(2, 2, 2)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.target.set(0, 0.75, 0)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.shadowMap.enabled = true
-renderer.shadowMap.type = THREE.PCFSoftShadowMap
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+experience.quality.addShadowMap(directionalLight) // 256 to 1024 with the quality tier
 
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-let previousTime = 0
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-    const deltaTime = elapsedTime - previousTime
-    previousTime = elapsedTime
-
+experience.onUpdate(({ delta }) => {
     // Update animation mixer
     if (mixer) {
-        mixer.update(deltaTime)
+        mixer.update(delta)
     }
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+})
@@ -1,9 +1,8 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
-import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js'
 import { GroundedSkybox } from 'three/examples/jsm/objects/GroundedSkybox.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
+import CameraBookmarks from 'lab-core/CameraBookmarks.js'
+import assets from '../assets.json'
 
 /**
  * Environment Maps
@@ -23,17 +22,20 @@ import GUI from 'lil-gui'
  * - AI generation
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+// HDR + model come from assets.json
+const experience = new Experience({
+    ...assets,
+    camera: { position: [4, 5, 4], target: [0, 3.5, 0] },
+    // Mostly static: render when the camera, the GUI or a load changes something
+    scheduler: { onDemand: true }
+})
+const { scene } = experience
+const gui = experience.debug.ui
 
 /**
- * Loaders
+ * Loaders (for the other methods below)
  */
-const gltfLoader = new GLTFLoader()
 const cubeTextureLoader = new THREE.CubeTextureLoader()
-const rgbeLoader = new RGBELoader()
 const textureLoader = new THREE.TextureLoader()
 
 /**
@@ -53,9 +55,10 @@ const textureLoader = new THREE.TextureLoader()
 // scene.environment = environmentMap
 
 // Method 2: HDR Equirectangular (single image, better quality)
-rgbeLoader.load('/textures/environmentMap/2k.hdr', (environmentMap) => {
+experience.addEventListener('ready', () => {
+    const { environmentMap } = experience.resources.items
     environmentMap.mapping = THREE.EquirectangularReflectionMapping
-    
+
     scene.background = environmentMap
     scene.environment = environmentMap
 })
@@ -91,60 +94,48 @@ torusKnot.position.y = 4
 torusKnot.position.x = -4
 scene.add(torusKnot)
 
-// Load a model
-gltfLoader.load('/models/FlightHelmet/glTF/FlightHelmet.gltf', (gltf) => {
-    gltf.scene.scale.set(10, 10, 10)
-    scene.add(gltf.scene)
+// Load a model (the missing-model placeholder is already to scale)
+experience.addEventListener('ready', () => {
+    const { flightHelmet } = experience.resources.items
+    if (!flightHelmet.userData.placeholder) flightHelmet.scene.scale.set(10, 10, 10)
+    scene.add(flightHelmet.scene)
 })
 
 /**
- * Sizes
+ * Camera bookmarks: keys 1 to 5, or Bookmarks > view
  */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+new CameraBookmarks({
+    experience,
+    bookmarks: [
+        { name: 'three quarter', position: [4, 5, 4], target: [0, 3.5, 0] },
+        { name: 'front', position: [0, 4, 6.5], target: [0, 3.5, 0] },
+        { name: 'visor', position: [0.8, 4.6, 2.4], target: [0, 4.3, 0], fov: 40 },
+        { name: 'back', position: [-2.5, 4.5, -5.5], target: [0, 3.5, 0] },
+        { name: 'torus knot', position: [-2, 5, 3.5], target: [-4, 4, 0], fov: 50 }
+    ]
 })
 
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(4, 5, 4)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.target.y = 3.5
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
 /**
  * Animate
+ * The loop runs while the knot spins: turn it off and it only renders on changes
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-
-    // Rotate torus knot
-    if (torusKnot) {
-        torusKnot.rotation.y = elapsedTime * 0.3
+const animation = { spin: true }
+let releaseSpin = null
+
+const setSpin = (spin) => {
+    if (spin && !releaseSpin) releaseSpin = experience.scheduler.animate()
+    if (!spin) {
+        releaseSpin?.()
+        releaseSpin = null
     }
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
 }
+setSpin(animation.spin)
+
+gui.add(animation, 'spin').name('spin torus knot').onChange(setSpin)
 
-tick()
+experience.onUpdate(({ delta }) => {
+    // Rotate torus knot (by delta: frames rendered for the camera don't turn it)
+    if (animation.spin) {
+        torusKnot.rotation.y += delta * 0.3
+    }
+})
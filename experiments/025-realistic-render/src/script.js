@@ -1,8 +1,8 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
-import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js'
-import GUI from 'lil-gui'
+import { Experience, CameraPath, Viewports } from 'lab-core'
+import CameraBookmarks from 'lab-core/CameraBookmarks.js'
+import assets from '../assets.json'
+import turntablePath from '../camera-path.json'
 
 /**
  * Realistic Render
@@ -27,28 +27,28 @@ import GUI from 'lil-gui'
  * 4. Model:
  *    - Traverse and update materials
  *    - Enable shadows on meshes
+ * 
+ * 5. Turntable:
+ *    - Closed camera path around the helmet (Camera path > play)
+ * 
+ * 6. Comparing tone mappings:
+ *    - Viewports > layout: split / quad side by side, wipe with a divider
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
-
-/**
- * Loaders
- */
-const gltfLoader = new GLTFLoader()
-const rgbeLoader = new RGBELoader()
-
-/**
- * Environment Map
- */
-rgbeLoader.load('/textures/environmentMap/2k.hdr', (environmentMap) => {
-    environmentMap.mapping = THREE.EquirectangularReflectionMapping
-    
-    scene.background = environmentMap
-    scene.environment = environmentMap
+// HDR + model come from assets.json
+const experience = new Experience({
+    ...assets,
+    camera: { position: [4, 5, 4], target: [0, 3.5, 0] },
+    renderer: {
+        antialias: true, // smooth edges
+        toneMapping: THREE.ACESFilmicToneMapping, // HDR to LDR
+        toneMappingExposure: 1,
+        shadows: 'pcfsoft'
+    }
 })
+const { scene } = experience
+const renderer = experience.renderer.instance
+const gui = experience.debug.ui
 
 /**
  * Directional Light (sun)
@@ -64,23 +64,13 @@ directionalLight.shadow.normalBias = 0.027
 directionalLight.shadow.bias = -0.004
 
 scene.add(directionalLight)
+experience.quality.addShadowMap(directionalLight) // 256 to 1024 with the quality tier
 
 gui.add(directionalLight, 'intensity').min(0).max(10).step(0.001).name('Light Intensity')
 gui.add(directionalLight.position, 'x').min(-10).max(10).step(0.001).name('Light X')
 gui.add(directionalLight.position, 'y').min(-10).max(10).step(0.001).name('Light Y')
 gui.add(directionalLight.position, 'z').min(-10).max(10).step(0.001).name('Light Z')
 
-/**
- * Model
- */
-gltfLoader.load('/models/FlightHelmet/glTF/FlightHelmet.gltf', (gltf) => {
-    gltf.scene.scale.set(10, 10, 10)
-    scene.add(gltf.scene)
-    
-    // Update all materials in the model
-    updateAllMaterials()
-})
-
 /**
  * Update all materials for realism
  */
@@ -98,48 +88,26 @@ const updateAllMaterials = () => {
 }
 
 /**
- * Sizes
+ * Environment map + model
  */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
+experience.addEventListener('ready', () => {
+    const { environmentMap, flightHelmet } = experience.resources.items
 
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(4, 5, 4)
-scene.add(camera)
+    environmentMap.mapping = THREE.EquirectangularReflectionMapping
+    scene.background = environmentMap
+    scene.environment = environmentMap
+
+    // The missing-model placeholder is already to scale
+    if (!flightHelmet.userData.placeholder) flightHelmet.scene.scale.set(10, 10, 10)
+    scene.add(flightHelmet.scene)
 
-const controls = new OrbitControls(camera, canvas)
-controls.target.y = 3.5
-controls.enableDamping = true
+    // Update all materials in the model
+    updateAllMaterials()
+})
 
 /**
  * Renderer - Realistic settings
  */
-const renderer = new THREE.WebGLRenderer({ 
-    canvas,
-    antialias: true  // smooth edges
-})
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
-// Tone mapping (HDR to LDR)
-renderer.toneMapping = THREE.ACESFilmicToneMapping
-renderer.toneMappingExposure = 1
-
-// Shadows
-renderer.shadowMap.enabled = true
-renderer.shadowMap.type = THREE.PCFSoftShadowMap
-
 gui.add(renderer, 'toneMapping', {
     No: THREE.NoToneMapping,
     Linear: THREE.LinearToneMapping,
@@ -151,16 +119,33 @@ gui.add(renderer, 'toneMapping', {
 gui.add(renderer, 'toneMappingExposure').min(0).max(10).step(0.001)
 
 /**
- * Animate
+ * Viewports: the same helmet through different tone mappings
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
+new Viewports({
+    experience,
+    views: [
+        { label: 'ACESFilmic', toneMapping: THREE.ACESFilmicToneMapping },
+        { label: 'AgX', toneMapping: THREE.AgXToneMapping },
+        { label: 'Neutral', toneMapping: THREE.NeutralToneMapping },
+        { label: 'Reinhard', toneMapping: THREE.ReinhardToneMapping }
+    ]
+})
 
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
+/**
+ * Camera bookmarks: keys 1 to 5, or Bookmarks > view
+ */
+new CameraBookmarks({
+    experience,
+    bookmarks: [
+        { name: 'three quarter', position: [4, 5, 4], target: [0, 3.5, 0] },
+        { name: 'front', position: [0, 4, 6.5], target: [0, 3.5, 0] },
+        { name: 'visor', position: [0.8, 4.6, 2.4], target: [0, 4.3, 0], fov: 40 },
+        { name: 'back', position: [-2.5, 4.5, -5.5], target: [0, 3.5, 0] },
+        { name: 'top', position: [0.5, 9, 1.5], target: [0, 3, 0] }
+    ]
+})
 
-tick()
+/**
+ * Turntable
+ */
+new CameraPath({ experience, ...turntablePath })
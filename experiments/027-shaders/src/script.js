@@ -1,6 +1,6 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
+import assets from '../assets.json'
 
 /**
  * Shaders
@@ -23,16 +23,13 @@ import GUI from 'lil-gui'
  * - varying: passed from vertex to fragment shader
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
-
-/**
- * Textures
- */
-const textureLoader = new THREE.TextureLoader()
-const flagTexture = textureLoader.load('/textures/flag.jpg') // You'd need this texture
+// Flag texture comes from assets.json (a checker placeholder until static/textures/flag.jpg exists)
+const experience = new Experience({
+    ...assets,
+    camera: { position: [0.25, -0.25, 1] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
 
 /**
  * Custom Shader Material
@@ -81,11 +78,15 @@ const material = new THREE.ShaderMaterial({
         uFrequency: { value: new THREE.Vector2(10, 5) },
         uTime: { value: 0 },
         uColor: { value: new THREE.Color('orange') },
-        uTexture: { value: flagTexture }
+        uTexture: { value: null }
     },
     side: THREE.DoubleSide
 })
 
+experience.addEventListener('ready', () => {
+    material.uniforms.uTexture.value = experience.resources.items.flagTexture
+})
+
 // GUI
 gui.add(material.uniforms.uFrequency.value, 'x').min(0).max(20).step(0.01).name('frequencyX')
 gui.add(material.uniforms.uFrequency.value, 'y').min(0).max(20).step(0.01).name('frequencyY')
@@ -98,51 +99,10 @@ const mesh = new THREE.Mesh(geometry, material)
 mesh.scale.y = 2 / 3
 scene.add(mesh)
 
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(0.25, -0.25, 1)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-
+experience.onUpdate(({ elapsed }) => {
     // Update shader uniform
-    material.uniforms.uTime.value = elapsedTime
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+    material.uniforms.uTime.value = elapsed
+})
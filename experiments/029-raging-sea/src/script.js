@@ -0,0 +1,274 @@
+import * as THREE from 'three'
+import { Experience } from 'lab-core'
+import AudioReactive from 'lab-core/AudioReactive.js'
+
+// Setup
+const experience = new Experience({
+    camera: { position: [1, 1, 1.5] },
+    renderer: { antialias: true }
+})
+const { scene } = experience
+const audio = new AudioReactive({ experience })
+scene.background = new THREE.Color('#001122')
+
+// ============================================
+// RAGING SEA SHADER
+// ============================================
+
+const vertexShader = `
+    uniform float uTime;
+    uniform float uBigWavesElevation;
+    uniform vec2 uBigWavesFrequency;
+    uniform float uBigWavesSpeed;
+    uniform float uSmallWavesElevation;
+    uniform float uSmallWavesFrequency;
+    uniform float uSmallWavesSpeed;
+    uniform float uSmallIterations;
+
+    varying float vElevation;
+    varying vec3 vNormal;
+    varying vec3 vPosition;
+
+    // Classic Perlin 3D Noise (simplified)
+    vec4 permute(vec4 x) {
+        return mod(((x * 34.0) + 1.0) * x, 289.0);
+    }
+    vec4 taylorInvSqrt(vec4 r) {
+        return 1.79284291400159 - 0.85373472095314 * r;
+    }
+    vec3 fade(vec3 t) {
+        return t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
+    }
+
+    float cnoise(vec3 P) {
+        vec3 Pi0 = floor(P);
+        vec3 Pi1 = Pi0 + vec3(1.0);
+        Pi0 = mod(Pi0, 289.0);
+        Pi1 = mod(Pi1, 289.0);
+        vec3 Pf0 = fract(P);
+        vec3 Pf1 = Pf0 - vec3(1.0);
+        vec4 ix = vec4(Pi0.x, Pi1.x, Pi0.x, Pi1.x);
+        vec4 iy = vec4(Pi0.yy, Pi1.yy);
+        vec4 iz0 = Pi0.zzzz;
+        vec4 iz1 = Pi1.zzzz;
+
+        vec4 ixy = permute(permute(ix) + iy);
+        vec4 ixy0 = permute(ixy + iz0);
+        vec4 ixy1 = permute(ixy + iz1);
+
+        vec4 gx0 = ixy0 / 7.0;
+        vec4 gy0 = fract(floor(gx0) / 7.0) - 0.5;
+        gx0 = fract(gx0);
+        vec4 gz0 = vec4(0.5) - abs(gx0) - abs(gy0);
+        vec4 sz0 = step(gz0, vec4(0.0));
+        gx0 -= sz0 * (step(0.0, gx0) - 0.5);
+        gy0 -= sz0 * (step(0.0, gy0) - 0.5);
+
+        vec4 gx1 = ixy1 / 7.0;
+        vec4 gy1 = fract(floor(gx1) / 7.0) - 0.5;
+        gx1 = fract(gx1);
+        vec4 gz1 = vec4(0.5) - abs(gx1) - abs(gy1);
+        vec4 sz1 = step(gz1, vec4(0.0));
+        gx1 -= sz1 * (step(0.0, gx1) - 0.5);
+        gy1 -= sz1 * (step(0.0, gy1) - 0.5);
+
+        vec3 g000 = vec3(gx0.x, gy0.x, gz0.x);
+        vec3 g100 = vec3(gx0.y, gy0.y, gz0.y);
+        vec3 g010 = vec3(gx0.z, gy0.z, gz0.z);
+        vec3 g110 = vec3(gx0.w, gy0.w, gz0.w);
+        vec3 g001 = vec3(gx1.x, gy1.x, gz1.x);
+        vec3 g101 = vec3(gx1.y, gy1.y, gz1.y);
+        vec3 g011 = vec3(gx1.z, gy1.z, gz1.z);
+        vec3 g111 = vec3(gx1.w, gy1.w, gz1.w);
+
+        vec4 norm0 = taylorInvSqrt(vec4(dot(g000, g000), dot(g010, g010), dot(g100, g100), dot(g110, g110)));
+        g000 *= norm0.x; g010 *= norm0.y; g100 *= norm0.z; g110 *= norm0.w;
+        vec4 norm1 = taylorInvSqrt(vec4(dot(g001, g001), dot(g011, g011), dot(g101, g101), dot(g111, g111)));
+        g001 *= norm1.x; g011 *= norm1.y; g101 *= norm1.z; g111 *= norm1.w;
+
+        float n000 = dot(g000, Pf0);
+        float n100 = dot(g100, vec3(Pf1.x, Pf0.yz));
+        float n010 = dot(g010, vec3(Pf0.x, Pf1.y, Pf0.z));
+        float n110 = dot(g110, vec3(Pf1.xy, Pf0.z));
+        float n001 = dot(g001, vec3(Pf0.xy, Pf1.z));
+        float n101 = dot(g101, vec3(Pf1.x, Pf0.y, Pf1.z));
+        float n011 = dot(g011, vec3(Pf0.x, Pf1.yz));
+        float n111 = dot(g111, Pf1);
+
+        vec3 fade_xyz = fade(Pf0);
+        vec4 n_z = mix(vec4(n000, n100, n010, n110), vec4(n001, n101, n011, n111), fade_xyz.z);
+        vec2 n_yz = mix(n_z.xy, n_z.zw, fade_xyz.y);
+        float n_xyz = mix(n_yz.x, n_yz.y, fade_xyz.x);
+        return 2.2 * n_xyz;
+    }
+
+    void main() {
+        vec4 modelPosition = modelMatrix * vec4(position, 1.0);
+
+        // Big waves
+        float elevation = sin(modelPosition.x * uBigWavesFrequency.x + uTime * uBigWavesSpeed) *
+                         sin(modelPosition.z * uBigWavesFrequency.y + uTime * uBigWavesSpeed) *
+                         uBigWavesElevation;
+
+        // Small waves (noise-based)
+        for(float i = 1.0; i <= uSmallIterations; i++) {
+            elevation -= abs(cnoise(vec3(
+                modelPosition.xz * uSmallWavesFrequency * i,
+                uTime * uSmallWavesSpeed
+            )) * uSmallWavesElevation / i);
+        }
+
+        modelPosition.y += elevation;
+
+        vec4 viewPosition = viewMatrix * modelPosition;
+        vec4 projectedPosition = projectionMatrix * viewPosition;
+
+        gl_Position = projectedPosition;
+
+        // Varyings
+        vElevation = elevation;
+        vPosition = modelPosition.xyz;
+    }
+`
+
+const fragmentShader = `
+    uniform vec3 uDepthColor;
+    uniform vec3 uSurfaceColor;
+    uniform float uColorOffset;
+    uniform float uColorMultiplier;
+
+    varying float vElevation;
+    varying vec3 vPosition;
+
+    void main() {
+        // Color based on elevation
+        float mixStrength = (vElevation + uColorOffset) * uColorMultiplier;
+        mixStrength = clamp(mixStrength, 0.0, 1.0);
+
+        vec3 color = mix(uDepthColor, uSurfaceColor, mixStrength);
+
+        // Add foam on peaks
+        float foam = smoothstep(0.1, 0.2, vElevation);
+        color = mix(color, vec3(1.0), foam * 0.3);
+
+        gl_FragColor = vec4(color, 1.0);
+    }
+`
+
+// Shader Material
+const waterMaterial = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    uniforms: {
+        uTime: { value: 0 },
+        uBigWavesElevation: { value: 0.2 },
+        uBigWavesFrequency: { value: new THREE.Vector2(4, 1.5) },
+        uBigWavesSpeed: { value: 0.75 },
+        uSmallWavesElevation: { value: 0.15 },
+        uSmallWavesFrequency: { value: 3 },
+        uSmallWavesSpeed: { value: 0.2 },
+        uSmallIterations: { value: 4 },
+        uDepthColor: { value: new THREE.Color('#186691') },
+        uSurfaceColor: { value: new THREE.Color('#9bd8ff') },
+        uColorOffset: { value: 0.08 },
+        uColorMultiplier: { value: 5 }
+    },
+    side: THREE.DoubleSide
+})
+
+// Water geometry
+// Quality: fewer segments on slow machines (the vertex shader runs per vertex)
+const segments = experience.quality.add('segments', {
+    min: 128,
+    max: 512,
+    step: 64,
+    onChange: (value) => {
+        water.geometry.dispose()
+        water.geometry = new THREE.PlaneGeometry(3, 3, value, value)
+    }
+})
+const waterGeometry = new THREE.PlaneGeometry(3, 3, segments, segments)
+const water = new THREE.Mesh(waterGeometry, waterMaterial)
+water.rotation.x = -Math.PI / 2
+scene.add(water)
+
+// ============================================
+// UI CONTROLS
+// ============================================
+const gui = experience.debug.ui
+const uniforms = waterMaterial.uniforms
+const colors = {
+    depthColor: '#186691',
+    surfaceColor: '#9bd8ff'
+}
+
+const bigWaves = gui.addFolder('Big Waves')
+const elevationController = bigWaves.add(uniforms.uBigWavesElevation, 'value').min(0).max(0.5).step(0.01).name('elevation')
+bigWaves.add(uniforms.uBigWavesFrequency.value, 'x').min(0).max(10).step(0.1).name('frequency X')
+bigWaves.add(uniforms.uBigWavesFrequency.value, 'y').min(0).max(10).step(0.1).name('frequency Z')
+bigWaves.add(uniforms.uBigWavesSpeed, 'value').min(0).max(2).step(0.01).name('speed')
+
+const smallWaves = gui.addFolder('Small Waves')
+smallWaves.add(uniforms.uSmallWavesElevation, 'value').min(0).max(1).step(0.01).name('elevation')
+smallWaves.add(uniforms.uSmallWavesFrequency, 'value').min(0).max(30).step(0.01).name('frequency')
+smallWaves.add(uniforms.uSmallWavesSpeed, 'value').min(0).max(4).step(0.01).name('speed')
+smallWaves.add(uniforms.uSmallIterations, 'value').min(0).max(5).step(1).name('iterations')
+
+const color = gui.addFolder('Color')
+color.addColor(colors, 'depthColor').name('deep').onChange(() => uniforms.uDepthColor.value.set(colors.depthColor))
+color.addColor(colors, 'surfaceColor').name('surface').onChange(() => uniforms.uSurfaceColor.value.set(colors.surfaceColor))
+color.add(uniforms.uColorOffset, 'value').min(0).max(1).step(0.001).name('offset')
+color.add(uniforms.uColorMultiplier, 'value').min(0).max(10).step(0.001).name('multiplier')
+
+// Audio > play: the swell follows the bass (more bindings in Audio > Bindings)
+audio.bind(elevationController, { signal: 'bass', amount: 0.3 })
+
+// Animation
+experience.onUpdate(({ elapsed }) => {
+    waterMaterial.uniforms.uTime.value = elapsed
+})
+
+// ============================================
+// LEARNINGS SUMMARY
+// ============================================
+/*
+RAGING SEA SHADER TECHNIQUES:
+
+1. LAYERED WAVES:
+   - Big waves: sin() functions for main shape
+   - Small waves: Perlin noise for organic detail
+   - Combine multiple octaves (iterations)
+
+2. WAVE FORMULA:
+   elevation = sin(x * freqX + time * speed) *
+              sin(z * freqZ + time * speed) *
+              amplitude
+
+3. NOISE LAYERING (FBM - Fractal Brownian Motion):
+   for(i = 1; i <= iterations; i++) {
+       elevation += noise(pos * freq * i) * amp / i;
+   }
+   - Higher i = finer detail, less amplitude
+
+4. COLOR BY ELEVATION:
+   mixStrength = (elevation + offset) * multiplier;
+   color = mix(deepColor, surfaceColor, mixStrength);
+
+5. FOAM EFFECT:
+   foam = smoothstep(threshold, threshold + range, elevation);
+   color = mix(color, white, foam * intensity);
+
+6. PERLIN NOISE:
+   - Continuous, smooth randomness
+   - 3D noise allows time-based animation
+   - cnoise(vec3(x, z, time))
+
+7. HIGH RESOLUTION NEEDED:
+   - PlaneGeometry(3, 3, 512, 512)
+   - More segments = smoother waves
+   - But more GPU cost
+
+8. PERFORMANCE TIP:
+   - uSmallIterations controls noise octaves
+   - Less iterations = faster but less detail
+*/
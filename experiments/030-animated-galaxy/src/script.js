@@ -1,6 +1,6 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
+import AudioReactive from 'lab-core/AudioReactive.js'
 
 /**
  * Animated Galaxy with Shaders
@@ -15,10 +15,12 @@ import GUI from 'lil-gui'
  * - Fragment shader handles color + shape
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
+const experience = new Experience({
+    camera: { position: [3, 3, 3] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
+const audio = new AudioReactive({ experience })
 
 /**
  * Galaxy Parameters
@@ -35,10 +37,30 @@ const parameters = {
     outsideColor: '#1b3984'
 }
 
+// Quality: fewer stars on slow machines (the count slider still works, until the next tier change)
+parameters.count = experience.quality.add('particles', {
+    min: 50000,
+    max: parameters.count,
+    step: 1000,
+    onChange: (count) => {
+        parameters.count = count
+        countController.updateDisplay()
+        generateGalaxy()
+    }
+})
+
 let geometry = null
 let material = null
 let points = null
 
+// Shared by every generated material, so GUI and audio bindings survive a regeneration
+const uniforms = {
+    uTime: { value: 0 },
+    uSize: { value: 30 * experience.sizes.pixelRatio },
+    uAudioSpectrum: { value: 1 },
+    ...audio.uniforms
+}
+
 /**
  * Generate Galaxy
  */
@@ -50,6 +72,9 @@ const generateGalaxy = () => {
         scene.remove(points)
     }
 
+    // Same seed + same parameters = same galaxy
+    const random = experience.random.stream('galaxy').reset()
+
     geometry = new THREE.BufferGeometry()
 
     const positions = new Float32Array(parameters.count * 3)
@@ -64,7 +89,7 @@ const generateGalaxy = () => {
         const i3 = i * 3
 
         // Position (on the branch, no randomness yet - that's in shader)
-        const radius = Math.random() * parameters.radius
+        const radius = random.next() * parameters.radius
         const branchAngle = (i % parameters.branches) / parameters.branches * Math.PI * 2
 
         positions[i3] = Math.cos(branchAngle) * radius
@@ -72,9 +97,9 @@ const generateGalaxy = () => {
         positions[i3 + 2] = Math.sin(branchAngle) * radius
 
         // Randomness (stored as attribute, applied in shader)
-        const randomX = Math.pow(Math.random(), parameters.randomnessPower) * (Math.random() < 0.5 ? 1 : -1) * parameters.randomness * radius
-        const randomY = Math.pow(Math.random(), parameters.randomnessPower) * (Math.random() < 0.5 ? 1 : -1) * parameters.randomness * radius
-        const randomZ = Math.pow(Math.random(), parameters.randomnessPower) * (Math.random() < 0.5 ? 1 : -1) * parameters.randomness * radius
+        const randomX = Math.pow(random.next(), parameters.randomnessPower) * random.sign() * parameters.randomness * radius
+        const randomY = Math.pow(random.next(), parameters.randomnessPower) * random.sign() * parameters.randomness * radius
+        const randomZ = Math.pow(random.next(), parameters.randomnessPower) * random.sign() * parameters.randomness * radius
 
         randomness[i3] = randomX
         randomness[i3 + 1] = randomY
@@ -89,7 +114,7 @@ const generateGalaxy = () => {
         colors[i3 + 2] = mixedColor.b
 
         // Scale (random size per particle)
-        scales[i] = Math.random()
+        scales[i] = random.next()
     }
 
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
@@ -104,13 +129,12 @@ const generateGalaxy = () => {
         depthWrite: false,
         blending: THREE.AdditiveBlending,
         vertexColors: true,
-        uniforms: {
-            uTime: { value: 0 },
-            uSize: { value: 30 * renderer.getPixelRatio() }
-        },
+        uniforms,
         vertexShader: `
             uniform float uTime;
             uniform float uSize;
+            uniform float uAudioSpectrum;
+            uniform sampler2D uAudioFft;
             
             attribute float aScale;
             attribute vec3 aRandomness;
@@ -139,6 +163,10 @@ const generateGalaxy = () => {
                 
                 // Size attenuation
                 gl_PointSize = uSize * aScale;
+
+                // Audio: each star follows its frequency, bass at the center, treble outside
+                float frequency = texture2D(uAudioFft, vec2(pow(distanceToCenter / 5.0, 2.0) * 0.5, 0.25)).r;
+                gl_PointSize *= 1.0 + frequency * uAudioSpectrum;
                 gl_PointSize *= (1.0 / -viewPosition.z);
                 
                 // Pass color to fragment
@@ -170,63 +198,33 @@ const generateGalaxy = () => {
     scene.add(points)
 }
 
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(3, 3, 3)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-
-// Generate galaxy after renderer exists
+// Generate galaxy after the experience (and its pixel ratio) exists
 generateGalaxy()
 
 // GUI
-gui.add(parameters, 'count').min(100).max(1000000).step(100).onFinishChange(generateGalaxy)
+const countController = gui.add(parameters, 'count').min(100).max(1000000).step(100).onFinishChange(generateGalaxy)
 gui.add(parameters, 'radius').min(0.01).max(20).step(0.01).onFinishChange(generateGalaxy)
 gui.add(parameters, 'branches').min(2).max(20).step(1).onFinishChange(generateGalaxy)
 gui.add(parameters, 'randomness').min(0).max(2).step(0.001).onFinishChange(generateGalaxy)
 gui.add(parameters, 'randomnessPower').min(1).max(10).step(0.001).onFinishChange(generateGalaxy)
 gui.addColor(parameters, 'insideColor').onFinishChange(generateGalaxy)
 gui.addColor(parameters, 'outsideColor').onFinishChange(generateGalaxy)
+const sizeController = gui.add(uniforms.uSize, 'value').min(1).max(120).step(0.1).name('uSize')
+gui.add(uniforms.uAudioSpectrum, 'value').min(0).max(4).step(0.01).name('audio spectrum')
+
+// Audio > play: the stars pulse with the bass (more bindings in Audio > Bindings)
+audio.bind(sizeController, { signal: 'bass', amount: 0.25 })
+
+// Rebuild when the seed is edited / rerolled
+experience.seed.addEventListener('change', generateGalaxy)
+
+// Dev server: 'Leaks > check generateGalaxy' regenerates 5 times and fails if resources pile up
+experience.leaks?.addCheck('generateGalaxy', generateGalaxy)
 
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-
+experience.onUpdate(({ elapsed }) => {
     // Update shader uniform
-    material.uniforms.uTime.value = elapsedTime
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+    uniforms.uTime.value = elapsed
+})
@@ -1,7 +1,6 @@
 import * as THREE from 'three'
-import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
-import GUI from 'lil-gui'
+import { Experience } from 'lab-core'
+import assets from '../assets.json'
 
 /**
  * Modified Materials
@@ -20,31 +19,17 @@ import GUI from 'lil-gui'
  * - #include <project_vertex> - before projection
  */
 
-const gui = new GUI()
-
-const canvas = document.querySelector('canvas.webgl')
-const scene = new THREE.Scene()
-
-/**
- * Loaders
- */
-const textureLoader = new THREE.TextureLoader()
-const gltfLoader = new GLTFLoader()
-
-/**
- * Environment map
- */
-const cubeTextureLoader = new THREE.CubeTextureLoader()
-const environmentMap = cubeTextureLoader.load([
-    '/textures/environmentMaps/0/px.jpg',
-    '/textures/environmentMaps/0/nx.jpg',
-    '/textures/environmentMaps/0/py.jpg',
-    '/textures/environmentMaps/0/ny.jpg',
-    '/textures/environmentMaps/0/pz.jpg',
-    '/textures/environmentMaps/0/nz.jpg'
-])
-scene.background = environmentMap
-scene.environment = environmentMap
+// Environment map + model come from assets.json
+const experience = new Experience({
+    ...assets,
+    camera: { position: [4, 1, -4] },
+    renderer: {
+        shadows: 'pcf',
+        toneMapping: THREE.ACESFilmicToneMapping,
+        toneMappingExposure: 1
+    }
+})
+const { scene } = experience
 
 /**
  * Material with modified shaders
@@ -79,14 +64,12 @@ material.onBeforeCompile = (shader) => {
     )
     
     // Twist the model based on elevation
+    // (angle and rotateMatrix come from beginnormal_vertex, included before it)
     shader.vertexShader = shader.vertexShader.replace(
         '#include <begin_vertex>',
         `
         #include <begin_vertex>
         
-        float angle = (position.y + uTime) * 0.9;
-        mat2 rotateMatrix = get2dRotateMatrix(angle);
-        
         transformed.xz = rotateMatrix * transformed.xz;
         `
     )
@@ -151,9 +134,17 @@ plane.position.y = -5
 plane.position.z = 5
 scene.add(plane)
 
-// Load model and apply custom material
-gltfLoader.load('/models/LeePerrySmith/LeePerrySmith.glb', (gltf) => {
-    const mesh = gltf.scene.children[0]
+experience.addEventListener('ready', () => {
+    const { environmentMap, leePerrySmith } = experience.resources.items
+
+    /**
+     * Environment map
+     */
+    scene.background = environmentMap
+    scene.environment = environmentMap
+
+    // Apply custom material to the model
+    const mesh = leePerrySmith.scene.children[0]
     mesh.material = material
     mesh.customDepthMaterial = depthMaterial // for shadows
     mesh.rotation.y = Math.PI * 0.5
@@ -170,56 +161,12 @@ directionalLight.shadow.camera.far = 15
 directionalLight.shadow.normalBias = 0.05
 directionalLight.position.set(0.25, 2, -2.25)
 scene.add(directionalLight)
-
-/**
- * Sizes
- */
-const sizes = { width: window.innerWidth, height: window.innerHeight }
-
-window.addEventListener('resize', () => {
-    sizes.width = window.innerWidth
-    sizes.height = window.innerHeight
-    camera.aspect = sizes.width / sizes.height
-    camera.updateProjectionMatrix()
-    renderer.setSize(sizes.width, sizes.height)
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
-})
-
-/**
- * Camera
- */
-const camera = new THREE.PerspectiveCamera(75, sizes.width / sizes.height, 0.1, 100)
-camera.position.set(4, 1, -4)
-scene.add(camera)
-
-const controls = new OrbitControls(camera, canvas)
-controls.enableDamping = true
-
-/**
- * Renderer
- */
-const renderer = new THREE.WebGLRenderer({ canvas })
-renderer.shadowMap.enabled = true
-renderer.shadowMap.type = THREE.PCFShadowMap
-renderer.toneMapping = THREE.ACESFilmicToneMapping
-renderer.toneMappingExposure = 1
-renderer.setSize(sizes.width, sizes.height)
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2))
+experience.quality.addShadowMap(directionalLight) // 256 to 1024 with the quality tier
 
 /**
  * Animate
  */
-const clock = new THREE.Clock()
-
-const tick = () => {
-    const elapsedTime = clock.getElapsedTime()
-
+experience.onUpdate(({ elapsed }) => {
     // Update uniform
-    customUniforms.uTime.value = elapsedTime
-
-    controls.update()
-    renderer.render(scene, camera)
-    window.requestAnimationFrame(tick)
-}
-
-tick()
+    customUniforms.uTime.value = elapsed
+})
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vite'
+
+export default defineConfig({
+    root: 'src',
+    publicDir: '../static',
+    server: { host: true },
+    // lab-core is linked from outside this folder: resolve its three/lil-gui/gsap from here
+    resolve: { dedupe: ['three', 'lil-gui', 'gsap'] }
+})
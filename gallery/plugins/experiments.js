@@ -0,0 +1,184 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { createServer, loadConfigFromFile } from 'vite'
+import { experimentsDirectory, readExperiments, toClient } from '../scripts/experiments.js'
+
+const virtualModuleId = 'virtual:experiments'
+const resolvedVirtualModuleId = '\0' + virtualModuleId
+
+// Each embedded experiment server gets its own HMR socket
+const hmrBasePort = 24700
+
+const mimeTypes = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.hdr': 'application/octet-stream',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json'
+}
+
+/**
+ * Load an experiment's own vite.config.js with paths made absolute, so it
+ * can run from the gallery process (its `root: 'src'` is relative to the
+ * experiment folder, not to our cwd)
+ */
+export const resolveExperimentConfig = async (experiment, command) => {
+    const loaded = await loadConfigFromFile(
+        { command, mode: command === 'build' ? 'production' : 'development' },
+        undefined,
+        experiment.directory
+    )
+    const config = loaded?.config ?? {}
+
+    return {
+        ...config,
+        configFile: false,
+        root: path.resolve(experiment.directory, config.root ?? '.'),
+        base: `/experiments/${experiment.id}/`
+    }
+}
+
+const sendFile = (res, file) => {
+    res.setHeader('Content-Type', mimeTypes[path.extname(file)] ?? 'application/octet-stream')
+    fs.createReadStream(file).pipe(res)
+}
+
+const sendNotInstalled = (res, experiment) => {
+    res.statusCode = 503
+    res.setHeader('Content-Type', 'text/html')
+    res.end(`
+        <body style="font-family: monospace; color: #ccc; background: #111; padding: 40px">
+            <p>${experiment.id} has no node_modules yet.</p>
+            <p>Run <code>npm install</code> in experiments/${experiment.id}, then reload.</p>
+        </body>
+    `)
+}
+
+/**
+ * Experiments plugin
+ *
+ * - `virtual:experiments`: metadata of every experiment folder
+ * - /experiments/<id>/...: static experiments served as files, Vite
+ *   experiments served by their own Vite server in middleware mode, created
+ *   on first visit (one process instead of one dev server per experiment)
+ * - /thumbnails/<id>.png: experiment thumbnails
+ */
+export default function experiments() {
+    const servers = new Map()
+
+    const getExperimentServer = async (experiment, index) => {
+        if (!servers.has(experiment.id)) {
+            servers.set(experiment.id, (async () => {
+                const config = await resolveExperimentConfig(experiment, 'serve')
+
+                return createServer({
+                    ...config,
+                    appType: 'spa',
+                    server: {
+                        ...config.server,
+                        open: false,
+                        middlewareMode: true,
+                        hmr: { port: hmrBasePort + index }
+                    }
+                })
+            })())
+        }
+
+        return servers.get(experiment.id)
+    }
+
+    return {
+        name: 'lab-experiments',
+
+        resolveId(id) {
+            if (id === virtualModuleId) return resolvedVirtualModuleId
+        },
+
+        load(id) {
+            if (id === resolvedVirtualModuleId) {
+                return `export default ${JSON.stringify(readExperiments().map(toClient))}`
+            }
+        },
+
+        configureServer(server) {
+            // Reload the grid when metadata changes
+            server.watcher.add(path.join(experimentsDirectory, '*/experiment.json'))
+            const onMetadataChange = (file) => {
+                if (path.basename(file) !== 'experiment.json') return
+
+                const module = server.moduleGraph.getModuleById(resolvedVirtualModuleId)
+                if (module) server.moduleGraph.invalidateModule(module)
+                server.ws.send({ type: 'full-reload' })
+            }
+            server.watcher.on('add', onMetadataChange)
+            server.watcher.on('change', onMetadataChange)
+
+            server.middlewares.use(async (req, res, next) => {
+                // Async middleware: a throw would be an unhandled rejection, the server's end
+                try {
+                    const url = new URL(req.url, 'http://localhost')
+
+                    // Thumbnails
+                    const thumbnailMatch = url.pathname.match(/^\/thumbnails\/([^/]+)\.png$/)
+                    if (thumbnailMatch) {
+                        const file = path.join(experimentsDirectory, thumbnailMatch[1], 'thumbnail.png')
+                        return fs.existsSync(file) ? sendFile(res, file) : next()
+                    }
+
+                    // Experiments
+                    const experimentMatch = url.pathname.match(/^\/experiments\/([^/]+)(\/.*)?$/)
+                    if (!experimentMatch) return next()
+
+                    const experiments = readExperiments()
+                    const index = experiments.findIndex(experiment => experiment.id === experimentMatch[1])
+                    const experiment = experiments[index]
+                    if (!experiment) return next()
+
+                    // Trailing slash so relative URLs inside the experiment resolve
+                    if (!experimentMatch[2]) {
+                        res.statusCode = 302
+                        res.setHeader('Location', `/experiments/${experiment.id}/`)
+                        return res.end()
+                    }
+
+                    if (experiment.runtime === 'static') {
+                        let relativePath
+                        try {
+                            relativePath = decodeURIComponent(experimentMatch[2])
+                        }
+                        catch {
+                            // A malformed escape (%E0): not a file of the experiment
+                            res.statusCode = 400
+                            return res.end('Bad request')
+                        }
+
+                        const file = path.join(experiment.directory, relativePath)
+                        const isInside = file.startsWith(experiment.directory + path.sep)
+
+                        return isInside && fs.existsSync(file) && fs.statSync(file).isFile()
+                            ? sendFile(res, file)
+                            : next()
+                    }
+
+                    if (!experiment.installed) return sendNotInstalled(res, experiment)
+
+                    const experimentServer = await getExperimentServer(experiment, index)
+                    experimentServer.middlewares(req, res, next)
+                }
+                catch (error) {
+                    next(error)
+                }
+            })
+
+            server.httpServer?.on('close', async () => {
+                for (const experimentServer of servers.values()) {
+                    await (await experimentServer).close()
+                }
+            })
+        }
+    }
+}
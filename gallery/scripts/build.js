@@ -0,0 +1,66 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { build } from 'vite'
+import { readExperiments } from './experiments.js'
+import { resolveExperimentConfig } from '../plugins/experiments.js'
+
+/**
+ * Production build
+ *
+ * dist/
+ * ├── index.html                 gallery
+ * ├── thumbnails/<id>.png
+ * └── experiments/<id>/          every experiment, built under its gallery URL
+ *
+ * Vite experiments without node_modules are skipped (and shown as such in the grid).
+ */
+
+const galleryDirectory = fileURLToPath(new URL('..', import.meta.url))
+const outDirectory = path.join(galleryDirectory, 'dist')
+
+// Gallery first: it empties dist/
+await build({ configFile: path.join(galleryDirectory, 'vite.config.js') })
+
+const skipped = []
+
+for (const experiment of readExperiments()) {
+    const experimentOutDirectory = path.join(outDirectory, 'experiments', experiment.id)
+
+    if (experiment.thumbnail) {
+        fs.mkdirSync(path.join(outDirectory, 'thumbnails'), { recursive: true })
+        fs.copyFileSync(
+            path.join(experiment.directory, 'thumbnail.png'),
+            path.join(outDirectory, 'thumbnails', `${experiment.id}.png`)
+        )
+    }
+
+    if (experiment.runtime === 'static') {
+        fs.cpSync(experiment.directory, experimentOutDirectory, {
+            recursive: true,
+            filter: (source) => !['node_modules', 'experiment.json', 'thumbnail.png'].includes(path.basename(source))
+        })
+        continue
+    }
+
+    if (!experiment.installed) {
+        skipped.push(experiment.id)
+        continue
+    }
+
+    const config = await resolveExperimentConfig(experiment, 'build')
+    await build({
+        ...config,
+        logLevel: 'warn',
+        build: {
+            ...config.build,
+            outDir: experimentOutDirectory,
+            emptyOutDir: true
+        }
+    })
+    console.log(`✓ ${experiment.id}`)
+}
+
+if (skipped.length) {
+    console.warn(`\nSkipped (run npm install in each first):\n  ${skipped.join('\n  ')}`)
+}
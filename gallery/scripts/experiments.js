@@ -0,0 +1,97 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+/**
+ * Experiment discovery
+ *
+ * Every folder in experiments/ named `NNN-slug` with an `experiment.json`:
+ * {
+ *   "title": "Galaxy Generator",
+ *   "tags": ["particles", "procedural"],
+ *   "date": "2026-01-29",
+ *   "runtime": "vite" | "static",
+ *   "entry": "index.html",          // static only
+ *   "standalone": "index.html",     // optional CDN version next to a vite one
+ *   "visual": false | { ... }       // optional visual regression options (see visual.js)
+ * }
+ * An optional `thumbnail.png` next to it is used by the gallery grid.
+ */
+
+export const experimentsDirectory = fileURLToPath(new URL('../../experiments', import.meta.url))
+
+const folderPattern = /^(\d{3})-([a-z0-9-]+)$/
+const datePattern = /^\d{4}-\d{2}-\d{2}$/
+const runtimes = ['vite', 'static']
+
+export const validateMetadata = (metadata) => {
+    if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) return ['must be a JSON object']
+
+    const errors = []
+
+    if (typeof metadata.title !== 'string' || !metadata.title) errors.push('"title" must be a non-empty string')
+    if (!Array.isArray(metadata.tags) || metadata.tags.some(tag => typeof tag !== 'string')) errors.push('"tags" must be an array of strings')
+    if (!datePattern.test(metadata.date)) errors.push('"date" must be YYYY-MM-DD')
+    if (!runtimes.includes(metadata.runtime)) errors.push(`"runtime" must be one of ${runtimes.join(', ')}`)
+    if (metadata.visual !== undefined && metadata.visual !== false && (typeof metadata.visual !== 'object' || metadata.visual === null)) {
+        errors.push('"visual" must be false or an object')
+    }
+
+    return errors
+}
+
+export const readExperiment = (id) => {
+    const [, number, slug] = id.match(folderPattern)
+    const directory = path.join(experimentsDirectory, id)
+    const metadataPath = path.join(directory, 'experiment.json')
+
+    if (!fs.existsSync(metadataPath)) {
+        console.warn(`[gallery] ${id} has no experiment.json, skipping`)
+        return null
+    }
+
+    let metadata
+    try {
+        metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'))
+    }
+    catch (error) {
+        console.warn(`[gallery] ${id}/experiment.json is not valid JSON, skipping: ${error.message}`)
+        return null
+    }
+    const errors = validateMetadata(metadata)
+
+    if (errors.length) {
+        console.warn(`[gallery] ${id}/experiment.json is invalid, skipping:\n  ${errors.join('\n  ')}`)
+        return null
+    }
+
+    return {
+        id,
+        number,
+        slug,
+        directory,
+        ...metadata,
+        entry: metadata.entry ?? 'index.html',
+        thumbnail: fs.existsSync(path.join(directory, 'thumbnail.png')) ? `/thumbnails/${id}.png` : null,
+        // Vite experiments need their own dependencies to be served or built
+        installed: metadata.runtime === 'static' || fs.existsSync(path.join(directory, 'node_modules'))
+    }
+}
+
+export const readExperiments = () => {
+    return fs.readdirSync(experimentsDirectory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && folderPattern.test(entry.name))
+        .map(entry => readExperiment(entry.name))
+        .filter(Boolean)
+        .sort((a, b) => a.id.localeCompare(b.id))
+}
+
+/**
+ * What the browser gets (no absolute paths)
+ */
+export const toClient = ({ directory, ...experiment }) => ({
+    ...experiment,
+    url: experiment.runtime === 'static'
+        ? `/experiments/${experiment.id}/${experiment.entry}`
+        : `/experiments/${experiment.id}/`
+})
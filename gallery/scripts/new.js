@@ -0,0 +1,240 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { execFileSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { experimentsDirectory, readExperiment } from './experiments.js'
+
+/**
+ * New experiment
+ *
+ * Creates experiments/<next number>-<slug>/ from a template (Vite + lab-core,
+ * experiment.json for the gallery) or as a copy of an existing experiment,
+ * then regenerates the README table.
+ *
+ * npm run new -- sea-shader --template shader --title "Sea Shader" --tags GLSL,noise
+ * npm run new -- softer-materials --fork 031
+ * npm run new -- picking --fork 022-raycaster-mouse-events   (numbers shared by two experiments)
+ * npm run new -- --list
+ */
+
+const templatesDirectory = fileURLToPath(new URL('../templates', import.meta.url))
+const readmeScript = fileURLToPath(new URL('./readme.js', import.meta.url))
+
+const slugPattern = /^[a-z0-9]+(-[a-z0-9]+)*$/
+const numberPattern = /^(\d{3})-/
+
+// Never copied when forking: installs, builds, per-experiment artefacts
+const forkIgnored = ['node_modules', 'dist', 'package-lock.json', 'thumbnail.png']
+
+const versions = {
+    three: '^0.170.0',
+    'lil-gui': '^0.19.2',
+    vite: '^6.0.0'
+}
+
+// { "a": "1", "b": "2" } on one line, like the existing package.json files
+const inlineObject = (object) => `{ ${Object.entries(object).map(([key, value]) => `"${key}": "${value}"`).join(', ')} }`
+
+const files = {
+    'package.json': ({ id, dependencies }) => `{
+  "name": "${id}",
+  "scripts": { "dev": "vite", "build": "vite build" },
+  "dependencies": ${inlineObject({ three: versions.three, 'lil-gui': versions['lil-gui'], ...dependencies, 'lab-core': 'file:../../lab-core' })},
+  "devDependencies": ${inlineObject({ vite: versions.vite })}
+}
+`,
+    'vite.config.js': () => `import { defineConfig } from 'vite'
+
+export default defineConfig({
+    root: 'src',
+    publicDir: '../static',
+    server: { host: true },
+    // lab-core is linked from outside this folder: resolve its three/lil-gui from here
+    resolve: { dedupe: ['three', 'lil-gui'] }
+})
+`,
+    'src/index.html': () => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{number}} - {{title}}</title>
+    <link rel="stylesheet" href="./style.css">
+</head>
+<body>
+    <canvas class="webgl"></canvas>
+    <script type="module" src="./script.js"></script>
+</body>
+</html>
+`,
+    'src/style.css': () => `* { margin: 0; padding: 0; }
+html, body { overflow: hidden; }
+.webgl { position: fixed; top: 0; left: 0; outline: none; }
+`
+}
+
+const readTemplates = () => fs.readdirSync(templatesDirectory).map(name => ({
+    name,
+    directory: path.join(templatesDirectory, name),
+    ...JSON.parse(fs.readFileSync(path.join(templatesDirectory, name, 'template.json'), 'utf8'))
+}))
+
+const experimentFolders = () => fs.readdirSync(experimentsDirectory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && numberPattern.test(entry.name))
+    .map(entry => entry.name)
+
+const nextNumber = () => {
+    const numbers = experimentFolders().map(folder => Number(folder.match(numberPattern)[1]))
+    return String(Math.max(0, ...numbers) + 1).padStart(3, '0')
+}
+
+const titleFromSlug = (slug) => slug.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' ')
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// Two-space JSON with the tags on one line, like the hand-written files
+const writeMetadata = (directory, metadata) => {
+    const json = JSON.stringify(metadata, null, 2)
+        .replace(/"tags": \[\s*([^\]]*?)\s*\]/, (match, tags) => `"tags": [${tags.split(/,\s*/).join(', ')}]`)
+
+    fs.writeFileSync(path.join(directory, 'experiment.json'), json + '\n')
+}
+
+// {{id}}, {{number}} and {{title}} in the template files
+const fillPlaceholders = (directory, values) => {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true, recursive: true })) {
+        if (!entry.isFile() || !/\.(js|html|css|json)$/.test(entry.name)) continue
+
+        const file = path.join(entry.parentPath ?? entry.path, entry.name)
+        const content = fs.readFileSync(file, 'utf8')
+        const filled = content.replace(/\{\{(id|number|title)\}\}/g, (match, key) => values[key])
+        if (filled !== content) fs.writeFileSync(file, filled)
+    }
+}
+
+const createFromTemplate = (directory, template, values) => {
+    fs.mkdirSync(path.join(directory, 'src'), { recursive: true })
+
+    for (const [file, render] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, file), render({ ...values, dependencies: template.dependencies ?? {} }))
+    }
+
+    // Template files win over the defaults (index.html, style.css, assets.json...)
+    fs.cpSync(template.directory, directory, {
+        recursive: true,
+        filter: source => path.basename(source) !== 'template.json'
+    })
+
+    writeMetadata(directory, {
+        title: values.title,
+        tags: values.tags.length ? values.tags : template.tags,
+        date: today(),
+        runtime: 'vite'
+    })
+}
+
+const fork = (directory, source, values) => {
+    fs.cpSync(source.directory, directory, {
+        recursive: true,
+        filter: file => !forkIgnored.includes(path.basename(file))
+    })
+
+    // Package name: the copied one is the source id (or the old "threejs-journey-exercise")
+    const packagePath = path.join(directory, 'package.json')
+    if (fs.existsSync(packagePath)) {
+        const content = fs.readFileSync(packagePath, 'utf8')
+        fs.writeFileSync(packagePath, content.replace(/"name":\s*"[^"]*"/, `"name": "${values.id}"`))
+    }
+
+    // Page titles: "031 - Modified Materials" becomes "032 - <title>"
+    for (const htmlFile of [path.join(directory, 'src', 'index.html'), path.join(directory, source.entry)]) {
+        if (!fs.existsSync(htmlFile)) continue
+        const content = fs.readFileSync(htmlFile, 'utf8')
+        fs.writeFileSync(htmlFile, content.replace(/<title>.*<\/title>/, `<title>${values.number} - ${values.title}</title>`))
+    }
+
+    // Everything else (runtime, entry, standalone, visual) is kept
+    const metadata = JSON.parse(fs.readFileSync(path.join(source.directory, 'experiment.json'), 'utf8'))
+    writeMetadata(directory, {
+        ...metadata,
+        title: values.title,
+        tags: values.tags.length ? values.tags : metadata.tags,
+        date: today()
+    })
+}
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        template: { type: 'string', default: 'blank' },
+        fork: { type: 'string' },
+        title: { type: 'string' },
+        tags: { type: 'string', default: '' },
+        list: { type: 'boolean', default: false }
+    }
+})
+
+const templates = readTemplates()
+
+if (options.list) {
+    for (const template of templates) console.log(`  ${template.name.padEnd(10)} ${template.description}`)
+    process.exit(0)
+}
+
+const [slug] = positionals
+
+if (!slug || !slugPattern.test(slug)) {
+    console.error('Usage: npm run new -- <slug> [--template name] [--title "Title"] [--tags a,b] | --fork <number or id>')
+    console.error('       the slug is lowercase words joined by dashes (sea-shader)')
+    process.exit(1)
+}
+
+const number = nextNumber()
+const id = `${number}-${slug}`
+const directory = path.join(experimentsDirectory, id)
+const values = {
+    id,
+    number,
+    title: options.title ?? titleFromSlug(slug),
+    tags: options.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+}
+
+if (options.fork) {
+    // A full id, or a number: some numbers are shared (022-raycaster, 022-raycaster-mouse-events)
+    const folders = experimentFolders()
+    const candidates = folders.includes(options.fork)
+        ? [options.fork]
+        : folders.filter(folder => folder.startsWith(`${options.fork.padStart(3, '0')}-`))
+
+    if (candidates.length > 1) {
+        console.error(`"${options.fork}" matches several experiments, fork one by its id:\n  ${candidates.join('\n  ')}`)
+        process.exit(1)
+    }
+
+    const source = candidates.length && readExperiment(candidates[0])
+
+    if (!source) {
+        console.error(`No experiment matching "${options.fork}" to fork`)
+        process.exit(1)
+    }
+
+    fork(directory, source, values)
+    console.log(`${id}: fork of ${source.id}`)
+}
+else {
+    const template = templates.find(template => template.name === options.template)
+
+    if (!template) {
+        console.error(`Unknown template "${options.template}" (${templates.map(template => template.name).join(', ')})`)
+        process.exit(1)
+    }
+
+    createFromTemplate(directory, template, values)
+    fillPlaceholders(directory, values)
+    console.log(`${id}: ${template.name} template`)
+}
+
+execFileSync(process.execPath, [readmeScript], { stdio: 'inherit' })
+
+console.log(`\ncd experiments/${id} && npm install && npm run dev   (or open it from the gallery)`)
@@ -0,0 +1,157 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { readExperiments } from './experiments.js'
+
+/**
+ * Asset preflight
+ *
+ * Checks every experiment's `assets.json` against its `static/` folder:
+ * - missing: listed but not on disk (the runtime falls back to a placeholder)
+ * - oversized: bigger than its budget (`maxSize` on the source, or the type default)
+ * - unlisted: an asset path in the code that the manifest doesn't know about
+ *
+ * npm run preflight              every experiment
+ * npm run preflight -- 021 024   only these (id prefixes)
+ *
+ * Exits with 1 when something is missing, so it can gate a build.
+ */
+
+const defaultBudgets = {
+    texture: '1 MB',
+    cubeTexture: '1 MB', // per face
+    rgbe: '8 MB',
+    gltf: '10 MB', // gltf + buffers + images
+    font: '1 MB'
+}
+
+const assetExtensions = 'jpe?g|png|webp|avif|ktx2|hdr|exr|gltf|glb|bin|typeface\\.json|mp3|ogg|wav'
+const assetPattern = new RegExp(`['"\`](/[\\w./-]+\\.(?:${assetExtensions}))['"\`]`, 'g')
+const codeExtensions = ['.js', '.html']
+
+const parseSize = (size) => {
+    const match = String(size).match(/^([\d.]+)\s*(KB|MB)?$/i)
+    if (!match) throw new Error(`Invalid size "${size}" (use "512 KB" or "2 MB")`)
+    return Number(match[1]) * (match[2]?.toUpperCase() === 'MB' ? 1024 * 1024 : match[2] ? 1024 : 1)
+}
+
+const formatSize = (bytes) => bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.ceil(bytes / 1024)} KB`
+
+// .gltf files reference buffers and images next to them
+const gltfDependencies = (file) => {
+    if (path.extname(file) !== '.gltf') return []
+
+    const gltf = JSON.parse(fs.readFileSync(file, 'utf8'))
+    return [...(gltf.buffers ?? []), ...(gltf.images ?? [])]
+        .map(entry => entry.uri)
+        .filter(uri => uri && !uri.startsWith('data:'))
+        .map(uri => path.join(path.dirname(file), decodeURIComponent(uri)))
+}
+
+// Source files of an experiment (no dependencies, no builds)
+const codeFiles = (directory) => fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    if (['node_modules', 'dist', 'static'].includes(entry.name)) return []
+
+    const file = path.join(directory, entry.name)
+    if (entry.isDirectory()) return codeFiles(file)
+
+    return codeExtensions.includes(path.extname(entry.name)) ? [file] : []
+})
+
+const referencedAssets = (directory) => {
+    const references = new Set()
+
+    for (const file of codeFiles(directory)) {
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            // Commented-out loads are not used
+            if (/^\s*(\/\/|\*)/.test(line)) continue
+            for (const [, assetPath] of line.matchAll(assetPattern)) references.add(assetPath)
+        }
+    }
+
+    return references
+}
+
+const checkExperiment = (experiment) => {
+    const staticDirectory = path.join(experiment.directory, 'static')
+    const manifestPath = path.join(experiment.directory, 'assets.json')
+    const references = referencedAssets(experiment.directory)
+    const report = { missing: [], oversized: [], unlisted: [] }
+
+    if (!fs.existsSync(manifestPath)) {
+        report.unlisted.push(...references)
+        return report
+    }
+
+    const { sources = [], resources = {} } = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    const listed = new Set()
+
+    for (const source of sources) {
+        const budget = parseSize(source.maxSize ?? defaultBudgets[source.type] ?? '1 MB')
+        const paths = Array.isArray(source.path) ? source.path : [source.path]
+
+        let total = 0
+        for (const assetPath of paths) {
+            listed.add(assetPath)
+            const file = path.join(staticDirectory, assetPath)
+
+            if (!fs.existsSync(file)) {
+                report.missing.push(`${source.name}: ${assetPath}`)
+                continue
+            }
+
+            const files = [file, ...gltfDependencies(file)]
+            for (const dependency of files.slice(1)) {
+                if (!fs.existsSync(dependency)) report.missing.push(`${source.name}: ${path.relative(staticDirectory, dependency)}`)
+            }
+
+            const size = files.filter(fs.existsSync).reduce((sum, dependency) => sum + fs.statSync(dependency).size, 0)
+            if (source.type === 'cubeTexture' && size > budget) {
+                report.oversized.push(`${source.name}: ${assetPath} is ${formatSize(size)} (budget ${formatSize(budget)} per face)`)
+            }
+            total += size
+        }
+
+        if (source.type !== 'cubeTexture' && total > budget) {
+            report.oversized.push(`${source.name}: ${paths.join(', ')} is ${formatSize(total)} (budget ${formatSize(budget)})`)
+        }
+    }
+
+    // Draco decoder folder
+    if (resources.dracoDecoderPath) {
+        const decoderDirectory = path.join(staticDirectory, resources.dracoDecoderPath)
+        const hasDecoder = ['draco_decoder.js', 'draco_wasm_wrapper.js']
+            .some(file => fs.existsSync(path.join(decoderDirectory, file)))
+
+        if (!hasDecoder) report.missing.push(`draco decoder: ${resources.dracoDecoderPath} (copy three/examples/jsm/libs/draco/)`)
+    }
+
+    report.unlisted.push(...[...references].filter(reference => !listed.has(reference)))
+
+    return report
+}
+
+const filters = process.argv.slice(2)
+const experiments = readExperiments()
+    .filter(experiment => !filters.length || filters.some(filter => experiment.id.startsWith(filter)))
+
+let missingCount = 0
+
+for (const experiment of experiments) {
+    const { missing, oversized, unlisted } = checkExperiment(experiment)
+    if (!missing.length && !oversized.length && !unlisted.length) continue
+
+    console.log(`\n${experiment.id}`)
+    for (const line of missing) console.log(`  ✗ missing    ${line}`)
+    for (const line of oversized) console.log(`  ! oversized  ${line}`)
+    for (const line of unlisted) console.log(`  ? unlisted   ${line} (add it to assets.json)`)
+
+    missingCount += missing.length
+}
+
+console.log(missingCount
+    ? `\n${missingCount} missing asset(s): those experiments render placeholders until the files are added to static/`
+    : `\nAll assets present (${experiments.length} experiments checked)`)
+
+process.exitCode = missingCount ? 1 : 0
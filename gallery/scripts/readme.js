@@ -0,0 +1,38 @@
+import fs from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { readExperiments } from './experiments.js'
+
+/**
+ * Regenerate the experiments table in the root README from experiment.json files
+ * (everything between the two markers is replaced)
+ */
+
+const readmePath = fileURLToPath(new URL('../../README.md', import.meta.url))
+const startMarker = '<!-- experiments:start -->'
+const endMarker = '<!-- experiments:end -->'
+
+const rows = readExperiments().map(experiment =>
+    `| ${experiment.number} | ${experiment.title.toLowerCase()} | ${experiment.tags.join(', ')} | ${experiment.date} |`
+)
+
+const table = [
+    '| # | name | tech | date |',
+    '|---|------|------|------|',
+    ...rows
+].join('\n')
+
+const readme = fs.readFileSync(readmePath, 'utf8')
+const start = readme.indexOf(startMarker)
+const end = readme.indexOf(endMarker)
+
+if (start === -1 || end === -1) {
+    console.error(`README.md is missing the ${startMarker} / ${endMarker} markers`)
+    process.exit(1)
+}
+
+fs.writeFileSync(
+    readmePath,
+    readme.slice(0, start + startMarker.length) + '\n' + table + '\n' + readme.slice(end)
+)
+
+console.log(`README.md: ${rows.length} experiments`)
@@ -0,0 +1,294 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createServer } from 'vite'
+import { chromium } from 'playwright'
+import pixelmatch from 'pixelmatch'
+import { PNG } from 'pngjs'
+import { readExperiments } from './experiments.js'
+
+/**
+ * Visual regression
+ *
+ * Opens every experiment through the gallery dev server in headless
+ * Chromium (software WebGL: SwiftShader), with the clock frozen,
+ * `Math.random` seeded and `?seed=visual` for lab-core streams, waits for
+ * loading to settle, reads the canvas at 800x600 and compares it to
+ * `visual/baselines/<id>.png` (perceptual diff, pixelmatch).
+ *
+ * npm run visual                      every experiment
+ * npm run visual -- 028 030           only these (id prefixes)
+ * npm run visual -- --update          accept the current captures as baselines
+ * CHROMIUM_PATH=/usr/bin/chromium npm run visual   another Chromium than Playwright's
+ *
+ * Report: visual/report/index.html. Exits with 1 when a capture differs
+ * or has no baseline (only --update writes baselines).
+ *
+ * Per experiment, in experiment.json:
+ * "visual": false                                   skip it
+ * "visual": { "clickEach": ".controls button" }      one capture per matching element
+ * "visual": { "canvas": "canvas.webgl", "maxDiff": 0.01, "threshold": 0.1, "frames": 10 }
+ */
+
+const galleryDirectory = fileURLToPath(new URL('..', import.meta.url))
+const baselinesDirectory = path.join(galleryDirectory, 'visual', 'baselines')
+const reportDirectory = path.join(galleryDirectory, 'visual', 'report')
+
+const viewport = { width: 800, height: 600 }
+const defaults = {
+    canvas: 'canvas',
+    clickEach: null,
+    maxDiff: 0.001, // share of pixels allowed to differ
+    threshold: 0.1, // pixelmatch color distance under which two pixels are the same
+    frames: 10 // frames rendered after loading, before the capture
+}
+
+// Software WebGL, the same on every machine (no GPU driver differences)
+const launchArgs = ['--use-gl=angle', '--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist']
+
+/**
+ * Runs in the page before any experiment script
+ */
+const freeze = () => {
+    // Frozen clock: every frame sees the same time, animations stay on their first pose
+    const time = 1000
+    const epoch = Date.UTC(2026, 0, 1)
+    performance.now = () => time
+    Date.now = () => epoch + time
+
+    const requestAnimationFrame = window.requestAnimationFrame.bind(window)
+    window.requestAnimationFrame = (callback) => requestAnimationFrame(() => callback(time))
+
+    // Seeded Math.random (mulberry32) for experiments that don't use lab-core streams
+    let state = 0x5eed
+    Math.random = () => {
+        state = (state + 0x6d2b79f5) | 0
+        let t = Math.imul(state ^ (state >>> 15), 1 | state)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+
+    // Keep the drawing buffer: the canvas is read between frames
+    const getContext = HTMLCanvasElement.prototype.getContext
+    HTMLCanvasElement.prototype.getContext = function (type, attributes = {}) {
+        return getContext.call(this, type, type.startsWith('webgl') ? { ...attributes, preserveDrawingBuffer: true } : attributes)
+    }
+}
+
+// Static experiments import three from jsDelivr (import maps): served from an
+// installed copy of the same version, captures don't depend on the network
+const cdnThree = /^https:\/\/cdn\.jsdelivr\.net\/npm\/three@([^/]+)\/([^?#]+)/
+
+const findThreeCopies = (experiments) => {
+    const copies = new Map()
+    for (const experiment of experiments) {
+        const directory = path.join(experiment.directory, 'node_modules', 'three')
+        const packagePath = path.join(directory, 'package.json')
+        if (fs.existsSync(packagePath)) copies.set(JSON.parse(fs.readFileSync(packagePath, 'utf8')).version, directory)
+    }
+    return copies
+}
+
+const routeThree = (copies) => (route) => {
+    const [, version, file] = route.request().url().match(cdnThree)
+    const local = copies.has(version) && path.join(copies.get(version), file)
+
+    return local && fs.existsSync(local) ? route.fulfill({ path: local }) : route.continue()
+}
+
+const waitFrames = (page, count) => page.evaluate((count) => new Promise((resolve) => {
+    let frame = 0
+    const step = () => ++frame >= count ? resolve() : requestAnimationFrame(step)
+    requestAnimationFrame(step)
+}), count)
+
+const capture = async (page, selector) => {
+    const dataUrl = await page.$eval(selector, canvas => canvas.toDataURL('image/png'))
+    return PNG.sync.read(Buffer.from(dataUrl.split(',')[1], 'base64'))
+}
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+const compare = (name, actual, { maxDiff, threshold }, update) => {
+    const baselinePath = path.join(baselinesDirectory, `${name}.png`)
+    const hasBaseline = fs.existsSync(baselinePath)
+
+    fs.writeFileSync(path.join(reportDirectory, 'actual', `${name}.png`), PNG.sync.write(actual))
+
+    if (update) {
+        fs.writeFileSync(baselinePath, PNG.sync.write(actual))
+        return { name, status: hasBaseline ? 'updated' : 'new' }
+    }
+    // Not written on its own: a broken scene would become the reference
+    if (!hasBaseline) {
+        return { name, status: 'missing', message: 'no baseline, check the capture and run with --update' }
+    }
+
+    const baseline = PNG.sync.read(fs.readFileSync(baselinePath))
+    const { width, height } = baseline
+
+    if (actual.width !== width || actual.height !== height) {
+        return { name, status: 'failed', message: `size ${actual.width}x${actual.height}, baseline ${width}x${height}` }
+    }
+
+    const diff = new PNG({ width, height })
+    const pixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, { threshold })
+    const ratio = pixels / (width * height)
+    fs.writeFileSync(path.join(reportDirectory, 'diff', `${name}.png`), PNG.sync.write(diff))
+
+    return {
+        name,
+        status: ratio > maxDiff ? 'failed' : 'passed',
+        diff: ratio,
+        message: `${(ratio * 100).toFixed(3)}% of pixels differ (max ${(maxDiff * 100).toFixed(3)}%)`
+    }
+}
+
+const runExperiment = async (browser, origin, experiment, update, threeCopies) => {
+    const options = { ...defaults, ...experiment.visual }
+    const context = await browser.newContext({ viewport, deviceScaleFactor: 1, reducedMotion: 'reduce' })
+    await context.route(cdnThree, routeThree(threeCopies))
+    const page = await context.newPage()
+    const errors = []
+
+    page.on('pageerror', error => errors.push(error.message))
+    page.on('console', message => message.type() === 'error' && errors.push(message.text()))
+    await page.addInitScript(freeze)
+
+    const entry = experiment.runtime === 'static' ? experiment.entry : ''
+    const results = []
+
+    try {
+        await page.goto(`${origin}/experiments/${experiment.id}/${entry}?seed=visual`, { waitUntil: 'networkidle', timeout: 60000 })
+        // lab-core loading overlay (hidden without fade under reduced motion). Same budget
+        // as the page: SwiftShader compiling a big shader blocks the first frame for seconds
+        await page.waitForSelector('.lab-loading', { state: 'detached', timeout: 60000 })
+        await waitFrames(page, options.frames)
+
+        if (!options.clickEach) {
+            results.push(compare(experiment.id, await capture(page, options.canvas), options, update))
+        }
+        else {
+            const elements = await page.$$(options.clickEach)
+            if (!elements.length) throw new Error(`No element matches "${options.clickEach}"`)
+
+            for (const element of elements) {
+                const label = slugify(await element.textContent())
+                await element.click()
+                await waitFrames(page, options.frames)
+                results.push(compare(`${experiment.id}--${label}`, await capture(page, options.canvas), options, update))
+            }
+        }
+    }
+    catch (error) {
+        results.push({ name: experiment.id, status: 'failed', message: error.message.split('\n')[0] })
+    }
+
+    await context.close()
+
+    return results.map(result => ({ ...result, experiment: experiment.id, errors }))
+}
+
+const writeReport = (results) => {
+    const image = (folder, name) => {
+        const file = path.join(folder, `${name}.png`)
+        return fs.existsSync(file) ? `<img src="${path.relative(reportDirectory, file)}" loading="lazy">` : '<span>-</span>'
+    }
+
+    const rows = results.map(result => `
+        <tr class="${result.status}">
+            <td><b>${result.name}</b><br>${result.status}<br>${result.message ?? ''}
+                ${result.errors.length ? `<details><summary>${result.errors.length} console error(s)</summary><pre>${result.errors.join('\n').replace(/</g, '&lt;')}</pre></details>` : ''}</td>
+            <td>${image(baselinesDirectory, result.name)}</td>
+            <td>${image(path.join(reportDirectory, 'actual'), result.name)}</td>
+            <td>${result.status === 'passed' || result.status === 'failed' ? image(path.join(reportDirectory, 'diff'), result.name) : ''}</td>
+        </tr>
+    `).join('')
+
+    fs.writeFileSync(path.join(reportDirectory, 'index.html'), `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Visual regression</title>
+    <style>
+        body { background: #111; color: #ccc; font: 12px/1.4 monospace; padding: 20px; }
+        table { border-collapse: collapse; }
+        td, th { border-bottom: 1px solid #333; padding: 8px; vertical-align: top; text-align: left; }
+        img { width: 320px; display: block; }
+        .failed b, .missing b { color: #ff4060; }
+        .passed b { color: #40d080; }
+        .new b, .updated b { color: #ffa040; }
+        pre { white-space: pre-wrap; max-width: 300px; }
+    </style>
+</head>
+<body>
+    <h1>Visual regression</h1>
+    <p>${results.filter(result => result.status === 'failed').length} failed, ${results.filter(result => result.status === 'missing').length} without baseline / ${results.length} captures</p>
+    <table>
+        <tr><th></th><th>baseline</th><th>actual</th><th>diff</th></tr>
+        ${rows}
+    </table>
+</body>
+</html>
+`)
+}
+
+const args = process.argv.slice(2)
+const update = args.includes('--update')
+const filters = args.filter(arg => !arg.startsWith('--'))
+
+const allExperiments = readExperiments()
+const threeCopies = findThreeCopies(allExperiments)
+const experiments = allExperiments
+    .filter(experiment => !filters.length || filters.some(filter => experiment.id.startsWith(filter)))
+    .filter((experiment) => {
+        if (experiment.visual === false) return false
+        if (!experiment.installed) console.warn(`[visual] ${experiment.id} has no node_modules, skipping`)
+        return experiment.installed
+    })
+
+fs.rmSync(reportDirectory, { recursive: true, force: true })
+for (const directory of [baselinesDirectory, path.join(reportDirectory, 'actual'), path.join(reportDirectory, 'diff')]) {
+    fs.mkdirSync(directory, { recursive: true })
+}
+
+const server = await createServer({
+    configFile: path.join(galleryDirectory, 'vite.config.js'),
+    root: path.join(galleryDirectory, 'src'),
+    logLevel: 'warn',
+    server: { open: false }
+})
+await server.listen()
+const origin = server.resolvedUrls.local[0].replace(/\/$/, '')
+
+const results = []
+let browser = null
+
+try {
+    // A Chromium of the machine's instead of Playwright's download (CI images, offline)
+    browser = await chromium.launch({ args: launchArgs, executablePath: process.env.CHROMIUM_PATH || undefined })
+
+    for (const experiment of experiments) {
+        for (const result of await runExperiment(browser, origin, experiment, update, threeCopies)) {
+            const icon = { passed: '✓', failed: '✗', missing: '?', new: '+', updated: '~' }[result.status]
+            console.log(`  ${icon} ${result.name}${result.message ? `  ${result.message}` : ''}`)
+            results.push(result)
+        }
+    }
+}
+finally {
+    await browser?.close()
+    await server.close()
+}
+
+writeReport(results)
+
+const failed = results.filter(result => result.status === 'failed').length
+const missing = results.filter(result => result.status === 'missing').length
+const summary = [
+    failed && `${failed} of ${results.length} captures differ`,
+    missing && `${missing} without baseline (npm run visual -- --update)`
+].filter(Boolean).join(', ') || `${results.length} captures match`
+console.log(`\n${summary}: ${path.relative(process.cwd(), path.join(reportDirectory, 'index.html'))}`)
+
+process.exitCode = failed || missing ? 1 : 0
@@ -0,0 +1,187 @@
+import experiments from 'virtual:experiments'
+
+/**
+ * Gallery
+ *
+ * Grid of every experiment (from their experiment.json), filtered by search
+ * and tags. `#/<id>` opens an experiment in the viewer iframe.
+ * Filters live in the query string so a filtered view can be shared.
+ */
+
+const grid = document.querySelector('.grid')
+const empty = document.querySelector('.empty')
+const search = document.querySelector('.search')
+const tagsContainer = document.querySelector('.tags')
+
+const viewer = document.querySelector('.viewer')
+const viewerFrame = document.querySelector('.viewer-frame')
+const viewerTitle = document.querySelector('.viewer-title')
+const viewerOpen = document.querySelector('.viewer-open')
+const viewerPrevious = document.querySelector('.viewer-previous')
+const viewerNext = document.querySelector('.viewer-next')
+
+/**
+ * State
+ */
+const params = new URLSearchParams(window.location.search)
+const state = {
+    query: params.get('q') ?? '',
+    tags: new Set(params.get('tags')?.split(',').filter(Boolean) ?? [])
+}
+
+const saveState = () => {
+    const params = new URLSearchParams()
+    if (state.query) params.set('q', state.query)
+    if (state.tags.size) params.set('tags', [...state.tags].join(','))
+
+    const search = params.toString()
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? '?' + search : ''}${window.location.hash}`)
+}
+
+const matches = (experiment) => {
+    const query = state.query.trim().toLowerCase()
+    const haystack = [experiment.id, experiment.title, ...experiment.tags].join(' ').toLowerCase()
+
+    return (!query || haystack.includes(query))
+        && [...state.tags].every(tag => experiment.tags.includes(tag))
+}
+
+const getVisibleExperiments = () => experiments.filter(matches)
+
+/**
+ * Tags (most used first)
+ */
+const tagCounts = new Map()
+for (const experiment of experiments) {
+    for (const tag of experiment.tags) {
+        tagCounts.set(tag, (tagCounts.get(tag) ?? 0) + 1)
+    }
+}
+const tags = [...tagCounts.keys()].sort((a, b) => tagCounts.get(b) - tagCounts.get(a) || a.localeCompare(b))
+
+const renderTags = () => {
+    tagsContainer.replaceChildren(...tags.map(tag => {
+        const button = document.createElement('button')
+        button.className = 'tag'
+        button.textContent = `${tag} ${tagCounts.get(tag)}`
+        button.classList.toggle('active', state.tags.has(tag))
+        button.addEventListener('click', () => {
+            state.tags.has(tag) ? state.tags.delete(tag) : state.tags.add(tag)
+            update()
+        })
+        return button
+    }))
+}
+
+/**
+ * Cards
+ */
+// Stable hue per experiment for thumbnail placeholders
+const hue = (id) => [...id].reduce((hash, character) => (hash * 31 + character.charCodeAt(0)) % 360, 7)
+
+const createCard = (experiment) => {
+    const card = document.createElement('a')
+    card.className = 'card'
+    card.href = `#/${experiment.id}`
+
+    const thumbnail = document.createElement('div')
+    thumbnail.className = 'card-thumbnail'
+    if (experiment.thumbnail) {
+        const image = document.createElement('img')
+        image.src = experiment.thumbnail
+        image.alt = ''
+        image.loading = 'lazy'
+        thumbnail.append(image)
+    }
+    else {
+        thumbnail.style.setProperty('--hue', hue(experiment.id))
+        thumbnail.textContent = experiment.number
+    }
+
+    const title = document.createElement('h2')
+    title.textContent = `${experiment.number} · ${experiment.title}`
+
+    const meta = document.createElement('p')
+    meta.className = 'card-meta'
+    meta.textContent = experiment.date
+    if (experiment.runtime === 'static') meta.textContent += ' · standalone'
+    if (!experiment.installed) meta.textContent += ' · needs npm install'
+
+    const cardTags = document.createElement('p')
+    cardTags.className = 'card-tags'
+    cardTags.textContent = experiment.tags.join(' · ')
+
+    card.classList.toggle('unavailable', !experiment.installed)
+    card.append(thumbnail, title, meta, cardTags)
+
+    return card
+}
+
+const renderGrid = () => {
+    const visible = getVisibleExperiments()
+    grid.replaceChildren(...visible.map(createCard))
+    empty.hidden = visible.length > 0
+}
+
+const update = () => {
+    saveState()
+    renderTags()
+    renderGrid()
+}
+
+search.value = state.query
+search.addEventListener('input', () => {
+    state.query = search.value
+    update()
+})
+
+/**
+ * Viewer
+ */
+const getRouteId = () => window.location.hash.match(/^#\/(.+)$/)?.[1] ?? null
+
+const route = () => {
+    const id = getRouteId()
+    const experiment = experiments.find(experiment => experiment.id === id)
+
+    if (!experiment) {
+        viewer.hidden = true
+        document.body.classList.remove('viewing')
+        // Unload the experiment so it stops rendering in the background
+        viewerFrame.src = 'about:blank'
+        document.title = 'creative-dev-lab'
+        return
+    }
+
+    // Previous / next among the currently filtered experiments
+    const visible = getVisibleExperiments()
+    const list = visible.includes(experiment) ? visible : experiments
+    const index = list.indexOf(experiment)
+    const previous = list[(index - 1 + list.length) % list.length]
+    const next = list[(index + 1) % list.length]
+
+    viewer.hidden = false
+    document.body.classList.add('viewing')
+    viewerTitle.textContent = `${experiment.number} · ${experiment.title}`
+    viewerOpen.href = experiment.url
+    viewerPrevious.href = `#/${previous.id}`
+    viewerNext.href = `#/${next.id}`
+    document.title = `${experiment.number} · ${experiment.title} — creative-dev-lab`
+
+    if (!viewerFrame.src.endsWith(experiment.url)) {
+        viewerFrame.src = experiment.url
+    }
+}
+
+window.addEventListener('hashchange', route)
+
+window.addEventListener('keydown', (event) => {
+    if (viewer.hidden || event.target === search) return
+
+    if (event.key === 'Escape') window.location.hash = '#/'
+    if (event.key === 'ArrowLeft') viewerPrevious.click()
+    if (event.key === 'ArrowRight') viewerNext.click()
+})
+
+update()
+route()
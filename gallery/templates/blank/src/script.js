@@ -0,0 +1,37 @@
+import * as THREE from 'three'
+import { Experience } from 'lab-core'
+
+/**
+ * {{title}}
+ */
+
+const experience = new Experience({
+    camera: { position: [2, 2, 3] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
+
+/**
+ * Object
+ */
+const material = new THREE.MeshStandardMaterial({ color: '#ff7a5c', roughness: 0.4 })
+const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material)
+scene.add(mesh)
+
+gui.addColor(material, 'color')
+gui.add(material, 'roughness').min(0).max(1).step(0.001)
+
+/**
+ * Lights
+ */
+const ambientLight = new THREE.AmbientLight('#ffffff', 0.5)
+const directionalLight = new THREE.DirectionalLight('#ffffff', 2)
+directionalLight.position.set(2, 3, 1)
+scene.add(ambientLight, directionalLight)
+
+/**
+ * Animate
+ */
+experience.onUpdate(({ delta }) => {
+    mesh.rotation.y += delta * 0.3
+})
@@ -0,0 +1,78 @@
+import * as THREE from 'three'
+import { Experience } from 'lab-core'
+import assets from '../assets.json'
+
+/**
+ * {{title}}
+ *
+ * Drop the model in static/models/model.glb (see assets.json): until then
+ * the missing-model placeholder is shown. Draco-compressed models also need
+ * the decoder in static/draco/ (copy three/examples/jsm/libs/draco/).
+ */
+
+const experience = new Experience({
+    ...assets,
+    camera: { position: [2, 2, 2], target: [0, 0.5, 0] },
+    renderer: { shadows: 'pcfsoft', toneMapping: THREE.ACESFilmicToneMapping },
+    loadingOverlay: { title: '{{title}}' }
+})
+const { scene } = experience
+const gui = experience.debug.ui
+
+/**
+ * Model
+ */
+let mixer = null
+
+experience.addEventListener('ready', () => {
+    const gltf = experience.resources.items.model
+
+    gltf.scene.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true
+            child.receiveShadow = true
+        }
+    })
+    scene.add(gltf.scene)
+
+    // First animation clip, if any
+    if (gltf.animations?.length) {
+        mixer = new THREE.AnimationMixer(gltf.scene)
+        mixer.clipAction(gltf.animations[0]).play()
+    }
+})
+
+/**
+ * Floor
+ */
+const floor = new THREE.Mesh(
+    new THREE.PlaneGeometry(10, 10),
+    new THREE.MeshStandardMaterial({ color: '#444444', roughness: 0.8 })
+)
+floor.receiveShadow = true
+floor.rotation.x = -Math.PI * 0.5
+scene.add(floor)
+
+/**
+ * Lights
+ */
+const ambientLight = new THREE.AmbientLight('#ffffff', 1.5)
+scene.add(ambientLight)
+
+const directionalLight = new THREE.DirectionalLight('#ffffff', 2.5)
+directionalLight.castShadow = true
+directionalLight.shadow.mapSize.set(1024, 1024)
+directionalLight.shadow.camera.far = 15
+directionalLight.position.set(5, 5, 5)
+scene.add(directionalLight)
+experience.quality.addShadowMap(directionalLight)
+
+gui.add(directionalLight, 'intensity').min(0).max(10).step(0.001).name('light intensity')
+gui.add(experience.renderer.instance, 'toneMappingExposure').min(0).max(3).step(0.001).name('exposure')
+
+/**
+ * Animate
+ */
+experience.onUpdate(({ delta }) => {
+    mixer?.update(delta)
+})
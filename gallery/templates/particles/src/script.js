@@ -0,0 +1,96 @@
+import * as THREE from 'three'
+import { Experience } from 'lab-core'
+
+/**
+ * {{title}}
+ */
+
+const experience = new Experience({
+    camera: { position: [3, 3, 3] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
+
+/**
+ * Parameters
+ */
+const parameters = {
+    count: 20000,
+    size: 0.02,
+    radius: 3,
+    color: '#ff7a5c'
+}
+
+// Quality: fewer particles on slow machines
+parameters.count = experience.quality.add('particles', {
+    min: 5000,
+    max: parameters.count,
+    step: 1000,
+    onChange: (count) => {
+        parameters.count = count
+        countController.updateDisplay()
+        generate()
+    }
+})
+
+let geometry = null
+let material = null
+let points = null
+
+/**
+ * Generate
+ */
+const generate = () => {
+    // Dispose the previous generation
+    if (points !== null) {
+        geometry.dispose()
+        material.dispose()
+        scene.remove(points)
+    }
+
+    // Same seed + same parameters = same layout
+    const random = experience.random.stream('particles').reset()
+
+    geometry = new THREE.BufferGeometry()
+    const positions = new Float32Array(parameters.count * 3)
+
+    for (let i = 0; i < parameters.count; i++) {
+        const i3 = i * 3
+        positions[i3] = random.centered() * parameters.radius * 2
+        positions[i3 + 1] = random.centered() * parameters.radius * 2
+        positions[i3 + 2] = random.centered() * parameters.radius * 2
+    }
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+
+    material = new THREE.PointsMaterial({
+        size: parameters.size,
+        sizeAttenuation: true,
+        color: parameters.color,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    })
+
+    points = new THREE.Points(geometry, material)
+    scene.add(points)
+}
+
+generate()
+
+/**
+ * GUI - regenerate on change
+ */
+const countController = gui.add(parameters, 'count').min(100).max(200000).step(100).onFinishChange(generate)
+gui.add(parameters, 'size').min(0.001).max(0.1).step(0.001).onFinishChange(generate)
+gui.add(parameters, 'radius').min(0.1).max(10).step(0.01).onFinishChange(generate)
+gui.addColor(parameters, 'color').onFinishChange(generate)
+
+// Rebuild when the seed is edited / rerolled
+experience.seed.addEventListener('change', generate)
+
+/**
+ * Animate
+ */
+experience.onUpdate(({ elapsed }) => {
+    points.rotation.y = elapsed * 0.05
+})
@@ -0,0 +1,118 @@
+import * as THREE from 'three'
+import * as CANNON from 'cannon-es'
+import { Experience } from 'lab-core'
+
+/**
+ * {{title}}
+ */
+
+const experience = new Experience({
+    camera: { position: [-3, 3, 3] },
+    renderer: { shadows: 'pcfsoft' }
+})
+const { scene } = experience
+const gui = experience.debug.ui
+const debugObject = {}
+
+/**
+ * Physics world
+ */
+const world = new CANNON.World()
+world.gravity.set(0, -9.82, 0)
+world.broadphase = new CANNON.SAPBroadphase(world)
+world.allowSleep = true
+world.defaultContactMaterial.friction = 0.1
+world.defaultContactMaterial.restitution = 0.6
+
+/**
+ * Floor
+ */
+const floorBody = new CANNON.Body({ mass: 0, shape: new CANNON.Plane() })
+floorBody.quaternion.setFromAxisAngle(new CANNON.Vec3(-1, 0, 0), Math.PI * 0.5)
+world.addBody(floorBody)
+
+const floor = new THREE.Mesh(
+    new THREE.PlaneGeometry(10, 10),
+    new THREE.MeshStandardMaterial({ color: '#777777', roughness: 0.6 })
+)
+floor.receiveShadow = true
+floor.rotation.x = -Math.PI * 0.5
+scene.add(floor)
+
+/**
+ * Spheres
+ */
+const objectsToUpdate = []
+
+// Shared by every sphere (scaled per mesh)
+const sphereGeometry = new THREE.SphereGeometry(1, 20, 20)
+const sphereMaterial = new THREE.MeshStandardMaterial({ color: '#ff7a5c', roughness: 0.4 })
+
+const createSphere = (radius, position) => {
+    const mesh = new THREE.Mesh(sphereGeometry, sphereMaterial)
+    mesh.castShadow = true
+    mesh.scale.setScalar(radius)
+    mesh.position.copy(position)
+    scene.add(mesh)
+
+    const body = new CANNON.Body({ mass: 1, shape: new CANNON.Sphere(radius) })
+    body.position.copy(position)
+    world.addBody(body)
+
+    objectsToUpdate.push({ mesh, body })
+}
+
+createSphere(0.5, { x: 0, y: 3, z: 0 })
+
+/**
+ * GUI
+ */
+// One continuous stream: the nth spawn after a given seed is always the same
+const spawnRandom = experience.random.stream('spawn')
+
+debugObject.createSphere = () => {
+    createSphere(spawnRandom.range(0.1, 0.5), {
+        x: spawnRandom.centered() * 3,
+        y: 3,
+        z: spawnRandom.centered() * 3
+    })
+}
+
+debugObject.reset = () => {
+    for (const object of objectsToUpdate) {
+        world.removeBody(object.body)
+        scene.remove(object.mesh)
+    }
+    objectsToUpdate.length = 0
+}
+
+gui.add(debugObject, 'createSphere')
+gui.add(debugObject, 'reset')
+
+// Shared geometry and material stay alive after a reset, on purpose
+experience.leaks?.ignore(sphereGeometry, sphereMaterial)
+
+/**
+ * Lights
+ */
+const ambientLight = new THREE.AmbientLight('#ffffff', 1.5)
+scene.add(ambientLight)
+
+const directionalLight = new THREE.DirectionalLight('#ffffff', 1.5)
+directionalLight.castShadow = true
+directionalLight.shadow.mapSize.set(1024, 1024)
+directionalLight.position.set(5, 5, 5)
+scene.add(directionalLight)
+experience.quality.addShadowMap(directionalLight)
+
+/**
+ * Animate
+ */
+experience.onUpdate(({ delta }) => {
+    world.step(1 / 60, delta, 3)
+
+    for (const object of objectsToUpdate) {
+        object.mesh.position.copy(object.body.position)
+        object.mesh.quaternion.copy(object.body.quaternion)
+    }
+})
@@ -0,0 +1,96 @@
+import * as THREE from 'three'
+import gsap from 'gsap'
+import { Experience, CursorOrbitControls } from 'lab-core'
+
+/**
+ * {{title}}
+ *
+ * Fixed transparent canvas behind the HTML sections: the camera follows
+ * the scroll, one object per section, cursor parallax.
+ */
+
+const experience = new Experience({
+    camera: { fov: 35, position: [0, 0, 6], controls: false }, // the page scrolls, no orbit
+    renderer: { alpha: true }
+})
+const { scene, sizes } = experience
+const camera = experience.camera.instance
+const gui = experience.debug.ui
+
+/**
+ * Objects - one per section
+ */
+const objectsDistance = 4
+const material = new THREE.MeshToonMaterial({ color: '#ffeded' })
+
+const sectionMeshes = [
+    new THREE.Mesh(new THREE.TorusGeometry(1, 0.4, 16, 60), material),
+    new THREE.Mesh(new THREE.ConeGeometry(1, 2, 32), material),
+    new THREE.Mesh(new THREE.TorusKnotGeometry(0.8, 0.35, 100, 16), material)
+]
+
+sectionMeshes.forEach((mesh, index) => {
+    mesh.position.y = -objectsDistance * index
+    mesh.position.x = index % 2 === 0 ? 2 : -2
+    scene.add(mesh)
+})
+
+gui.addColor(material, 'color')
+
+/**
+ * Lights
+ */
+const directionalLight = new THREE.DirectionalLight('#ffffff', 3)
+directionalLight.position.set(1, 1, 0)
+scene.add(directionalLight)
+
+/**
+ * Camera rig: the group takes the parallax, the camera the scroll
+ */
+const cameraGroup = new THREE.Group()
+scene.add(cameraGroup)
+cameraGroup.add(camera)
+
+// Eased cursor parallax, half a unit across the page
+const parallax = new CursorOrbitControls(cameraGroup, experience.canvas, {
+    mode: 'parallax',
+    amount: 0.5,
+    lookAtTarget: false
+})
+
+/**
+ * Scroll
+ */
+let scrollY = window.scrollY
+let currentSection = 0
+
+window.addEventListener('scroll', () => {
+    scrollY = window.scrollY
+
+    const section = Math.round(scrollY / sizes.height)
+    if (section !== currentSection && sectionMeshes[section]) {
+        currentSection = section
+
+        // Spin the object of the section we arrive on
+        gsap.to(sectionMeshes[section].rotation, {
+            duration: 1.5,
+            ease: 'power2.inOut',
+            x: '+=6',
+            y: '+=3'
+        })
+    }
+})
+
+/**
+ * Animate
+ */
+experience.onUpdate(({ delta }) => {
+    camera.position.y = -scrollY / sizes.height * objectsDistance
+
+    parallax.update(delta)
+
+    for (const mesh of sectionMeshes) {
+        mesh.rotation.x += delta * 0.1
+        mesh.rotation.y += delta * 0.12
+    }
+})
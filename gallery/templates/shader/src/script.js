@@ -0,0 +1,74 @@
+import * as THREE from 'three'
+import { Experience } from 'lab-core'
+
+/**
+ * {{title}}
+ */
+
+const experience = new Experience({
+    camera: { position: [0, 0, 1.5] }
+})
+const { scene } = experience
+const gui = experience.debug.ui
+
+/**
+ * Shaders
+ */
+const vertexShader = `
+    uniform float uTime;
+    uniform float uFrequency;
+
+    varying vec2 vUv;
+    varying float vElevation;
+
+    void main() {
+        vec4 modelPosition = modelMatrix * vec4(position, 1.0);
+
+        float elevation = sin(modelPosition.x * uFrequency + uTime) * 0.05;
+        modelPosition.z += elevation;
+
+        gl_Position = projectionMatrix * viewMatrix * modelPosition;
+
+        vUv = uv;
+        vElevation = elevation;
+    }
+`
+
+const fragmentShader = `
+    uniform vec3 uColor;
+
+    varying vec2 vUv;
+    varying float vElevation;
+
+    void main() {
+        vec3 color = mix(uColor, vec3(vUv, 1.0), 0.5) + vElevation * 4.0;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`
+
+/**
+ * Plane
+ */
+const material = new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    side: THREE.DoubleSide,
+    uniforms: {
+        uTime: { value: 0 },
+        uFrequency: { value: 10 },
+        uColor: { value: new THREE.Color('#ff7a5c') }
+    }
+})
+
+const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1, 64, 64), material)
+scene.add(mesh)
+
+gui.add(material.uniforms.uFrequency, 'value').min(0).max(30).step(0.01).name('frequency')
+gui.addColor(material.uniforms.uColor, 'value').name('color')
+
+/**
+ * Animate
+ */
+experience.onUpdate(({ elapsed }) => {
+    material.uniforms.uTime.value = elapsed
+})
@@ -0,0 +1,12 @@
+import { defineConfig } from 'vite'
+import experiments from './plugins/experiments.js'
+
+export default defineConfig({
+    root: 'src',
+    server: { host: true },
+    build: {
+        outDir: '../dist',
+        emptyOutDir: true
+    },
+    plugins: [experiments()]
+})
@@ -0,0 +1,512 @@
+import * as THREE from 'three'
+import { NumberController } from 'lil-gui'
+// The bundled loop: offline, nothing to copy into each experiment. `?url` and
+// not `new URL()`: the dev server only serves files from outside the
+// experiment once they are imported
+import sampleUrl from '../assets/loop.wav?url'
+
+// "Folder / Subfolder / name", as shown in the GUI
+const controllerPath = (controller) => {
+    const names = [controller._name]
+    for (let gui = controller.parent; gui.parent; gui = gui.parent) names.unshift(gui._title)
+    return names.join(' / ')
+}
+
+/**
+ * AudioReactive
+ *
+ * Web Audio input for visuals: the bundled loop, a local audio file or the
+ * microphone, through an AnalyserNode. Every frame it exposes
+ * - `levels`: bass / mid / treble / level (0 to 1, smoothed: fast attack,
+ *   slow release) and beat (1 on a beat, then decays)
+ * - `uniforms`: the same as uAudioBass, uAudioMid, uAudioTreble,
+ *   uAudioLevel, uAudioBeat, plus uAudioFft, a texture with the spectrum
+ *   (row 0, linear in frequency) and the waveform (row 1), in the red channel
+ *
+ * Any number can follow a signal: a lil-gui controller (its slider range is
+ * the modulation range) or any object property.
+ *
+ * Imported from its own path (not from 'lab-core'), so the bundled loop
+ * only ships with the experiments that use it:
+ *
+ * import AudioReactive from 'lab-core/AudioReactive.js'
+ *
+ * const audio = new AudioReactive({ experience })
+ * audio.bind(elevationController, { signal: 'bass', amount: 0.4 })
+ * audio.bind(parameters, 'speed', { signal: 'beat', amount: 0.2, min: 0, max: 5 })
+ * material.uniforms = { ...material.uniforms, ...audio.uniforms }
+ *
+ * With an `experience` it updates before the `onUpdate` callbacks added
+ * after it, keeps on-demand rendering running while it plays, saves its
+ * bindings in presets and is destroyed with it. Without one, pass a `gui`
+ * and call `audio.update(delta)` every frame.
+ *
+ * Browsers only start audio from a user gesture: the GUI play toggle, or
+ * `audio.start()` in a click handler.
+ *
+ * Events: 'play', 'pause', 'beat'
+ */
+export default class AudioReactive extends THREE.EventDispatcher {
+    static sources = ['sample', 'file', 'microphone']
+    static signals = ['bass', 'mid', 'treble', 'level', 'beat']
+
+    // Hz
+    static bands = {
+        bass: [20, 250],
+        mid: [250, 2000],
+        treble: [2000, 16000]
+    }
+
+    constructor({
+        sample = sampleUrl,
+        fftSize = 1024,
+        volume = 0.8,
+        gain = 1,
+        attack = 0.03, // seconds
+        release = 0.25,
+        beatThreshold = 1.35, // bass over its average of the last second
+        beatCooldown = 0.25,
+        experience = null,
+        gui = experience?.debug.ui ?? null
+    } = {}) {
+        super()
+
+        this.sample = sample
+        this.fftSize = fftSize
+        this.volume = volume
+        this.gain = gain
+        this.attack = attack
+        this.release = release
+        this.beatThreshold = beatThreshold
+        this.beatCooldown = beatCooldown
+
+        this.source = 'sample'
+        this.playing = false
+        this.context = null
+        this.stream = null
+        this.fileUrl = null
+
+        this.element = new Audio(sample)
+        this.element.loop = true
+        this.element.preload = 'none'
+
+        this.levels = { bass: 0, mid: 0, treble: 0, level: 0, beat: 0 }
+        this.bassAverage = 0
+        this.sinceBeat = Infinity
+
+        const bins = fftSize / 2
+        this.fftData = new Uint8Array(bins * 2)
+        this.fftTexture = new THREE.DataTexture(this.fftData, bins, 2, THREE.RedFormat)
+        this.fftTexture.magFilter = THREE.LinearFilter
+        this.fftTexture.needsUpdate = true
+
+        this.uniforms = {
+            uAudioFft: { value: this.fftTexture },
+            uAudioBass: { value: 0 },
+            uAudioMid: { value: 0 },
+            uAudioTreble: { value: 0 },
+            uAudioLevel: { value: 0 },
+            uAudioBeat: { value: 0 }
+        }
+
+        this.bindings = []
+
+        if (gui) this.setDebug(gui)
+        if (experience) this.attach(experience)
+    }
+
+    attach(experience) {
+        const { presets, scheduler } = experience
+
+        this.removeUpdate = experience.onUpdate(({ delta }) => this.update(delta))
+
+        // Levels move on every frame while it plays, and fall back to 0 after
+        let release = null
+        this.addEventListener('play', () => {
+            release = scheduler.animate()
+        })
+        this.addEventListener('pause', () => {
+            release?.()
+            scheduler.invalidate(60)
+        })
+
+        // Not the folder (source, play): the bindings go through register()
+        presets?.excludeFolder('Audio')
+        presets?.register('audio', {
+            save: () => this.saveBindings(),
+            load: (bindings) => this.loadBindings(bindings)
+        })
+
+        this.onDestroy = () => this.destroy()
+        experience.addEventListener('destroy', this.onDestroy)
+    }
+
+    /**
+     * The graph, on the first start (an AudioContext created before a user
+     * gesture starts suspended)
+     */
+    setContext() {
+        if (this.context) return
+
+        this.context = new AudioContext()
+
+        this.analyser = this.context.createAnalyser()
+        this.analyser.fftSize = this.fftSize
+        this.analyser.smoothingTimeConstant = 0.5
+        this.frequencies = new Uint8Array(this.analyser.frequencyBinCount)
+        this.waveform = new Uint8Array(this.analyser.fftSize)
+
+        // Bin i is i * sampleRate / fftSize Hz
+        const hertzPerBin = this.context.sampleRate / this.fftSize
+        this.bandBins = {}
+        for (const [name, [from, to]] of Object.entries(AudioReactive.bands)) {
+            const first = Math.max(1, Math.floor(from / hertzPerBin))
+            const last = Math.min(this.frequencies.length, Math.max(first + 1, Math.ceil(to / hertzPerBin)))
+            this.bandBins[name] = [first, last]
+        }
+
+        this.output = this.context.createGain()
+        this.output.gain.value = this.volume
+        this.output.connect(this.context.destination)
+
+        this.elementSource = this.context.createMediaElementSource(this.element)
+    }
+
+    /**
+     * Route a source node to the analyser. The microphone is never audible
+     * (feedback loop with the speakers).
+     */
+    connect(node, audible) {
+        this.input?.disconnect()
+        this.input = node
+        node.connect(this.analyser)
+        if (audible) node.connect(this.output)
+    }
+
+    async start() {
+        this.setContext()
+
+        try {
+            await this.context.resume()
+
+            if (this.source === 'microphone') {
+                this.stream ??= await navigator.mediaDevices.getUserMedia({
+                    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+                })
+                this.connect(this.context.createMediaStreamSource(this.stream), false)
+            }
+            else {
+                this.connect(this.elementSource, true)
+                await this.element.play()
+            }
+        }
+        catch (error) {
+            console.warn(`[lab-core] Audio: could not start the ${this.source}`, error)
+            this.stop()
+            this.playingController?.updateDisplay()
+            return
+        }
+
+        this.playing = true
+        this.playingController?.updateDisplay()
+        this.dispatchEvent({ type: 'play' })
+    }
+
+    stop() {
+        this.element.pause()
+
+        // Release the microphone (and the browser's recording indicator)
+        if (this.stream) {
+            for (const track of this.stream.getTracks()) track.stop()
+            this.stream = null
+        }
+
+        if (!this.playing) return
+
+        this.playing = false
+        this.playingController?.updateDisplay()
+        this.dispatchEvent({ type: 'pause' })
+    }
+
+    toggle() {
+        return this.playing ? this.stop() : this.start()
+    }
+
+    /**
+     * 'sample', 'file' (opens a file picker) or 'microphone', started right away
+     */
+    setSource(source) {
+        this.stop()
+        this.source = source
+        this.sourceController?.updateDisplay()
+
+        if (source === 'file') return this.openFile()
+        if (source === 'sample') this.element.src = this.sample
+
+        return this.start()
+    }
+
+    openFile() {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = 'audio/*'
+        input.addEventListener('change', () => {
+            const [file] = input.files
+            if (file) this.loadFile(file)
+        })
+        input.click()
+    }
+
+    /**
+     * A File / Blob from a picker or a drop
+     */
+    loadFile(file) {
+        if (this.fileUrl) URL.revokeObjectURL(this.fileUrl)
+        this.fileUrl = URL.createObjectURL(file)
+
+        this.stop()
+        this.source = 'file'
+        this.sourceController?.updateDisplay()
+        this.element.src = this.fileUrl
+
+        return this.start()
+    }
+
+    /**
+     * Once per frame, before the bound values are used
+     */
+    update(delta) {
+        if (this.analyser) {
+            this.analyser.getByteFrequencyData(this.frequencies)
+            this.analyser.getByteTimeDomainData(this.waveform)
+
+            const bins = this.frequencies.length
+            this.fftData.set(this.frequencies)
+            this.fftData.set(this.waveform.subarray(0, bins), bins)
+            this.fftTexture.needsUpdate = true
+
+            const average = (first, last) => {
+                let sum = 0
+                for (let i = first; i < last; i++) sum += this.frequencies[i]
+                return sum / ((last - first) * 255)
+            }
+
+            const raw = {}
+            for (const [name, [first, last]] of Object.entries(this.bandBins)) raw[name] = average(first, last)
+            raw.level = average(1, this.bandBins.treble[1])
+
+            for (const [name, value] of Object.entries(raw)) {
+                const target = Math.min(value * this.gain, 1)
+                const current = this.levels[name]
+                const duration = target > current ? this.attack : this.release
+                this.levels[name] += (target - current) * (1 - Math.exp(-delta / duration))
+            }
+
+            // Beat: the bass jumps over its recent average, not too soon after the last one
+            this.sinceBeat += delta
+            if (raw.bass > this.bassAverage * this.beatThreshold && raw.bass > 0.1 && this.sinceBeat > this.beatCooldown) {
+                this.sinceBeat = 0
+                this.levels.beat = 1
+                this.dispatchEvent({ type: 'beat', strength: raw.bass / Math.max(this.bassAverage, 0.01) })
+            }
+            else {
+                this.levels.beat *= Math.exp(-delta / 0.15)
+            }
+            this.bassAverage += (raw.bass - this.bassAverage) * (1 - Math.exp(-delta))
+        }
+
+        const { levels, uniforms } = this
+        uniforms.uAudioBass.value = levels.bass
+        uniforms.uAudioMid.value = levels.mid
+        uniforms.uAudioTreble.value = levels.treble
+        uniforms.uAudioLevel.value = levels.level
+        uniforms.uAudioBeat.value = levels.beat
+
+        for (const binding of this.bindings) this.applyBinding(binding)
+    }
+
+    /**
+     * Drive a number with a signal: base value + signal x amount x range.
+     * bind(controller, options) for a lil-gui number controller (range:
+     * its min / max), bind(object, property, options) for anything else.
+     * Set by hand meanwhile (GUI, preset, code), the value becomes the new base.
+     */
+    bind(target, property, options) {
+        const controller = target instanceof NumberController ? target : null
+        if (controller) {
+            options = property
+            target = controller.object
+            property = controller.property
+        }
+
+        const base = target[property]
+        const {
+            signal = 'bass',
+            amount = 0.5,
+            min = controller?._min ?? 0,
+            max = controller?._max ?? (Math.abs(base) * 2 || 1)
+        } = options ?? {}
+
+        const binding = {
+            object: target,
+            property,
+            controller,
+            path: controller ? controllerPath(controller) : property,
+            signal,
+            amount,
+            min,
+            max,
+            base,
+            written: base
+        }
+        // gui.save() (presets, JSON export) keeps the base, not the modulated value
+        if (controller) controller.save = () => (target[property] === binding.written ? binding.base : target[property])
+        this.bindings.push(binding)
+        this.addBindingDebug(binding)
+
+        return binding
+    }
+
+    unbind(binding) {
+        const index = this.bindings.indexOf(binding)
+        if (index === -1) return
+
+        this.bindings.splice(index, 1)
+        binding.object[binding.property] = binding.base
+        // Back to lil-gui's own save()
+        if (binding.controller) delete binding.controller.save
+        binding.controller?.updateDisplay()
+        binding.folder?.destroy()
+    }
+
+    applyBinding(binding) {
+        const { object, property } = binding
+
+        if (object[property] !== binding.written) binding.base = object[property]
+
+        const range = binding.max - binding.min
+        const value = binding.base + this.levels[binding.signal] * binding.amount * range
+        object[property] = THREE.MathUtils.clamp(value, binding.min, binding.max)
+        binding.written = object[property]
+        binding.controller?.updateDisplay()
+    }
+
+    /**
+     * GUI bindings as JSON, for presets: [{ path, signal, amount }]
+     */
+    saveBindings() {
+        return this.bindings
+            .filter((binding) => binding.controller)
+            .map(({ path, signal, amount }) => ({ path, signal, amount }))
+    }
+
+    loadBindings(saved) {
+        for (const binding of this.bindings.filter((binding) => binding.controller)) this.unbind(binding)
+
+        const targets = this.bindingTargets()
+        for (const { path, signal, amount } of saved) {
+            const controller = targets.get(path)
+            if (controller) this.bind(controller, { signal, amount })
+        }
+    }
+
+    /**
+     * Every number controller of the whole GUI but this folder's, by path
+     */
+    bindingTargets() {
+        const targets = new Map()
+        if (!this.folder) return targets
+
+        let root = this.folder
+        while (root.parent) root = root.parent
+
+        const own = this.folder.controllersRecursive()
+        for (const controller of root.controllersRecursive()) {
+            if (controller instanceof NumberController && !own.includes(controller)) {
+                targets.set(controllerPath(controller), controller)
+            }
+        }
+
+        return targets
+    }
+
+    setDebug(gui) {
+        const folder = gui.addFolder('Audio')
+        this.folder = folder
+
+        this.sourceController = folder.add(this, 'source', AudioReactive.sources)
+            .onChange((source) => this.setSource(source))
+        this.playingController = folder.add(this, 'playing').name('play')
+            .onChange((playing) => (playing ? this.start() : this.stop()))
+        folder.add(this, 'volume', 0, 1, 0.01)
+            .onChange((volume) => {
+                if (this.output) this.output.gain.value = volume
+            })
+        folder.add(this, 'gain', 0, 4, 0.01).name('input gain')
+        folder.add(this, 'release', 0.02, 1, 0.01).name('release (s)')
+        folder.add(this, 'beatThreshold', 1, 3, 0.01).name('beat threshold')
+
+        for (const signal of AudioReactive.signals) {
+            folder.add(this.levels, signal, 0, 1).listen().disable()
+        }
+
+        // New binding: any number slider of the GUI
+        this.draft = { parameter: '', signal: 'bass', amount: 0.5 }
+        this.bindingsFolder = folder.addFolder('Bindings')
+        this.bindingsFolder.add(this.draft, 'signal', AudioReactive.signals)
+        this.bindingsFolder.add(this.draft, 'amount', -1, 1, 0.01)
+        this.bindingsFolder.add({ bind: () => this.bindDraft() }, 'bind').name('bind parameter')
+        this.updateParameterController()
+
+        // Experiments add their sliders after this folder exists: list them when opened
+        this.bindingsFolder.onOpenClose((changed) => {
+            if (changed === this.bindingsFolder && !changed._closed) this.updateParameterController()
+        })
+    }
+
+    bindDraft() {
+        const controller = this.bindingTargets().get(this.draft.parameter)
+        if (!controller) return
+
+        const existing = this.bindings.find((binding) => binding.controller === controller)
+        if (existing) this.unbind(existing)
+
+        this.bind(controller, { signal: this.draft.signal, amount: this.draft.amount })
+    }
+
+    /**
+     * lil-gui can't change the options of a controller: replace it, first in the folder
+     */
+    updateParameterController() {
+        const paths = [...this.bindingTargets().keys()]
+        if (!paths.includes(this.draft.parameter)) this.draft.parameter = paths[0] ?? ''
+
+        this.parameterController?.destroy()
+        this.parameterController = this.bindingsFolder.add(this.draft, 'parameter', paths)
+        this.bindingsFolder.$children.prepend(this.parameterController.domElement)
+    }
+
+    addBindingDebug(binding) {
+        if (!this.bindingsFolder) return
+
+        const folder = this.bindingsFolder.addFolder(binding.path)
+        folder.add(binding, 'signal', AudioReactive.signals)
+        folder.add(binding, 'amount', -1, 1, 0.01)
+        folder.add({ remove: () => this.unbind(binding) }, 'remove').name('unbind')
+        binding.folder = folder
+    }
+
+    destroy() {
+        this.removeUpdate?.()
+        this.stop()
+        for (const binding of [...this.bindings]) this.unbind(binding)
+
+        this.context?.close()
+        this.element.removeAttribute('src')
+        this.element.load()
+        if (this.fileUrl) URL.revokeObjectURL(this.fileUrl)
+
+        this.fftTexture.dispose()
+        this.folder?.destroy()
+    }
+}
@@ -0,0 +1,227 @@
+import * as THREE from 'three'
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
+import CursorOrbitControls from './CursorOrbitControls.js'
+
+/**
+ * Camera
+ *
+ * PerspectiveCamera (or OrthographicCamera) + optional controls, kept in
+ * sync with Sizes. `instance` is the THREE camera to render with: read it
+ * when needed (a raycast, a render pass), it changes with the projection.
+ *
+ * `projection`: 'perspective' or 'orthographic', switched from code with
+ * `setProjection(type)` or from the GUI (Camera > projection). The switch
+ * keeps the framing: the orthographic frustum is as tall as what the
+ * perspective camera sees at the controls target, and back, the
+ * perspective camera moves to the distance that fills the same height.
+ * OrbitControls zoom the orthographic camera (`zoom`) instead of dollying.
+ *
+ * `controls`: 'orbit' (damped OrbitControls, also `true`), 'cursor' (the
+ * camera orbits with the cursor), 'parallax' (it slides with the cursor),
+ * 'none' (also `false`), or { type: 'parallax', amount: 0.5, ... } with
+ * CursorOrbitControls options. Swapped from code with `setControls(type)`
+ * or from the GUI (Camera > controls); the target carries over.
+ *
+ * Events: 'change' (the controls moved the camera, or were swapped),
+ * 'projection' ({ instance }: the new camera)
+ */
+export default class Camera extends THREE.EventDispatcher {
+    static controlsTypes = ['orbit', 'cursor', 'parallax', 'none']
+    static projections = ['perspective', 'orthographic']
+
+    constructor(experience, {
+        fov = 75,
+        near = 0.1,
+        far = 100,
+        position = [0, 0, 3],
+        target = [0, 0, 0],
+        controls = true,
+        projection = 'perspective'
+    } = {}) {
+        super()
+
+        this.experience = experience
+        this.sizes = experience.sizes
+        this.scene = experience.scene
+        this.canvas = experience.canvas
+
+        this.target = new THREE.Vector3().fromArray(target)
+        this.controls = null
+        this.controlsType = 'none'
+        this.projection = 'perspective'
+        this.aspect = this.sizes.width / this.sizes.height
+        // Orthographic: world units from the bottom to the top of the view (zoom 1)
+        this.frustumHeight = 1
+
+        const { type = 'orbit', ...cursorOptions } = typeof controls === 'object' ? controls : {}
+        this.cursorOptions = cursorOptions
+        this.onControlsChange = () => this.dispatchEvent({ type: 'change' })
+
+        this.setInstance({ fov, near, far, position })
+        this.setControls(controls === true ? 'orbit' : controls === false ? 'none' : typeof controls === 'string' ? controls : type)
+        if (projection !== 'perspective') this.setProjection(projection)
+
+        if (experience.debug.active) this.setDebug(experience.debug.ui)
+    }
+
+    setInstance({ fov, near, far, position }) {
+        this.perspective = new THREE.PerspectiveCamera(fov, this.aspect, near, far)
+        this.perspective.position.fromArray(position)
+        this.orthographic = new THREE.OrthographicCamera(-0.5, 0.5, 0.5, -0.5, near, far)
+
+        this.instance = this.perspective
+        this.scene.add(this.instance)
+    }
+
+    setProjection(projection) {
+        if (!Camera.projections.includes(projection)) {
+            console.warn(`[lab-core] Camera: unknown projection "${projection}" (${Camera.projections.join(', ')})`)
+            return
+        }
+        if (projection === this.projection) return
+
+        const previous = this.instance
+        const next = projection === 'orthographic' ? this.orthographic : this.perspective
+        const target = this.controls?.target ?? this.target
+        const halfFov = THREE.MathUtils.degToRad(this.perspective.fov) / 2
+
+        if (projection === 'orthographic') {
+            // What the perspective camera sees at the target, flat
+            this.frustumHeight = 2 * previous.position.distanceTo(target) * Math.tan(halfFov) / previous.zoom
+            next.position.copy(previous.position)
+            next.zoom = 1
+        }
+        else {
+            // Back along the same line until the target fills the same height
+            const distance = this.frustumHeight / previous.zoom / (2 * Math.tan(halfFov))
+            next.position.subVectors(previous.position, target).setLength(distance).add(target)
+            next.zoom = 1
+        }
+        next.quaternion.copy(previous.quaternion)
+        next.near = previous.near
+        next.far = previous.far
+
+        // Whatever rides along (a listener, a HUD) moves to the new camera
+        for (const child of [...previous.children]) next.add(child)
+        this.scene.remove(previous)
+        this.scene.add(next)
+
+        this.instance = next
+        this.projection = projection
+        this.updateProjection()
+
+        // Controls are bound to their camera: rebuild them on the new one
+        this.setControls(this.controlsType)
+        this.projectionController?.updateDisplay()
+        this.dispatchEvent({ type: 'projection', instance: next })
+    }
+
+    toggleProjection() {
+        this.setProjection(this.projection === 'perspective' ? 'orthographic' : 'perspective')
+    }
+
+    setControls(type) {
+        if (!Camera.controlsTypes.includes(type)) {
+            console.warn(`[lab-core] Camera: unknown controls "${type}" (${Camera.controlsTypes.join(', ')})`)
+            return
+        }
+
+        if (this.controls) {
+            this.target.copy(this.controls.target)
+            this.controls.removeEventListener('change', this.onControlsChange)
+            this.controls.dispose()
+            this.controls = null
+        }
+
+        this.controlsType = type
+
+        if (type === 'orbit') {
+            this.controls = new OrbitControls(this.instance, this.canvas)
+            this.controls.enableDamping = true
+            this.controls.target.copy(this.target)
+            this.controls.update()
+        }
+        else if (type === 'cursor' || type === 'parallax') {
+            this.controls = new CursorOrbitControls(this.instance, this.canvas, {
+                mode: type === 'cursor' ? 'orbit' : 'parallax',
+                target: this.target,
+                ...this.cursorOptions
+            })
+        }
+
+        this.controls?.addEventListener('change', this.onControlsChange)
+        this.typeController?.updateDisplay()
+        this.updateDebug()
+        this.dispatchEvent({ type: 'change' })
+    }
+
+    setDebug(gui) {
+        this.folder = gui.addFolder('Camera')
+        this.folder.close()
+        this.projectionController = this.folder.add(this, 'projection', Camera.projections)
+            .onChange((projection) => this.setProjection(projection))
+        this.typeController = this.folder.add(this, 'controlsType', Camera.controlsTypes)
+            .name('controls')
+            .onChange((type) => this.setControls(type))
+        this.updateDebug()
+    }
+
+    // The settings of the current controls, under the type
+    updateDebug() {
+        if (!this.folder) return
+
+        for (const controller of this.folder.controllers.slice(2)) controller.destroy()
+
+        const { controls, folder } = this
+        if (!(controls instanceof CursorOrbitControls)) return
+
+        folder.add(controls, 'damping', 0, 20, 0.1)
+        folder.add(controls, 'lookAtTarget').name('look at target')
+        if (controls.mode === 'orbit') {
+            folder.add(controls, 'azimuthRange', 0, Math.PI * 2, 0.01).name('azimuth range')
+            folder.add(controls, 'polarRange', 0, Math.PI, 0.01).name('polar range')
+        }
+        else {
+            folder.add(controls, 'amount', 0, 10, 0.01)
+        }
+    }
+
+    resize() {
+        this.setAspect(this.sizes.width / this.sizes.height)
+    }
+
+    /**
+     * Width / height of the view (the recorder renders at its own size)
+     */
+    setAspect(aspect) {
+        this.aspect = aspect
+        this.updateProjection()
+    }
+
+    updateProjection() {
+        const { instance, aspect } = this
+
+        if (instance.isOrthographicCamera) {
+            const halfHeight = this.frustumHeight / 2
+            instance.top = halfHeight
+            instance.bottom = -halfHeight
+            instance.left = -halfHeight * aspect
+            instance.right = halfHeight * aspect
+        }
+        else {
+            instance.aspect = aspect
+        }
+
+        instance.updateProjectionMatrix()
+    }
+
+    update(delta) {
+        this.controls?.update(delta)
+    }
+
+    destroy() {
+        this.controls?.removeEventListener('change', this.onControlsChange)
+        this.controls?.dispose()
+        this.scene.remove(this.instance)
+    }
+}
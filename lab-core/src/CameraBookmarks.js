@@ -0,0 +1,332 @@
+import * as THREE from 'three'
+import gsap from 'gsap'
+import { isContainerEvent } from './Debug.js'
+
+const round = (value) => Math.round(value * 1000) / 1000
+const offset = new THREE.Vector3()
+const target = new THREE.Vector3()
+const spherical = new THREE.Spherical()
+
+/**
+ * CameraBookmarks
+ *
+ * Named viewpoints (position, controls target, fov, zoom, near / far) and
+ * animated transitions between them. Keys 1 to 9 jump to the first nine
+ * (embedded: with the pointer over the container or the focus in it).
+ *
+ * A transition orbits around the moving target (no straight line through
+ * the model), eases fov / zoom / near / far along, and disables the
+ * controls until it lands. GSAP drives it, so it needs `gsap` in the
+ * experiment, and is imported from its own path (not from 'lab-core'):
+ *
+ * import CameraBookmarks from 'lab-core/CameraBookmarks.js'
+ *
+ * const bookmarks = new CameraBookmarks({ experience, bookmarks: [
+ *     { name: 'front', position: [0, 4, 6], target: [0, 3.5, 0] },
+ *     { name: 'visor', position: [0.8, 4.6, 2.2], target: [0, 4.3, 0], fov: 40 }
+ * ] })
+ * bookmarks.go('visor')
+ *
+ * GUI (Bookmarks folder): the view dropdown jumps, 'add from camera' saves
+ * the current view under `name`, 'set from camera' / 'remove' edit the
+ * selected one. Bookmarks are saved with presets (`bookmarks`), so the ones
+ * added from the GUI stay with the experiment.
+ *
+ * Without an `experience`: pass `camera` (and `controls`, `gui`).
+ *
+ * Events: 'change' (bookmarks edited), 'start' / 'complete' ({ name })
+ */
+export default class CameraBookmarks extends THREE.EventDispatcher {
+    static eases = ['power1.inOut', 'power2.inOut', 'power3.inOut', 'sine.inOut', 'expo.inOut', 'none']
+
+    constructor({
+        experience = null,
+        camera = null,
+        controls = null,
+        gui = experience?.debug.ui ?? null,
+        bookmarks = [],
+        duration = 1.2,
+        ease = 'power2.inOut',
+        keys = true
+    } = {}) {
+        super()
+
+        this.experience = experience
+        this.fixedCamera = camera
+        this.fixedControls = controls
+
+        this.bookmarks = []
+        this.duration = duration
+        this.ease = ease
+        this.current = ''
+        this.name = ''
+
+        this.tween = null
+        this.transition = {
+            progress: 0,
+            fromTarget: new THREE.Vector3(),
+            toTarget: new THREE.Vector3(),
+            fromSpherical: new THREE.Spherical(),
+            toSpherical: new THREE.Spherical(),
+            from: {},
+            to: {}
+        }
+
+        if (keys) {
+            this.onKeyDown = (event) => this.keyDown(event)
+            window.addEventListener('keydown', this.onKeyDown)
+        }
+
+        if (gui) this.setDebug(gui)
+        if (experience) this.attach(experience)
+
+        this.fromJSON(bookmarks)
+    }
+
+    /**
+     * An Experience swaps its camera (Camera > projection) and controls
+     * (Camera > controls): always the current ones
+     */
+    get camera() {
+        return this.fixedCamera ?? this.experience?.camera.instance ?? null
+    }
+
+    get controls() {
+        return this.fixedControls ?? this.experience?.camera.controls ?? null
+    }
+
+    attach(experience) {
+        const { presets, scheduler } = experience
+
+        let release = null
+        this.addEventListener('start', () => {
+            release?.()
+            release = scheduler.animate()
+        })
+        this.addEventListener('complete', () => {
+            release?.()
+            release = null
+        })
+
+        // Not the folder: loading its 'view' would jump
+        presets?.excludeFolder('Bookmarks')
+        presets?.register('bookmarks', {
+            save: () => this.toJSON(),
+            load: (bookmarks) => this.fromJSON(bookmarks)
+        })
+
+        this.onDestroy = () => this.dispose()
+        experience.addEventListener('destroy', this.onDestroy)
+    }
+
+    /**
+     * The camera now: position, controls target (or a point ahead), lens
+     */
+    capture() {
+        const { camera, controls } = this
+        const target = controls?.target?.clone()
+            ?? camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(5).add(camera.position)
+
+        const view = {
+            position: camera.position.toArray().map(round),
+            target: target.toArray().map(round),
+            zoom: round(camera.zoom),
+            near: camera.near,
+            far: camera.far
+        }
+        if (camera.fov !== undefined) view.fov = round(camera.fov)
+
+        return view
+    }
+
+    get(name) {
+        return typeof name === 'number' ? this.bookmarks[name] : this.bookmarks.find((bookmark) => bookmark.name === name)
+    }
+
+    /**
+     * Save the current view (replaces a bookmark with the same name)
+     */
+    add(name = `view ${this.bookmarks.length + 1}`) {
+        const bookmark = { name, ...this.capture() }
+        const index = this.bookmarks.findIndex((other) => other.name === name)
+
+        if (index === -1) this.bookmarks.push(bookmark)
+        else this.bookmarks[index] = bookmark
+
+        this.current = name
+        this.changed()
+
+        return bookmark
+    }
+
+    remove(name) {
+        const bookmark = this.get(name)
+        if (!bookmark) return
+
+        this.bookmarks.splice(this.bookmarks.indexOf(bookmark), 1)
+        if (this.current === bookmark.name) this.current = ''
+        this.changed()
+    }
+
+    /**
+     * Animate to a bookmark (by name or index). Resolves when it lands, or
+     * when another transition takes over.
+     */
+    go(name, { duration = this.duration, ease = this.ease } = {}) {
+        const bookmark = this.get(name)
+        if (!bookmark) {
+            console.warn(`[lab-core] CameraBookmarks: unknown bookmark "${name}"`)
+            return Promise.resolve()
+        }
+
+        this.tween?.kill()
+
+        const { controls, transition } = this
+        const from = this.capture()
+
+        transition.progress = 0
+        transition.fromTarget.fromArray(from.target)
+        transition.toTarget.fromArray(bookmark.target)
+        transition.fromSpherical.setFromVector3(offset.fromArray(from.position).sub(transition.fromTarget))
+        transition.toSpherical.setFromVector3(offset.fromArray(bookmark.position).sub(transition.toTarget))
+        // The short way around
+        transition.toSpherical.theta = transition.fromSpherical.theta
+            + THREE.MathUtils.euclideanModulo(transition.toSpherical.theta - transition.fromSpherical.theta + Math.PI, Math.PI * 2) - Math.PI
+        transition.from = from
+        transition.to = { ...from, ...bookmark }
+
+        if (controls) controls.enabled = false
+        this.current = bookmark.name
+        this.viewController?.updateDisplay()
+        this.dispatchEvent({ type: 'start', name: bookmark.name })
+
+        return new Promise((resolve) => {
+            this.tween = gsap.to(transition, {
+                progress: 1,
+                duration,
+                ease,
+                onUpdate: () => this.apply(transition.progress),
+                onComplete: () => {
+                    this.tween = null
+                    if (controls) {
+                        controls.enabled = true
+                        // CursorOrbitControls: the bookmark is the new rest pose
+                        controls.saveState?.()
+                    }
+                    this.dispatchEvent({ type: 'complete', name: bookmark.name })
+                    resolve()
+                },
+                // Killed by another transition: settle the promise anyway
+                onInterrupt: resolve
+            })
+        })
+    }
+
+    get transitioning() {
+        return this.tween !== null
+    }
+
+    apply(progress) {
+        const { camera, controls, transition } = this
+        const { from, to, fromSpherical, toSpherical } = transition
+        const lerp = THREE.MathUtils.lerp
+
+        target.lerpVectors(transition.fromTarget, transition.toTarget, progress)
+        controls?.target?.copy(target)
+
+        spherical.set(
+            lerp(fromSpherical.radius, toSpherical.radius, progress),
+            lerp(fromSpherical.phi, toSpherical.phi, progress),
+            lerp(fromSpherical.theta, toSpherical.theta, progress)
+        )
+        camera.position.setFromSpherical(spherical).add(target)
+        camera.lookAt(target)
+
+        // An orthographic camera has no fov
+        if (camera.fov !== undefined) camera.fov = lerp(from.fov, to.fov, progress)
+        camera.zoom = lerp(from.zoom, to.zoom, progress)
+        camera.near = lerp(from.near, to.near, progress)
+        camera.far = lerp(from.far, to.far, progress)
+        camera.updateProjectionMatrix()
+    }
+
+    keyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return
+        if (event.target.closest?.('input, textarea, select')) return
+        if (!isContainerEvent(event, this.experience?.container)) return
+        if (event.key < '1' || event.key > '9' || event.key.length !== 1) return
+
+        const bookmark = this.bookmarks[Number(event.key) - 1]
+        if (bookmark) this.go(bookmark.name)
+    }
+
+    changed() {
+        this.updateViewController()
+        this.dispatchEvent({ type: 'change' })
+    }
+
+    /**
+     * JSON
+     */
+    toJSON() {
+        return this.bookmarks.map((bookmark) => ({ ...bookmark }))
+    }
+
+    fromJSON(bookmarks = []) {
+        this.bookmarks = bookmarks.map(({ name, position, target, fov, zoom = 1, near, far }, index) => {
+            const bookmark = {
+                name: name ?? `view ${index + 1}`,
+                position: [...position],
+                target: [...target],
+                zoom,
+                near: near ?? this.camera.near,
+                far: far ?? this.camera.far
+            }
+            fov ??= this.camera.fov
+            if (fov !== undefined) bookmark.fov = fov
+
+            return bookmark
+        })
+        if (!this.get(this.current)) this.current = ''
+        this.changed()
+    }
+
+    setDebug(gui) {
+        const folder = gui.addFolder('Bookmarks')
+        folder.close()
+        this.folder = folder
+
+        folder.add(this, 'duration', 0, 5, 0.01)
+        folder.add(this, 'ease', CameraBookmarks.eases)
+        folder.add(this, 'name')
+        folder.add({ add: () => this.add(this.name || undefined) }, 'add').name('add from camera')
+        folder.add({ update: () => this.current && this.add(this.current) }, 'update').name('set from camera')
+        folder.add({ remove: () => this.remove(this.current) }, 'remove')
+    }
+
+    /**
+     * lil-gui can't change the options of a controller: replace it, first in the folder
+     */
+    updateViewController() {
+        if (!this.folder) return
+
+        // '1: front' → 'front', the key in front of the name
+        const options = Object.fromEntries(this.bookmarks.map(({ name }, index) => [index < 9 ? `${index + 1}: ${name}` : name, name]))
+
+        this.viewController?.destroy()
+        this.viewController = this.folder.add(this, 'current', options)
+            .name('view')
+            // A preset restores the camera pose itself: no jump over it
+            .onChange((name) => { if (!this.experience?.presets?.loading) this.go(name) })
+        this.folder.$children.prepend(this.viewController.domElement)
+    }
+
+    dispose() {
+        this.tween?.kill()
+        this.tween = null
+        if (this.controls) this.controls.enabled = true
+
+        if (this.onKeyDown) window.removeEventListener('keydown', this.onKeyDown)
+        this.folder?.destroy()
+    }
+}
@@ -0,0 +1,503 @@
+import * as THREE from 'three'
+
+const round = (value) => Math.round(value * 1000) / 1000
+
+// GSAP's names, without GSAP
+const eases = {
+    'none': (t) => t,
+    'sine.inOut': (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    'power1.inOut': (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+    'power2.inOut': (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+    'power3.inOut': (t) => (t < 0.5 ? 8 * t ** 4 : 1 - (-2 * t + 2) ** 4 / 2),
+    'expo.inOut': (t) => (t === 0 || t === 1 ? t : t < 0.5 ? 2 ** (20 * t - 10) / 2 : (2 - 2 ** (-20 * t + 10)) / 2),
+    'power2.in': (t) => t ** 3,
+    'power2.out': (t) => 1 - (1 - t) ** 3
+}
+
+/**
+ * CameraPath
+ *
+ * Authored camera moves: keyframes (position + look-at target) joined by
+ * two CatmullRom splines, one for the position and one for the target.
+ * Each keyframe sets the `duration` and `ease` of the segment that leaves
+ * it, so a move can hold, rush or glide between two shots.
+ *
+ * Driven by time (`play()`, then `update(delta)` every frame) or by a 0 to 1
+ * `progress` (a scroll story). While it drives the camera the controls are
+ * disabled; `release()` gives the camera back from where the path left it.
+ *
+ * import cameraPath from '../camera-path.json'
+ * const path = new CameraPath({ experience, ...cameraPath })
+ * path.play()                         // reel, turntable
+ * path.progress = scrollY / maxScroll // scroll story
+ *
+ * GUI (Camera path folder): 'add keyframe' captures the current camera and
+ * controls target, a progress scrubber previews, each keyframe has its
+ * duration / ease / go to / recapture / remove, and the path goes out and
+ * back in as JSON (also saved with presets).
+ *
+ * Without an `experience`: pass `camera` (and `controls`, `gui`, `scene` for
+ * the path helper) and call `update(delta)` every frame.
+ *
+ * Events: 'change' (keyframes edited), 'play', 'pause', 'complete'
+ */
+export default class CameraPath extends THREE.EventDispatcher {
+    static eases = Object.keys(eases)
+
+    constructor({
+        experience = null,
+        camera = null,
+        controls = null,
+        gui = experience?.debug.ui ?? null,
+        scene = experience?.scene ?? null,
+        keyframes = [],
+        closed = false,
+        loop = true,
+        speed = 1,
+        curveType = 'centripetal'
+    } = {}) {
+        super()
+
+        this.experience = experience
+        this.fixedCamera = camera
+        this.fixedControls = controls
+        this.scene = scene
+
+        this.closed = closed
+        this.loop = loop
+        this.speed = speed
+        this.curveType = curveType
+
+        this.time = 0
+        this.playing = false
+        this.active = false
+        this.showPath = false
+
+        this.keyframes = []
+        this.positionCurve = null
+        this.targetCurve = null
+
+        this.position = new THREE.Vector3()
+        this.target = new THREE.Vector3()
+
+        if (scene) this.setHelper()
+        if (gui) this.setDebug(gui)
+        if (experience) this.attach(experience)
+
+        this.fromJSON({ keyframes, closed })
+    }
+
+    /**
+     * An Experience swaps its camera (Camera > projection) and controls
+     * (Camera > controls): always the current ones
+     */
+    get camera() {
+        return this.fixedCamera ?? this.experience?.camera.instance ?? null
+    }
+
+    get controls() {
+        return this.fixedControls ?? this.experience?.camera.controls ?? null
+    }
+
+    attach(experience) {
+        const { presets, scheduler } = experience
+
+        this.removeUpdate = experience.onUpdate(({ delta }) => this.update(delta))
+
+        let release = null
+        this.addEventListener('play', () => {
+            release = scheduler.animate()
+        })
+        this.addEventListener('pause', () => release?.())
+
+        // Not the folder: loading 'play' or 'drive camera' would start the path
+        presets?.excludeFolder('Camera path')
+        presets?.register('cameraPath', {
+            save: () => ({ ...this.toJSON(), speed: this.speed, loop: this.loop, showPath: this.showPath }),
+            load: ({ speed = this.speed, loop = this.loop, showPath = this.showPath, ...path }) => {
+                this.speed = speed
+                this.loop = loop
+                this.showPath = showPath
+                if (this.helper) this.helper.visible = showPath
+                this.fromJSON(path)
+                this.folder?.controllers.forEach((controller) => controller.updateDisplay())
+            }
+        })
+
+        this.onDestroy = () => this.dispose()
+        experience.addEventListener('destroy', this.onDestroy)
+    }
+
+    /**
+     * Keyframes
+     */
+    addKeyframe({ position, target, duration = 2, ease = 'sine.inOut' }, index = this.keyframes.length) {
+        this.keyframes.splice(index, 0, {
+            position: [...position],
+            target: [...target],
+            duration,
+            ease
+        })
+        this.rebuild()
+    }
+
+    /**
+     * The camera now: its position, and the controls target (or a point
+     * ahead of it, as far as the last keyframe's target)
+     */
+    capture() {
+        const position = this.camera.position.clone()
+        let target = this.controls?.target?.clone()
+
+        if (!target) {
+            const last = this.keyframes.at(-1)
+            const distance = last ? new THREE.Vector3().fromArray(last.position).distanceTo(new THREE.Vector3().fromArray(last.target)) : 5
+            target = this.camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(distance).add(position)
+        }
+
+        return { position: position.toArray().map(round), target: target.toArray().map(round) }
+    }
+
+    addKeyframeFromCamera() {
+        const last = this.keyframes.at(-1)
+        this.addKeyframe({ ...this.capture(), duration: last?.duration, ease: last?.ease })
+    }
+
+    updateKeyframe(index) {
+        Object.assign(this.keyframes[index], this.capture())
+        this.rebuild()
+    }
+
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1)
+        this.rebuild()
+    }
+
+    /**
+     * Put the camera on a keyframe
+     */
+    goTo(index) {
+        this.pause()
+        this.time = this.startTimes()[index] ?? 0
+        this.drive()
+    }
+
+    clear() {
+        this.keyframes = []
+        this.time = 0
+        this.release()
+        this.rebuild()
+    }
+
+    rebuild() {
+        const closed = this.closed && this.keyframes.length > 2
+
+        if (this.keyframes.length > 0) {
+            const points = (key) => this.keyframes.map((keyframe) => new THREE.Vector3().fromArray(keyframe[key]))
+            this.positionCurve = new THREE.CatmullRomCurve3(points('position'), closed, this.curveType)
+            this.targetCurve = new THREE.CatmullRomCurve3(points('target'), closed, this.curveType)
+        }
+        else {
+            this.positionCurve = null
+            this.targetCurve = null
+        }
+
+        this.time = Math.min(this.time, this.duration)
+        this.updateHelper()
+        this.updateKeyframesDebug()
+        this.dispatchEvent({ type: 'change' })
+    }
+
+    /**
+     * Timing
+     */
+    get segmentCount() {
+        const count = this.keyframes.length
+        return this.closed && count > 2 ? count : Math.max(count - 1, 0)
+    }
+
+    get duration() {
+        let duration = 0
+        for (let i = 0; i < this.segmentCount; i++) duration += this.keyframes[i].duration
+        return duration
+    }
+
+    // When the camera is on each keyframe
+    startTimes() {
+        const times = [0]
+        for (let i = 0; i < this.keyframes.length - 1; i++) times.push(times[i] + this.keyframes[i].duration)
+        return times
+    }
+
+    get progress() {
+        const duration = this.duration
+        return duration > 0 ? this.time / duration : 0
+    }
+
+    /**
+     * 0 to 1 over the whole path: takes the camera
+     */
+    set progress(progress) {
+        this.time = THREE.MathUtils.clamp(progress, 0, 1) * this.duration
+        this.drive()
+    }
+
+    /**
+     * Position and target at `time` (seconds from the first keyframe)
+     */
+    evaluate(time, position = this.position, target = this.target) {
+        const count = this.keyframes.length
+        if (count === 0) return false
+
+        const segments = this.segmentCount
+        const duration = this.duration
+
+        if (segments === 0 || duration <= 0) {
+            position.fromArray(this.keyframes[0].position)
+            target.fromArray(this.keyframes[0].target)
+            return true
+        }
+
+        let local = this.loop ? THREE.MathUtils.euclideanModulo(time, duration) : THREE.MathUtils.clamp(time, 0, duration)
+        // The end of a path that doesn't loop: on the last keyframe
+        if (!this.loop && local >= duration) local = duration - 0.000001
+
+        let segment = 0
+        while (segment < segments - 1 && local >= this.keyframes[segment].duration) {
+            local -= this.keyframes[segment].duration
+            segment++
+        }
+
+        const keyframe = this.keyframes[segment]
+        const ease = eases[keyframe.ease] ?? eases.none
+        const t = keyframe.duration > 0 ? THREE.MathUtils.clamp(local / keyframe.duration, 0, 1) : 1
+
+        // getPoint (not getPointAt): the curve passes keyframe i at i / segments
+        const u = (segment + ease(t)) / segments
+        this.positionCurve.getPoint(u, position)
+        this.targetCurve.getPoint(u, target)
+
+        return true
+    }
+
+    /**
+     * Playback
+     */
+    play() {
+        if (this.keyframes.length < 2) return
+        if (!this.loop && this.time >= this.duration) this.time = 0
+
+        this.active = true
+        if (this.playing) return
+
+        this.playing = true
+        this.dispatchEvent({ type: 'play' })
+    }
+
+    pause() {
+        if (!this.playing) return
+
+        this.playing = false
+        this.dispatchEvent({ type: 'pause' })
+    }
+
+    /**
+     * Take the camera (and keep it) at the current time
+     */
+    drive() {
+        this.active = true
+        this.apply()
+    }
+
+    /**
+     * Give the camera back to the controls, where the path left it
+     */
+    release() {
+        this.pause()
+        this.active = false
+
+        const { controls } = this
+        if (controls) {
+            controls.enabled = true
+            // CursorOrbitControls: the new rest pose
+            controls.saveState?.()
+        }
+    }
+
+    /**
+     * Once per frame
+     */
+    update(delta) {
+        if (this.playing) {
+            this.time += delta * this.speed
+
+            if (!this.loop && this.time >= this.duration) {
+                this.time = this.duration
+                this.pause()
+                this.dispatchEvent({ type: 'complete' })
+            }
+        }
+
+        if (this.active) this.apply()
+    }
+
+    apply() {
+        if (!this.evaluate(this.time)) return
+
+        this.camera.position.copy(this.position)
+        this.camera.lookAt(this.target)
+
+        const { controls } = this
+        if (controls) {
+            controls.enabled = false
+            controls.target?.copy(this.target)
+        }
+    }
+
+    /**
+     * JSON
+     */
+    toJSON() {
+        return {
+            closed: this.closed,
+            keyframes: this.keyframes.map(({ position, target, duration, ease }) => ({
+                position: position.map(round),
+                target: target.map(round),
+                duration,
+                ease
+            }))
+        }
+    }
+
+    fromJSON({ keyframes = [], closed = this.closed } = {}) {
+        this.closed = closed
+        this.keyframes = keyframes.map(({ position, target, duration = 2, ease = 'sine.inOut' }) => ({
+            position: [...position],
+            target: [...target],
+            duration,
+            ease
+        }))
+        this.closedController?.updateDisplay()
+        this.rebuild()
+    }
+
+    export(name = 'camera-path') {
+        const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' })
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(blob)
+        link.download = `${name}.json`
+        link.click()
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+    }
+
+    import() {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = 'application/json,.json'
+        input.addEventListener('change', async () => {
+            const [file] = input.files
+            if (!file) return
+
+            try {
+                this.fromJSON(JSON.parse(await file.text()))
+            }
+            catch (error) {
+                console.error('[lab-core] Could not import camera path', error)
+            }
+        })
+        input.click()
+    }
+
+    /**
+     * Helper: both curves and the keyframes, hidden until 'show path'
+     */
+    setHelper() {
+        this.helper = new THREE.Group()
+        this.helper.name = 'cameraPathHelper'
+        this.helper.visible = this.showPath
+
+        this.positionLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: '#ffcc00' }))
+        this.targetLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: '#00ccff', transparent: true, opacity: 0.5 }))
+        this.keyframePoints = new THREE.Points(new THREE.BufferGeometry(), new THREE.PointsMaterial({ color: '#ffffff', size: 6, sizeAttenuation: false }))
+
+        this.helper.add(this.positionLine, this.targetLine, this.keyframePoints)
+        this.scene.add(this.helper)
+    }
+
+    updateHelper() {
+        if (!this.helper) return
+
+        const samples = Math.max(this.segmentCount * 32, 2)
+        const lines = [[this.positionLine, this.positionCurve], [this.targetLine, this.targetCurve]]
+        for (const [line, curve] of lines) {
+            line.geometry.dispose()
+            line.geometry = curve ? new THREE.BufferGeometry().setFromPoints(curve.getPoints(samples)) : new THREE.BufferGeometry()
+        }
+
+        this.keyframePoints.geometry.dispose()
+        this.keyframePoints.geometry = new THREE.BufferGeometry().setFromPoints(
+            this.keyframes.map((keyframe) => new THREE.Vector3().fromArray(keyframe.position))
+        )
+    }
+
+    setDebug(gui) {
+        const folder = gui.addFolder('Camera path')
+        folder.close()
+        this.folder = folder
+
+        folder.add(this, 'addKeyframeFromCamera').name('add keyframe')
+        folder.add(this, 'progress', 0, 1, 0.001).listen()
+            .onChange(() => this.pause())
+        folder.add(this, 'playing').name('play').listen()
+            .onChange((playing) => (playing ? this.play() : this.pause()))
+        folder.add(this, 'active').name('drive camera').listen()
+            .onChange((active) => (active ? this.drive() : this.release()))
+        folder.add(this, 'speed', 0.1, 4, 0.01)
+        folder.add(this, 'loop')
+        this.closedController = folder.add(this, 'closed').onChange(() => this.rebuild())
+        folder.add(this, 'showPath').name('show path')
+            .onChange((visible) => {
+                if (this.helper) this.helper.visible = visible
+            })
+        folder.add({ export: () => this.export() }, 'export').name('export JSON')
+        folder.add({ import: () => this.import() }, 'import').name('import JSON')
+        folder.add(this, 'clear').name('clear keyframes')
+
+        this.keyframesFolder = folder.addFolder('Keyframes')
+    }
+
+    // lil-gui can't add options in place: rebuild one folder per keyframe
+    updateKeyframesDebug() {
+        if (!this.keyframesFolder) return
+
+        for (const child of [...this.keyframesFolder.children]) child.destroy()
+
+        this.keyframes.forEach((keyframe, index) => {
+            const folder = this.keyframesFolder.addFolder(`#${index + 1}`)
+            folder.close()
+
+            // The last keyframe of an open path starts no segment
+            if (index < this.segmentCount) {
+                folder.add(keyframe, 'duration', 0.1, 20, 0.1).name('duration (s)')
+                folder.add(keyframe, 'ease', CameraPath.eases)
+            }
+            folder.add({ goTo: () => this.goTo(index) }, 'goTo').name('go to')
+            folder.add({ update: () => this.updateKeyframe(index) }, 'update').name('set from camera')
+            folder.add({ remove: () => this.removeKeyframe(index) }, 'remove')
+        })
+    }
+
+    dispose() {
+        this.release()
+        this.removeUpdate?.()
+        this.folder?.destroy()
+
+        if (this.helper) {
+            this.helper.removeFromParent()
+            for (const child of this.helper.children) {
+                child.geometry.dispose()
+                child.material.dispose()
+            }
+        }
+    }
+}
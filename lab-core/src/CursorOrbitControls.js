@@ -0,0 +1,198 @@
+import * as THREE from 'three'
+
+const position = new THREE.Vector3()
+const offset = new THREE.Vector3()
+const spherical = new THREE.Spherical()
+const EPSILON = 0.000001
+
+/**
+ * CursorOrbitControls
+ *
+ * A camera (or any object) driven by where the pointer is, not by dragging:
+ * - 'orbit': the cursor turns the object around `target`, left / right for
+ *   the azimuth, up / down for the polar angle, within the angle limits
+ *   (the cursor camera of the cameras lesson)
+ * - 'parallax': the object slides in its own plane, `amount` units from
+ *   one edge of the element to the other (019's camera group)
+ *
+ * Both ease toward the cursor (`damping`, per second) and can keep looking
+ * at `target`, itself eased when it moves. Mouse moves anywhere on the page
+ * count (canvases behind HTML), relative to `domElement`; a touch moves it
+ * while the finger is down. Leaving the page or lifting the finger eases
+ * back to the rest pose: the object's pose when created, or `saveState()`.
+ *
+ * Same contract as OrbitControls (`object`, `domElement`, `target`,
+ * `enabled`, `update(delta)` every frame, `dispose()`, 'change' event), so
+ * Camera swaps one for the other (`camera: { controls: 'cursor' }`, or
+ * Camera > controls in the GUI).
+ *
+ * const controls = new CursorOrbitControls(camera, canvas, { mode: 'parallax', amount: 0.5 })
+ * tick: controls.update(delta)
+ */
+export default class CursorOrbitControls extends THREE.EventDispatcher {
+    static modes = ['orbit', 'parallax']
+
+    constructor(object, domElement = null, {
+        mode = 'orbit',
+        target = [0, 0, 0],
+        damping = 5, // 0: no easing
+        lookAtTarget = true,
+        recenter = true,
+        // Orbit: radians from one edge of the element to the other, then limits
+        azimuthRange = Math.PI,
+        polarRange = Math.PI / 2,
+        minAzimuthAngle = -Infinity,
+        maxAzimuthAngle = Infinity,
+        minPolarAngle = 0,
+        maxPolarAngle = Math.PI,
+        // Parallax: units from one edge to the other
+        amount = 1
+    } = {}) {
+        super()
+
+        this.object = object
+        this.domElement = null
+        this.enabled = true
+
+        this.mode = mode
+        this.target = Array.isArray(target) ? new THREE.Vector3().fromArray(target) : target.clone()
+        this.damping = damping
+        this.lookAtTarget = lookAtTarget
+        this.recenter = recenter
+        this.azimuthRange = azimuthRange
+        this.polarRange = polarRange
+        this.minAzimuthAngle = minAzimuthAngle
+        this.maxAzimuthAngle = maxAzimuthAngle
+        this.minPolarAngle = minPolarAngle
+        this.maxPolarAngle = maxPolarAngle
+        this.amount = amount
+
+        // -0.5 to 0.5 across the element, y up; `eased` follows `cursor`
+        this.cursor = new THREE.Vector2()
+        this.eased = new THREE.Vector2()
+        this.currentTarget = this.target.clone()
+        this.lastPosition = new THREE.Vector3()
+        this.lastQuaternion = new THREE.Quaternion()
+
+        this.restPosition = new THREE.Vector3()
+        this.restQuaternion = new THREE.Quaternion()
+        this.restSpherical = new THREE.Spherical()
+        this.saveState()
+
+        this.onPointerMove = (event) => this.pointerMove(event)
+        this.onPointerUp = (event) => {
+            if (event.pointerType !== 'mouse') this.center()
+        }
+        this.onLeave = () => this.center()
+
+        if (domElement) this.connect(domElement)
+    }
+
+    /**
+     * The pose the cursor moves away from (and the pose reset() goes back to)
+     */
+    saveState() {
+        this.restPosition.copy(this.object.position)
+        this.restQuaternion.copy(this.object.quaternion)
+        this.restSpherical.setFromVector3(offset.subVectors(this.object.position, this.target))
+        this.currentTarget.copy(this.target)
+    }
+
+    reset() {
+        this.cursor.set(0, 0)
+        this.eased.set(0, 0)
+        this.object.position.copy(this.restPosition)
+        this.object.quaternion.copy(this.restQuaternion)
+        this.dispatchEvent({ type: 'change' })
+    }
+
+    connect(domElement) {
+        this.domElement = domElement
+        const { ownerDocument } = domElement
+        const view = ownerDocument.defaultView
+
+        view.addEventListener('pointermove', this.onPointerMove)
+        domElement.addEventListener('pointerdown', this.onPointerMove)
+        view.addEventListener('pointerup', this.onPointerUp)
+        view.addEventListener('pointercancel', this.onPointerUp)
+        ownerDocument.documentElement.addEventListener('mouseleave', this.onLeave)
+    }
+
+    disconnect() {
+        if (!this.domElement) return
+
+        const { ownerDocument } = this.domElement
+        const view = ownerDocument.defaultView
+
+        view.removeEventListener('pointermove', this.onPointerMove)
+        this.domElement.removeEventListener('pointerdown', this.onPointerMove)
+        view.removeEventListener('pointerup', this.onPointerUp)
+        view.removeEventListener('pointercancel', this.onPointerUp)
+        ownerDocument.documentElement.removeEventListener('mouseleave', this.onLeave)
+    }
+
+    pointerMove(event) {
+        if (!this.enabled) return
+        // A touch only steers while it is down
+        if (event.pointerType !== 'mouse' && event.type === 'pointermove' && event.buttons === 0) return
+
+        const rect = this.domElement.getBoundingClientRect()
+        this.cursor.set(
+            THREE.MathUtils.clamp((event.clientX - rect.left) / rect.width - 0.5, -0.5, 0.5),
+            THREE.MathUtils.clamp(0.5 - (event.clientY - rect.top) / rect.height, -0.5, 0.5)
+        )
+
+        // On-demand rendering: start the easing
+        this.dispatchEvent({ type: 'change' })
+    }
+
+    center() {
+        if (!this.recenter) return
+
+        this.cursor.set(0, 0)
+        this.dispatchEvent({ type: 'change' })
+    }
+
+    /**
+     * Once per frame. Returns true when the object moved.
+     */
+    update(delta = 1 / 60) {
+        if (!this.enabled) return false
+
+        const ease = this.damping > 0 ? 1 - Math.exp(-this.damping * delta) : 1
+        this.eased.lerp(this.cursor, ease)
+        this.currentTarget.lerp(this.target, ease)
+
+        if (this.mode === 'orbit') {
+            spherical.copy(this.restSpherical)
+            spherical.theta = THREE.MathUtils.clamp(spherical.theta + this.eased.x * this.azimuthRange, this.minAzimuthAngle, this.maxAzimuthAngle)
+            spherical.phi = THREE.MathUtils.clamp(spherical.phi - this.eased.y * this.polarRange, this.minPolarAngle, this.maxPolarAngle)
+            spherical.makeSafe()
+
+            position.setFromSpherical(spherical).add(this.currentTarget)
+        }
+        else {
+            // In the plane of the rest pose
+            position.copy(this.restPosition)
+            position.add(offset.set(1, 0, 0).applyQuaternion(this.restQuaternion).multiplyScalar(this.eased.x * this.amount))
+            position.add(offset.set(0, 1, 0).applyQuaternion(this.restQuaternion).multiplyScalar(this.eased.y * this.amount))
+        }
+
+        this.object.position.copy(position)
+        if (this.lookAtTarget) this.object.lookAt(this.currentTarget)
+
+        const moved = this.lastPosition.distanceToSquared(this.object.position) > EPSILON
+            || 8 * (1 - this.lastQuaternion.dot(this.object.quaternion)) > EPSILON
+        if (moved) {
+            this.lastPosition.copy(this.object.position)
+            this.lastQuaternion.copy(this.object.quaternion)
+            this.dispatchEvent({ type: 'change' })
+        }
+
+        return moved
+    }
+
+    dispose() {
+        this.disconnect()
+    }
+}
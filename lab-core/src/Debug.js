@@ -0,0 +1,48 @@
+import GUI from 'lil-gui'
+
+/**
+ * A key pressed for this experience: anywhere on the page without a
+ * container, else with the focus in it or the pointer over it (several
+ * embedded experiences don't all answer the same key)
+ */
+export const isContainerEvent = (event, container) => {
+    if (!container) return true
+    return container.contains(event.target) || container.matches(':hover')
+}
+
+/**
+ * Debug
+ *
+ * Optional lil-gui panel. `ui` is null when debug is off, so experiments
+ * guard their tweaks with `if (debug.active)`.
+ * Press 'h' to hide / show the panel.
+ * With a `container` (an embedded experience) the panel sits in its corner
+ * instead of the page's, and 'h' only hides it over the container.
+ */
+export default class Debug {
+    constructor({ active = true, title = 'Debug Panel', width, container = null } = {}) {
+        this.active = active
+        this.ui = null
+
+        if (!this.active) return
+
+        this.ui = new GUI({ title, width, container: container ?? undefined })
+        if (container) {
+            Object.assign(this.ui.domElement.style, { position: 'absolute', top: '0', right: '15px', zIndex: '1', maxHeight: '100%', overflowY: 'auto' })
+        }
+
+        this.onKeyDown = (event) => {
+            if (event.key === 'h' && !event.target.closest?.('input, textarea') && isContainerEvent(event, container)) {
+                this.ui.show(this.ui._hidden)
+            }
+        }
+        window.addEventListener('keydown', this.onKeyDown)
+    }
+
+    destroy() {
+        if (!this.active) return
+
+        window.removeEventListener('keydown', this.onKeyDown)
+        this.ui.destroy()
+    }
+}
@@ -0,0 +1,205 @@
+import * as THREE from 'three'
+import Sizes from './Sizes.js'
+import Time from './Time.js'
+import Camera from './Camera.js'
+import Renderer from './Renderer.js'
+import Debug from './Debug.js'
+import Resources from './Resources.js'
+import Seed from './Seed.js'
+import Recorder from './Recorder.js'
+import Presets from './Presets.js'
+import LoadingOverlay from './LoadingOverlay.js'
+import Perf from './Perf.js'
+import LeakTracker from './LeakTracker.js'
+import Quality from './Quality.js'
+import Scheduler from './Scheduler.js'
+
+// A canvas inside an element of its own (not <body>) sizes to that element
+const embeddingParent = (canvas) => {
+    const parent = canvas.parentElement
+    return parent && parent !== document.body && parent !== document.documentElement ? parent : null
+}
+
+// The canvas fills the container, which holds the GUI / HUD / overlay
+const embed = (canvas, container) => {
+    canvas.style.display = 'block'
+    canvas.style.width = '100%'
+    canvas.style.height = '100%'
+    if (getComputedStyle(container).position === 'static') container.style.position = 'relative'
+}
+
+/**
+ * Experience
+ *
+ * Shared runtime replacing the sizes / resize / camera / renderer / tick
+ * block every experiment used to copy-paste.
+ *
+ * const experience = new Experience({
+ *     canvas: document.querySelector('canvas.webgl'),
+ *     camera: { position: [3, 3, 3] },
+ *     renderer: { shadows: true },
+ *     sources: [{ name: 'color', type: 'texture', path: '/textures/door/color.jpg' }]
+ * })
+ * experience.scene.add(mesh)
+ * experience.onUpdate(({ elapsed, delta }) => { mesh.rotation.y = elapsed })
+ *
+ * Procedural code draws from `experience.random.stream('name')` instead of
+ * Math.random() and rebuilds on `experience.seed` 'change' (see Seed.js).
+ *
+ * `experience.recorder` captures frame-accurate WebM / PNG sequences (see Recorder.js).
+ * `loadingOverlay: {}` shows a loading screen for `sources` (see LoadingOverlay.js).
+ * `experience.presets` saves / restores the GUI and camera state (see Presets.js).
+ * `experience.perf` is the performance HUD, 'Performance' GUI folder (see Perf.js).
+ * `experience.quality` steps pixel ratio and declared knobs with the frame time (see Quality.js).
+ * `scheduler: { onDemand: true }` only renders when something changes (see Scheduler.js).
+ * `experience.leaks` reports undisposed resources in dev builds, null otherwise (see LeakTracker.js).
+ *
+ * Embedded: `container` (a card, a CMS block) gets the canvas (created in it
+ * when there is none) and drives the size through a ResizeObserver; the
+ * GUI, HUD and loading screen stay inside it, presets are kept per
+ * container id, `sizes.toggleFullscreen()` puts the container fullscreen.
+ * A canvas inside anything but <body> makes its parent the container.
+ *
+ * Lifecycle events: 'resize', 'update' ({ elapsed, delta }), 'ready', 'destroy'
+ * No singleton: several experiences can live on the same page.
+ */
+export default class Experience extends THREE.EventDispatcher {
+    constructor({
+        canvas = null,
+        container = null,
+        sizes = {},
+        time = {},
+        camera = {},
+        renderer = {},
+        debug = {},
+        sources = [],
+        resources = {},
+        loadingOverlay = false,
+        seed = null,
+        presets = {},
+        perf = {},
+        leaks = {},
+        quality = {},
+        scheduler = {},
+        autoStart = true
+    } = {}) {
+        super()
+
+        this.canvas = canvas ?? (container ? container.appendChild(document.createElement('canvas')) : document.querySelector('canvas.webgl'))
+        this.container = container ?? embeddingParent(this.canvas)
+        // Created here: removed on destroy
+        this.ownsCanvas = !canvas && container !== null
+        if (this.container) embed(this.canvas, this.container)
+        this.scene = new THREE.Scene()
+
+        // Systems
+        this.sizes = new Sizes({ element: this.container, ...sizes })
+        this.time = new Time(time)
+        this.debug = new Debug(debug === false ? { active: false } : { container: this.container, ...debug })
+        this.seed = new Seed({ seed, gui: this.debug.ui })
+        this.random = this.seed.random
+
+        // The overlay hooks the manager before the first load starts
+        const manager = new THREE.LoadingManager()
+        this.loadingOverlay = loadingOverlay ? new LoadingOverlay(manager, { scene: this.scene, container: this.container, ...loadingOverlay }) : null
+        this.resources = new Resources(sources, { ...resources, manager })
+        this.camera = new Camera(this, camera)
+        this.renderer = new Renderer(this, renderer)
+        this.quality = new Quality(this, { gui: this.debug.ui, ...quality })
+        this.perf = new Perf(this.renderer.instance, { gui: this.debug.ui, container: this.container, ...perf })
+        // Dev server only unless asked for: the tracker patches Object3D.add and scans on a timer
+        const { active: leaksActive = import.meta.env?.DEV ?? false, ...leakOptions } = leaks || {}
+        this.leaks = leaks !== false && leaksActive
+            ? new LeakTracker({ scenes: [this.scene], gui: this.debug.ui, ...leakOptions })
+            : null
+        this.recorder = new Recorder(this)
+        this.presets = presets === false ? null : new Presets(this, { id: this.container?.id, ...presets })
+        this.scheduler = new Scheduler(this, scheduler)
+        this.scheduler.listenTo(this.quality, 'change')
+        this.scheduler.listenTo(this.presets, 'load')
+        // The overlay fade needs frames until it is gone
+        if (this.loadingOverlay) this.loadingOverlay.addEventListener('hidden', this.scheduler.animate())
+
+        // Wiring
+        this.onResize = () => this.resize()
+        this.onTick = () => this.update()
+        this.onReady = () => {
+            this.loadingOverlay?.complete()
+            this.dispatchEvent({ type: 'ready' })
+        }
+
+        this.sizes.addEventListener('resize', this.onResize)
+        this.time.addEventListener('tick', this.onTick)
+        this.resources.addEventListener('ready', this.onReady)
+
+        if (autoStart) this.time.play()
+    }
+
+    /**
+     * Register a per-frame callback. Returns a function that removes it.
+     */
+    onUpdate(callback) {
+        const listener = (event) => callback(event)
+        this.addEventListener('update', listener)
+
+        return () => this.removeEventListener('update', listener)
+    }
+
+    resize() {
+        // The recorder owns the canvas size while capturing, it resizes back when done
+        if (this.recorder.recording) return
+
+        this.camera.resize()
+        this.renderer.resize()
+        this.dispatchEvent({ type: 'resize' })
+    }
+
+    update() {
+        this.scheduler.beginFrame()
+        this.quality.update()
+        this.perf.begin()
+        this.dispatchEvent({ type: 'update', elapsed: this.time.elapsed, delta: this.time.delta })
+        this.camera.update(this.time.delta)
+        this.perf.split()
+        this.renderer.update()
+        this.perf.end()
+        this.scheduler.endFrame()
+    }
+
+    destroy() {
+        this.sizes.removeEventListener('resize', this.onResize)
+        this.time.removeEventListener('tick', this.onTick)
+        this.resources.removeEventListener('ready', this.onReady)
+
+        this.time.destroy()
+        this.sizes.destroy()
+
+        // Dispose everything still attached to the scene
+        this.scene.traverse((child) => {
+            if (child.geometry) child.geometry.dispose()
+
+            if (child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material]
+                for (const material of materials) {
+                    for (const value of Object.values(material)) {
+                        if (value?.isTexture) value.dispose()
+                    }
+                    material.dispose()
+                }
+            }
+        })
+
+        this.scheduler.destroy()
+        this.presets?.destroy()
+        this.loadingOverlay?.destroy()
+        this.perf.destroy()
+        this.leaks?.destroy()
+        this.camera.destroy()
+        this.renderer.destroy()
+        if (this.ownsCanvas) this.canvas.remove()
+        this.resources.destroy()
+        this.debug.destroy()
+
+        this.dispatchEvent({ type: 'destroy' })
+    }
+}
@@ -0,0 +1,249 @@
+import * as THREE from 'three'
+
+// Where each object was added to a parent: the closest thing to a creation
+// stack, since three.js constructors can't be wrapped from outside
+const addStacks = new WeakMap()
+
+// Patched while at least one tracker is alive (several experiences on a page)
+let trackers = 0
+let originalAdd = null
+
+function trackedAdd(...objects) {
+    const stack = new Error().stack?.split('\n').slice(2).join('\n') ?? ''
+    for (const object of objects) {
+        if (object?.isObject3D && !addStacks.has(object)) addStacks.set(object, stack)
+    }
+    return originalAdd.apply(this, objects)
+}
+
+const patchAdd = () => {
+    if (trackers++ > 0) return
+
+    originalAdd = THREE.Object3D.prototype.add
+    THREE.Object3D.prototype.add = trackedAdd
+}
+
+const restoreAdd = () => {
+    if (--trackers > 0) return
+
+    // Unless something patched it again on top of ours (which still calls it)
+    if (THREE.Object3D.prototype.add !== trackedAdd) return
+    THREE.Object3D.prototype.add = originalAdd
+    originalAdd = null
+}
+
+const describe = (object) => `${object.type}${object.name ? ` "${object.name}"` : ''}`
+
+const ownerStack = (object) => {
+    for (let current = object; current; current = current.parent) {
+        if (addStacks.has(current)) return addStacks.get(current)
+    }
+    return ''
+}
+
+const resourcesOf = (object) => {
+    const resources = []
+
+    if (object.geometry?.isBufferGeometry) resources.push(object.geometry)
+
+    const materials = Array.isArray(object.material) ? object.material : object.material ? [object.material] : []
+    for (const material of materials) {
+        resources.push(material)
+        for (const value of Object.values(material)) {
+            if (value?.isTexture) resources.push(value)
+        }
+        // ShaderMaterial textures live in uniforms
+        for (const uniform of Object.values(material.uniforms ?? {})) {
+            if (uniform?.value?.isTexture) resources.push(uniform.value)
+        }
+    }
+
+    if (object.isScene) {
+        if (object.background?.isTexture) resources.push(object.background)
+        if (object.environment?.isTexture) resources.push(object.environment)
+    }
+
+    return resources
+}
+
+const typeOf = (resource) => resource.isTexture ? 'texture' : resource.isMaterial ? 'material' : 'geometry'
+
+/**
+ * LeakTracker
+ *
+ * Dev-only check of the dispose pattern. Every scan walks the watched scenes
+ * and registers each geometry, material and texture found with its owning
+ * object and the stack where that object was added. A registered resource
+ * that is no longer in any watched scene but was never `dispose()`d is
+ * reported as a leak, once, in the console.
+ *
+ * The stack shown is where the owner (or its closest ancestor) was
+ * `add()`ed, not where the resource was created: a geometry built once and
+ * added later points at the `add()`. It comes from patching
+ * `Object3D.prototype.add` while a tracker is alive (restored on destroy).
+ *
+ * const leaks = new LeakTracker({ scenes: [scene] })
+ * leaks.report() // console table of leaked resources
+ * await leaks.assertNoGrowth(generateGalaxy, 5) // throws if regenerating leaks
+ *
+ * Resources kept off-scene on purpose (shared geometries reused later):
+ * `leaks.ignore(geometry)`.
+ *
+ * In an Experience: active in Vite dev builds, 'Leaks' GUI folder.
+ * Events: 'leak' ({ entries })
+ */
+export default class LeakTracker extends THREE.EventDispatcher {
+    constructor({ scenes = [], gui = null, interval = 2 } = {}) {
+        super()
+
+        this.scenes = scenes
+        this.entries = new Map()
+        this.ignored = new WeakSet()
+        this.checks = {}
+
+        // GUI readouts
+        this.tracked = 0
+        this.leaked = 0
+
+        patchAdd()
+
+        if (gui) this.setDebug(gui)
+        if (interval) this.intervalId = setInterval(() => this.scan(), interval * 1000)
+    }
+
+    watch(scene) {
+        this.scenes.push(scene)
+    }
+
+    ignore(...resources) {
+        for (const resource of resources) {
+            this.ignored.add(resource)
+            this.entries.delete(resource)
+        }
+    }
+
+    register(resource, owner) {
+        const entry = {
+            resource,
+            type: typeOf(resource),
+            name: resource.name || resource.type || '',
+            owner: describe(owner),
+            stack: ownerStack(owner),
+            reported: false
+        }
+
+        const onDispose = () => {
+            resource.removeEventListener('dispose', onDispose)
+            this.entries.delete(resource)
+        }
+        resource.addEventListener('dispose', onDispose)
+
+        this.entries.set(resource, entry)
+    }
+
+    /**
+     * Register what's in the scenes, return what isn't anymore
+     */
+    scan() {
+        const reachable = new Set()
+
+        for (const scene of this.scenes) {
+            scene.traverse((object) => {
+                for (const resource of resourcesOf(object)) {
+                    reachable.add(resource)
+                    if (!this.entries.has(resource) && !this.ignored.has(resource)) this.register(resource, object)
+                }
+            })
+        }
+
+        const leaked = [...this.entries.values()].filter(entry => !reachable.has(entry.resource))
+        const fresh = leaked.filter(entry => !entry.reported)
+
+        if (fresh.length) {
+            for (const entry of fresh) entry.reported = true
+            console.warn(`[lab-core] ${fresh.length} resource(s) left the scene without dispose() (leaks.report() for details, leaks.ignore(resource) if kept on purpose)`)
+            this.dispatchEvent({ type: 'leak', entries: fresh })
+        }
+
+        this.tracked = this.entries.size
+        this.leaked = leaked.length
+        this.trackedController?.updateDisplay()
+        this.leakedController?.updateDisplay()
+
+        return leaked
+    }
+
+    report() {
+        const leaked = this.scan()
+
+        if (!leaked.length) {
+            console.info('[lab-core] No leaked resources')
+            return leaked
+        }
+
+        console.table(leaked.map(({ type, name, owner }) => ({ type, name, owner })))
+        for (const entry of leaked) {
+            console.groupCollapsed(`${entry.type} ${entry.name} (owner ${entry.owner})`)
+            console.log(entry.resource)
+            console.log(entry.stack ? `owner added at:\n${entry.stack}` : 'owner added before the tracker started')
+            console.groupEnd()
+        }
+
+        return leaked
+    }
+
+    /**
+     * Run `callback` (a regeneration) `iterations` times and throw if the
+     * number of live resources grows between the first and the last run
+     */
+    async assertNoGrowth(callback, iterations = 5) {
+        const counts = []
+
+        for (let i = 0; i < iterations; i++) {
+            await callback()
+            this.scan()
+            counts.push(this.entries.size)
+        }
+
+        const growth = counts[counts.length - 1] - counts[0]
+        if (growth > 0) {
+            throw new Error(`[lab-core] ${growth} resource(s) leaked over ${iterations - 1} runs of ${callback.name || 'callback'} (live: ${counts.join(' → ')})`)
+        }
+
+        return counts
+    }
+
+    /**
+     * GUI button running assertNoGrowth on a regeneration
+     */
+    addCheck(name, callback, iterations = 5) {
+        this.checks[name] = async () => {
+            try {
+                const counts = await this.assertNoGrowth(callback, iterations)
+                console.info(`[lab-core] ${name}: no growth over ${iterations} runs (live: ${counts.join(' → ')})`)
+            }
+            catch (error) {
+                console.error(error)
+            }
+        }
+        this.folder?.add(this.checks, name).name(`check ${name}`)
+    }
+
+    setDebug(gui) {
+        this.folder = gui.addFolder('Leaks')
+        this.folder.close()
+
+        this.trackedController = this.folder.add(this, 'tracked').disable()
+        this.leakedController = this.folder.add(this, 'leaked').disable()
+        this.folder.add(this, 'report')
+    }
+
+    destroy() {
+        if (this.destroyed) return
+        this.destroyed = true
+
+        clearInterval(this.intervalId)
+        this.entries.clear()
+        restoreAdd()
+    }
+}
@@ -0,0 +1,278 @@
+import * as THREE from 'three'
+
+const styles = `
+.lab-loading {
+    position: fixed;
+    inset: 0;
+    z-index: 1000;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    gap: 14px;
+    color: #ffffff;
+    font: 12px/1.4 monospace;
+    pointer-events: none;
+    transition: opacity 0.4s;
+}
+.lab-loading.is-scrim { background: #000000; pointer-events: auto; }
+.lab-loading.is-done { opacity: 0; }
+.lab-loading-title { font-size: 14px; letter-spacing: 0.2em; text-transform: uppercase; }
+.lab-loading-bar { width: min(320px, 60vw); height: 2px; background: rgba(255, 255, 255, 0.2); }
+.lab-loading-fill { height: 100%; background: #ffffff; transform: scaleX(0); transform-origin: left; transition: transform 0.3s; }
+.lab-loading.has-error { pointer-events: auto; cursor: pointer; }
+.lab-loading.has-error .lab-loading-fill { background: #ff4060; }
+.lab-loading-list { list-style: none; margin: 0; padding: 0; max-height: 30vh; overflow: hidden; opacity: 0.6; }
+.lab-loading-list li::before { content: '· '; }
+.lab-loading-list li.is-loaded::before { content: '✓ '; }
+.lab-loading-list li.is-error { color: #ff4060; }
+.lab-loading-list li.is-error::before { content: '✗ '; }
+.lab-loading.is-embedded { position: absolute; }
+.lab-loading-error { color: #ff4060; }
+@media (prefers-reduced-motion: reduce) {
+    .lab-loading, .lab-loading-fill { transition: none; }
+}
+`
+
+let stylesInjected = false
+const injectStyles = () => {
+    if (stylesInjected) return
+    const style = document.createElement('style')
+    style.textContent = styles
+    document.head.append(style)
+    stylesInjected = true
+}
+
+const fileName = (url) => decodeURIComponent(url.split('?')[0].split('/').pop() || url)
+
+/**
+ * LoadingOverlay
+ *
+ * Loading screen for anything that goes through a THREE.LoadingManager:
+ * every loader built with the same manager (Texture, GLTF, RGBE, Font,
+ * CubeTexture...) counts in one progress bar, with a per-file list and an
+ * error state.
+ *
+ * With a `scene`, a fullscreen shader plane hides the scene while loading
+ * and fades out once done (the "loading as experience" reveal); without
+ * one, the overlay draws a plain black scrim and fades with CSS.
+ *
+ * const manager = new THREE.LoadingManager()
+ * new LoadingOverlay(manager, { scene })
+ * const textureLoader = new THREE.TextureLoader(manager)
+ *
+ * The manager callbacks (onProgress, onLoad, onError) stay the experiment's,
+ * set before or after the overlay.
+ * With `prefers-reduced-motion` the overlay disappears without a fade.
+ * In an Experience: `new Experience({ loadingOverlay: { title: 'Fox' } })`.
+ *
+ * Events: 'progress' ({ url, loaded, total, progress }), 'error' ({ url }), 'load', 'hidden'
+ */
+export default class LoadingOverlay extends THREE.EventDispatcher {
+    constructor(manager, {
+        scene = null,
+        title = 'Loading',
+        color = '#000000',
+        delay = 0.5,
+        errorDelay = 3,
+        duration = 1.2,
+        container = null
+    } = {}) {
+        super()
+
+        this.manager = manager
+        this.scene = scene
+        this.container = container
+        this.delay = delay
+        this.errorDelay = errorDelay
+        this.duration = duration
+
+        this.progress = 0
+        this.errors = []
+        this.items = new Map()
+        this.done = false
+        this.hidden = false
+
+        this.setDom(title)
+        if (scene) this.setPlane(color)
+        this.attach(manager)
+    }
+
+    setDom(title) {
+        injectStyles()
+
+        this.element = document.createElement('div')
+        this.element.className = 'lab-loading'
+        if (!this.scene) this.element.classList.add('is-scrim')
+        this.element.innerHTML = `
+            <div class="lab-loading-title"></div>
+            <div class="lab-loading-bar"><div class="lab-loading-fill"></div></div>
+            <ul class="lab-loading-list"></ul>
+            <div class="lab-loading-error" hidden></div>
+        `
+        this.element.querySelector('.lab-loading-title').textContent = title
+        this.fill = this.element.querySelector('.lab-loading-fill')
+        this.list = this.element.querySelector('.lab-loading-list')
+        this.errorElement = this.element.querySelector('.lab-loading-error')
+
+        // Click skips the wait (useful in the error state)
+        this.element.addEventListener('click', () => this.hide())
+
+        // Embedded: covers the container, not the page
+        this.element.classList.toggle('is-embedded', this.container !== null)
+        const parent = this.container ?? document.body
+        parent.append(this.element)
+    }
+
+    // Fullscreen quad in clip space: no camera math, always in front
+    setPlane(color) {
+        this.material = new THREE.ShaderMaterial({
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            uniforms: {
+                uAlpha: { value: 1 },
+                uColor: { value: new THREE.Color(color) }
+            },
+            vertexShader: `
+                void main() {
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform float uAlpha;
+                uniform vec3 uColor;
+
+                void main() {
+                    gl_FragColor = vec4(uColor, uAlpha);
+                }
+            `
+        })
+
+        this.plane = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material)
+        this.plane.frustumCulled = false
+        this.plane.renderOrder = Infinity
+        this.scene.add(this.plane)
+    }
+
+    /**
+     * Wraps the manager's item methods, not its onProgress / onLoad / onError:
+     * those stay free for the experiment, set before or after the overlay
+     */
+    attach(manager) {
+        const { itemStart, itemEnd, itemError } = manager
+        let loaded = 0
+        let total = 0
+
+        manager.itemStart = (url) => {
+            total++
+            itemStart.call(manager, url)
+            this.itemStart(url)
+        }
+        manager.itemEnd = (url) => {
+            loaded++
+            itemEnd.call(manager, url)
+            this.itemEnd(url, loaded, total)
+            if (loaded === total) this.complete()
+        }
+        manager.itemError = (url) => {
+            itemError.call(manager, url)
+            this.itemError(url)
+        }
+    }
+
+    itemStart(url) {
+        if (this.items.has(url)) return
+
+        const item = document.createElement('li')
+        item.textContent = fileName(url)
+        this.list.append(item)
+        this.items.set(url, item)
+    }
+
+    itemEnd(url, loaded, total) {
+        const item = this.items.get(url)
+        if (item && !item.classList.contains('is-error')) item.classList.add('is-loaded')
+
+        this.setProgress(loaded / total)
+        this.dispatchEvent({ type: 'progress', url, loaded, total, progress: this.progress })
+    }
+
+    itemError(url) {
+        this.items.get(url)?.classList.add('is-error')
+        this.errors.push(url)
+
+        this.element.classList.add('has-error')
+        this.errorElement.hidden = false
+        this.errorElement.textContent = `${this.errors.length} file${this.errors.length > 1 ? 's' : ''} failed to load (see console) - click to continue`
+
+        this.dispatchEvent({ type: 'error', url })
+    }
+
+    setProgress(progress) {
+        this.progress = progress
+        this.fill.style.transform = `scaleX(${progress})`
+    }
+
+    /**
+     * Everything loaded (or failed): hide after a short pause, a longer one
+     * when something failed so the list can be read
+     */
+    complete() {
+        if (this.done) return
+        this.done = true
+
+        this.setProgress(1)
+        this.dispatchEvent({ type: 'load' })
+
+        this.timeout = setTimeout(() => this.hide(), (this.errors.length ? this.errorDelay : this.delay) * 1000)
+    }
+
+    hide() {
+        if (this.hidden) return
+        this.hidden = true
+        clearTimeout(this.timeout)
+
+        this.element.classList.add('is-done')
+        this.element.style.pointerEvents = 'none'
+
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.finish()
+            return
+        }
+
+        if (!this.plane) {
+            setTimeout(() => this.finish(), 400)
+            return
+        }
+
+        // Fade the plane out (ease out), independent of the experience clock
+        const start = performance.now()
+        const fade = () => {
+            const progress = Math.min((performance.now() - start) / 1000 / this.duration, 1)
+            this.material.uniforms.uAlpha.value = 1 - (1 - Math.pow(1 - progress, 3))
+
+            if (progress < 1) this.frame = requestAnimationFrame(fade)
+            else this.finish()
+        }
+        this.frame = requestAnimationFrame(fade)
+    }
+
+    finish() {
+        this.destroy()
+        this.dispatchEvent({ type: 'hidden' })
+    }
+
+    destroy() {
+        clearTimeout(this.timeout)
+        cancelAnimationFrame(this.frame)
+        this.element.remove()
+
+        if (this.plane) {
+            this.scene.remove(this.plane)
+            this.plane.geometry.dispose()
+            this.material.dispose()
+            this.plane = null
+        }
+    }
+}
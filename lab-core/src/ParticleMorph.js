@@ -0,0 +1,373 @@
+import * as THREE from 'three'
+import gsap from 'gsap'
+import Random from './Random.js'
+
+const vertexShader = /* glsl */ `
+uniform float uProgress;
+uniform float uStagger;
+uniform float uNoise;
+uniform float uTime;
+uniform float uSize;
+uniform float uScale;
+
+attribute vec3 aFrom;
+attribute vec3 aTo;
+attribute vec3 aRandom; // -1 to 1 per axis
+attribute float aDelay; // 0 to 1: when this particle starts, within the stagger
+
+varying float vBrightness;
+
+void main() {
+    // Each particle morphs within its own window of the overall progress
+    float start = aDelay * uStagger;
+    float progress = smoothstep(start, start + 1.0 - uStagger, uProgress);
+
+    // Drift off the straight line mid-flight, back on it at both ends
+    vec3 drift = aRandom * sin(progress * 3.14159265) * uNoise;
+    drift += aRandom.yzx * sin(uTime * 0.8 + aRandom.x * 6.2831853) * uNoise * 0.05;
+
+    vec3 morphed = mix(aFrom, aTo, progress) + drift;
+
+    vec4 mvPosition = modelViewMatrix * vec4(morphed, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = uSize * (0.6 + 0.4 * abs(aRandom.z)) * (uScale / -mvPosition.z);
+
+    vBrightness = 0.7 + 0.3 * aRandom.y;
+}
+`
+
+const fragmentShader = /* glsl */ `
+uniform vec3 uColor;
+
+varying float vBrightness;
+
+void main() {
+    // Soft disc
+    float strength = 1.0 - smoothstep(0.2, 0.5, distance(gl_PointCoord, vec2(0.5)));
+    if (strength <= 0.0) discard;
+
+    gl_FragColor = vec4(uColor * vBrightness, strength);
+    #include <colorspace_fragment>
+}
+`
+
+/**
+ * ParticleMorph
+ *
+ * One Points object moving between any number of point sets: a logo, a
+ * headline, a model, a cloud (see pointSets.js for the samplers). Only the
+ * transition in flight lives on the GPU: `aFrom` / `aTo` attributes mixed
+ * by `uProgress` in the vertex shader, with a per-particle delay (stagger)
+ * and a drift that bends the straight lines mid-flight.
+ *
+ * GSAP drives the progress, so it needs `gsap` in the experiment, and is
+ * imported from its own path (not from 'lab-core'):
+ *
+ * import ParticleMorph from 'lab-core/ParticleMorph.js'
+ * import { sampleCanvasText, sampleSphere } from 'lab-core'
+ *
+ * const morph = new ParticleMorph({ count: 20000, gui })
+ * morph.addTarget('cloud', sampleSphere(20000, { random }))
+ * morph.addTarget('title', sampleCanvasText('Hello', 20000, { random }))
+ * scene.add(morph.points)
+ * morph.morphTo('title', { duration: 2 })
+ *
+ * Stagger order: 'random', 'x' (left to right), 'y' (bottom up) or 'radial'
+ * (center out), from where each particle lands.
+ *
+ * With `presets` (an Experience's), the settings are saved with them (not
+ * the target: loading it would start a morph).
+ *
+ * Events: 'start' and 'complete' ({ name }); morphTo also returns a promise
+ * (resolved on completion, or when another morph interrupts it)
+ */
+export default class ParticleMorph extends THREE.EventDispatcher {
+    static orders = ['random', 'x', 'y', 'radial']
+
+    constructor({
+        count,
+        size = 0.03,
+        color = '#ffffff',
+        stagger = 0.4,
+        order = 'random',
+        noise = 0.6,
+        duration = 2,
+        ease = 'power2.inOut',
+        random = new Random('particle-morph'),
+        gui = null,
+        presets = null
+    }) {
+        super()
+
+        this.count = count
+        this.order = order
+        this.duration = duration
+        this.ease = ease
+        this.random = random
+
+        this.targets = new Map()
+        this.current = null
+        this.tween = null
+
+        this.uniforms = {
+            uProgress: { value: 0 },
+            uStagger: { value: stagger },
+            uNoise: { value: noise },
+            uTime: { value: 0 },
+            uSize: { value: size },
+            uScale: { value: 1 },
+            uColor: { value: new THREE.Color(color) }
+        }
+
+        this.setGeometry()
+
+        this.material = new THREE.ShaderMaterial({
+            vertexShader,
+            fragmentShader,
+            uniforms: this.uniforms,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        })
+
+        this.points = new THREE.Points(this.geometry, this.material)
+        // Positions come from aFrom / aTo: the bounding sphere of `position` means nothing
+        this.points.frustumCulled = false
+        // PointsMaterial's size attenuation: half the drawing buffer height
+        this.points.onBeforeRender = (renderer) => {
+            this.uniforms.uScale.value = renderer.domElement.height / 2
+        }
+
+        if (gui) this.setDebug(gui)
+
+        presets?.excludeFolder('Morph')
+        presets?.register('morph', {
+            save: () => ({
+                duration: this.duration,
+                order: this.order,
+                stagger: this.uniforms.uStagger.value,
+                drift: this.uniforms.uNoise.value,
+                size: this.uniforms.uSize.value,
+                color: `#${this.uniforms.uColor.value.getHexString()}`
+            }),
+            load: ({ duration, order, stagger, drift, size, color }) => {
+                this.duration = duration
+                this.order = order
+                this.uniforms.uStagger.value = stagger
+                this.uniforms.uNoise.value = drift
+                this.uniforms.uSize.value = size
+                this.uniforms.uColor.value.set(color)
+                this.folder?.controllers.forEach((controller) => controller.updateDisplay())
+            }
+        })
+    }
+
+    setGeometry() {
+        this.geometry = new THREE.BufferGeometry()
+
+        const randoms = new Float32Array(this.count * 3)
+        for (let i = 0; i < randoms.length; i++) randoms[i] = this.random.range(-1, 1)
+
+        // Draw range only: the shader reads aFrom / aTo
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3))
+        this.geometry.setAttribute('aFrom', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3))
+        this.geometry.setAttribute('aTo', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3))
+        this.geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 3))
+        this.geometry.setAttribute('aDelay', new THREE.BufferAttribute(new Float32Array(this.count), 1))
+    }
+
+    /**
+     * Register a point set (Float32Array xyz). Sets with another count are
+     * cycled / cut to `count`. The first target is shown right away.
+     */
+    addTarget(name, points) {
+        const positions = new Float32Array(this.count * 3)
+        const available = Math.floor(points.length / 3)
+
+        if (available === 0) {
+            console.warn(`[lab-core] ParticleMorph: target "${name}" has no point`)
+        }
+        else {
+            for (let i = 0; i < this.count; i++) {
+                const source = (i % available) * 3
+                positions[i * 3] = points[source]
+                positions[i * 3 + 1] = points[source + 1]
+                positions[i * 3 + 2] = points[source + 2]
+            }
+        }
+
+        this.targets.set(name, positions)
+        this.updateTargetsController()
+
+        if (this.current === null) this.jumpTo(name)
+
+        return positions
+    }
+
+    /**
+     * Show a target without transition
+     */
+    jumpTo(name) {
+        const positions = this.targets.get(name)
+        if (!positions) return
+
+        this.tween?.kill()
+        this.tween = null
+
+        this.geometry.attributes.aFrom.array.set(positions)
+        this.geometry.attributes.aTo.array.set(positions)
+        this.geometry.attributes.aFrom.needsUpdate = true
+        this.geometry.attributes.aTo.needsUpdate = true
+        this.uniforms.uProgress.value = 1
+
+        this.current = name
+        this.targetsController?.updateDisplay()
+    }
+
+    /**
+     * Animate to a target (by name), from wherever the particles are now,
+     * mid-flight included. Resolves when the morph completes.
+     */
+    morphTo(name, { duration = this.duration, ease = this.ease, order = this.order } = {}) {
+        const positions = this.targets.get(name)
+        if (!positions) {
+            console.warn(`[lab-core] ParticleMorph: no target "${name}" (${[...this.targets.keys()].join(', ')})`)
+            return Promise.resolve()
+        }
+
+        // Interrupted: freeze the particles where they are as the new start
+        this.tween?.kill()
+        this.geometry.attributes.aFrom.array.set(this.currentPositions())
+        this.geometry.attributes.aTo.array.set(positions)
+        this.setDelays(positions, order)
+
+        this.geometry.attributes.aFrom.needsUpdate = true
+        this.geometry.attributes.aTo.needsUpdate = true
+        this.geometry.attributes.aDelay.needsUpdate = true
+
+        this.current = name
+        this.targetsController?.updateDisplay()
+        this.uniforms.uProgress.value = 0
+        this.dispatchEvent({ type: 'start', name })
+
+        return new Promise((resolve) => {
+            this.tween = gsap.to(this.uniforms.uProgress, {
+                value: 1,
+                duration,
+                ease,
+                onComplete: () => {
+                    this.tween = null
+                    this.dispatchEvent({ type: 'complete', name })
+                    resolve()
+                },
+                // Killed by another morph: settle the promise anyway
+                onInterrupt: resolve
+            })
+        })
+    }
+
+    get morphing() {
+        return this.tween !== null
+    }
+
+    /**
+     * The vertex shader's positions, on the CPU (drift included, the idle
+     * wobble left out: it is a few hundredths of a unit)
+     */
+    currentPositions() {
+        const { aFrom, aTo, aRandom, aDelay } = this.geometry.attributes
+        const { uProgress, uStagger, uNoise } = this.uniforms
+        const positions = new Float32Array(this.count * 3)
+
+        for (let i = 0; i < this.count; i++) {
+            const start = aDelay.array[i] * uStagger.value
+            const progress = smoothstep(start, start + 1 - uStagger.value, uProgress.value)
+            const drift = Math.sin(progress * Math.PI) * uNoise.value
+
+            for (let axis = 0; axis < 3; axis++) {
+                const index = i * 3 + axis
+                positions[index] = aFrom.array[index] + (aTo.array[index] - aFrom.array[index]) * progress + aRandom.array[index] * drift
+            }
+        }
+
+        return positions
+    }
+
+    setDelays(positions, order) {
+        const delays = this.geometry.attributes.aDelay.array
+
+        if (order === 'random') {
+            // Same per particle for every morph: a stable "personality"
+            const randoms = this.geometry.attributes.aRandom.array
+            for (let i = 0; i < this.count; i++) delays[i] = randoms[i * 3] * 0.5 + 0.5
+            return
+        }
+
+        const key = order === 'x'
+            ? (i) => positions[i * 3]
+            : order === 'y'
+                ? (i) => positions[i * 3 + 1]
+                : (i) => Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2])
+
+        let min = Infinity
+        let max = -Infinity
+        for (let i = 0; i < this.count; i++) {
+            const value = key(i)
+            min = Math.min(min, value)
+            max = Math.max(max, value)
+        }
+        for (let i = 0; i < this.count; i++) delays[i] = (key(i) - min) / (max - min || 1)
+    }
+
+    /**
+     * Once per frame, for the idle wobble
+     */
+    update(elapsed) {
+        this.uniforms.uTime.value = elapsed
+    }
+
+    setDebug(gui) {
+        const folder = gui.addFolder('Morph')
+        this.folder = folder
+
+        this.updateTargetsController()
+        folder.add(this.uniforms.uProgress, 'value', 0, 1, 0.001).name('progress').listen()
+            .onChange(() => {
+                // Scrubbing by hand stops the morph in flight
+                this.tween?.kill()
+                this.tween = null
+            })
+        folder.add(this, 'duration', 0.1, 10, 0.1)
+        folder.add(this, 'order', ParticleMorph.orders).name('stagger order')
+        folder.add(this.uniforms.uStagger, 'value', 0, 0.95, 0.01).name('stagger')
+        folder.add(this.uniforms.uNoise, 'value', 0, 3, 0.01).name('drift')
+        folder.add(this.uniforms.uSize, 'value', 0.001, 0.2, 0.001).name('size')
+        folder.addColor(this.uniforms.uColor, 'value').name('color')
+    }
+
+    /**
+     * lil-gui can't change the options of a controller: replace it, first in the folder
+     */
+    updateTargetsController() {
+        if (!this.folder) return
+
+        this.targetsController?.destroy()
+        this.targetsController = this.folder.add(this, 'current', [...this.targets.keys()])
+            .name('target')
+            .onChange((name) => this.morphTo(name))
+        this.folder.$children.prepend(this.targetsController.domElement)
+    }
+
+    dispose() {
+        this.tween?.kill()
+        this.folder?.destroy()
+        this.geometry.dispose()
+        this.material.dispose()
+        this.points.removeFromParent()
+    }
+}
+
+const smoothstep = (edge0, edge1, x) => {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1)
+    return t * t * (3 - 2 * t)
+}
@@ -0,0 +1,244 @@
+const styles = `
+.lab-perf {
+    position: fixed;
+    left: 8px;
+    bottom: 8px;
+    z-index: 999;
+    width: 260px;
+    padding: 8px;
+    background: rgba(0, 0, 0, 0.8);
+    color: #d0d0d0;
+    font: 11px/1.45 monospace;
+    pointer-events: none;
+    white-space: pre;
+}
+.lab-perf.is-embedded { position: absolute; }
+.lab-perf canvas { display: block; width: 100%; height: 48px; margin: 4px 0; }
+.lab-perf-fps { color: #ffffff; font-size: 13px; }
+.lab-perf-warning { color: #ff6070; white-space: normal; }
+`
+
+let stylesInjected = false
+const injectStyles = () => {
+    if (stylesInjected) return
+    const style = document.createElement('style')
+    style.textContent = styles
+    document.head.append(style)
+    stylesInjected = true
+}
+
+const formatCount = (value) => value >= 1e6
+    ? `${(value / 1e6).toFixed(2)}M`
+    : value >= 1e3 ? `${(value / 1e3).toFixed(1)}k` : String(value)
+
+/**
+ * Perf
+ *
+ * Performance HUD: FPS, frame time histogram, CPU time split between
+ * update (experiment code) and render (three.js submitting draw calls),
+ * `renderer.info` counters and GPU memory (geometries, textures, programs).
+ * Counters that grow on every sample (something created each frame and
+ * never disposed) are flagged in red and warned once in the console.
+ *
+ * CPU times only: the GPU works asynchronously, a GPU-bound scene shows a
+ * low FPS with short update / render times.
+ *
+ * In an Experience it is wired into the loop and toggled from the
+ * 'Performance' GUI folder. Anywhere else, around the tick:
+ *
+ * const perf = new Perf(renderer, { active: true })
+ * perf.begin()
+ * // update...
+ * perf.split()
+ * renderer.render(scene, camera)
+ * perf.end()
+ */
+export default class Perf {
+    static historyLength = 120
+    static sampleInterval = 0.5 // seconds between text / leak checks
+    static growthSamples = 6 // consecutive growing samples before a warning
+
+    constructor(renderer, { active = false, gui = null, container = null } = {}) {
+        this.renderer = renderer
+        this.container = container
+        this.active = false
+        this.element = null
+
+        this.frameTimes = new Float32Array(Perf.historyLength)
+        this.frameIndex = 0
+        this.previousFrame = null
+        this.updateTime = 0
+        this.renderTime = 0
+
+        this.lastSample = 0
+        this.frameCount = 0
+        this.fps = 0
+        this.counters = {}
+        this.growth = {}
+        this.warned = new Set()
+
+        if (gui) this.setDebug(gui)
+        this.setActive(active)
+    }
+
+    setActive(active) {
+        this.active = active
+
+        if (active && !this.element) {
+            this.setDom()
+            // Count every render of the frame (several viewports, passes...), reset in begin()
+            this.renderer.info.autoReset = false
+            this.previousFrame = null
+        }
+        else if (!active && this.element) {
+            this.element.remove()
+            this.element = null
+            this.renderer.info.autoReset = true
+        }
+
+        this.activeController?.updateDisplay()
+    }
+
+    setDom() {
+        injectStyles()
+
+        this.element = document.createElement('div')
+        this.element.className = 'lab-perf'
+        this.element.innerHTML = `
+            <div class="lab-perf-fps"></div>
+            <canvas width="260" height="48"></canvas>
+            <div class="lab-perf-stats"></div>
+            <div class="lab-perf-warning"></div>
+        `
+        this.fpsElement = this.element.querySelector('.lab-perf-fps')
+        this.statsElement = this.element.querySelector('.lab-perf-stats')
+        this.warningElement = this.element.querySelector('.lab-perf-warning')
+        this.canvas = this.element.querySelector('canvas')
+        this.context = this.canvas.getContext('2d')
+
+        // Embedded: in the container's corner, not the page's
+        this.element.classList.toggle('is-embedded', this.container !== null)
+        const parent = this.container ?? document.body
+        parent.append(this.element)
+    }
+
+    /**
+     * Start of the frame (before the update)
+     */
+    begin() {
+        if (!this.active) return
+
+        const now = performance.now()
+        if (this.previousFrame !== null) {
+            this.frameTimes[this.frameIndex] = now - this.previousFrame
+            this.frameIndex = (this.frameIndex + 1) % Perf.historyLength
+        }
+        this.previousFrame = now
+        this.frameStart = now
+        this.frameCount++
+
+        this.renderer.info.reset()
+    }
+
+    /**
+     * Update done, render starts
+     */
+    split() {
+        if (!this.active) return
+        this.splitTime = performance.now()
+    }
+
+    /**
+     * End of the frame (after the render)
+     */
+    end() {
+        if (!this.active) return
+
+        const now = performance.now()
+        // Smoothed, so the numbers can be read
+        this.updateTime += ((this.splitTime ?? now) - this.frameStart - this.updateTime) * 0.1
+        this.renderTime += (now - (this.splitTime ?? now) - this.renderTime) * 0.1
+        this.splitTime = null
+
+        const elapsed = (now - this.lastSample) / 1000
+        if (elapsed >= Perf.sampleInterval) {
+            this.fps = Math.round(this.frameCount / elapsed)
+            this.frameCount = 0
+            this.lastSample = now
+
+            this.sample()
+            this.draw()
+        }
+    }
+
+    sample() {
+        const { render, memory, programs } = this.renderer.info
+        const counters = {
+            calls: render.calls,
+            triangles: render.triangles,
+            points: render.points,
+            lines: render.lines,
+            geometries: memory.geometries,
+            textures: memory.textures,
+            programs: programs?.length ?? 0
+        }
+
+        // Leaks: GPU resources growing on every sample
+        for (const name of ['geometries', 'textures', 'programs']) {
+            const grew = this.counters[name] !== undefined && counters[name] > this.counters[name]
+            this.growth[name] = grew ? (this.growth[name] ?? 0) + 1 : 0
+
+            if (this.growth[name] >= Perf.growthSamples && !this.warned.has(name)) {
+                this.warned.add(name)
+                console.warn(`[lab-core] ${name} keep growing (${counters[name]}): something is created every frame and never disposed`)
+            }
+        }
+
+        this.counters = counters
+    }
+
+    draw() {
+        const { counters } = this
+        const frameTime = this.frameTimes[(this.frameIndex + Perf.historyLength - 1) % Perf.historyLength]
+
+        this.fpsElement.textContent = `${this.fps} fps  ${frameTime.toFixed(1)} ms`
+        this.statsElement.textContent = [
+            `cpu      update ${this.updateTime.toFixed(2)} ms  render ${this.renderTime.toFixed(2)} ms`,
+            `calls    ${counters.calls}`,
+            `tris     ${formatCount(counters.triangles)}  points ${formatCount(counters.points)}  lines ${formatCount(counters.lines)}`,
+            `memory   geo ${counters.geometries}  tex ${counters.textures}  programs ${counters.programs}`
+        ].join('\n')
+
+        const growing = Object.keys(this.growth).filter(name => this.growth[name] >= Perf.growthSamples)
+        this.warningElement.textContent = growing.length ? `⚠ growing every frame: ${growing.join(', ')}` : ''
+
+        // Histogram: one bar per frame, green under 16.7 ms, orange under 33 ms, red above
+        const { width, height } = this.canvas
+        const barWidth = width / Perf.historyLength
+        const scale = height / 50 // 50 ms at the top
+        this.context.clearRect(0, 0, width, height)
+
+        for (let i = 0; i < Perf.historyLength; i++) {
+            const time = this.frameTimes[(this.frameIndex + i) % Perf.historyLength]
+            this.context.fillStyle = time <= 17 ? '#40d080' : time <= 34 ? '#ffa040' : '#ff4060'
+            const barHeight = Math.min(time * scale, height)
+            this.context.fillRect(i * barWidth, height - barHeight, Math.max(barWidth - 0.5, 1), barHeight)
+        }
+
+        // 60 fps line
+        this.context.fillStyle = 'rgba(255, 255, 255, 0.4)'
+        this.context.fillRect(0, height - 16.7 * scale, width, 1)
+    }
+
+    setDebug(gui) {
+        const folder = gui.addFolder('Performance')
+        folder.close()
+        this.activeController = folder.add(this, 'active')
+            .name('show HUD')
+            .onChange((active) => this.setActive(active))
+    }
+
+    destroy() {
+        this.setActive(false)
+    }
+}
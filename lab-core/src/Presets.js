@@ -0,0 +1,372 @@
+import { EventDispatcher } from 'three'
+
+const round = (value) => Math.round(value * 10000) / 10000
+
+// JSON <-> URL-safe base64 (utf-8 safe, short enough for a hash)
+const encode = (state) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(state))
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('')
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const decode = (string) => {
+    const binary = atob(string.replace(/-/g, '+').replace(/_/g, '/'))
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0))
+    return JSON.parse(new TextDecoder().decode(bytes))
+}
+
+/**
+ * Presets
+ *
+ * Saves and restores the whole tweakable state of an Experience: every
+ * lil-gui controller (through `gui.save()` / `gui.load()`) plus non-GUI
+ * state registered with `register()` (the camera pose by default).
+ *
+ * - named presets in localStorage, per experiment (`key`, the page path by default)
+ * - the last state is kept across reloads (hot reload included)
+ * - JSON file export / import
+ * - `#state=...` in the URL: share a link, it opens on the same state
+ *
+ * Several experiences on one page (embedded in containers) keep apart with
+ * an `id` (the container id): their own storage and `#state-<id>=...`.
+ *
+ * GUI folders listed in `exclude` are neither saved nor loaded: tool folders,
+ * whose controllers start things (a camera path, a morph, a bookmark jump).
+ * Tools add theirs with `excludeFolder()` and keep their state through
+ * `register()`; the Experience's own are excluded by default. `loading` is
+ * true while a state is applied, for controllers that must not act on it.
+ * The 'Seed' folder is saved with presets but not restored after a reload,
+ * where a new seed is expected (pin it in the URL instead).
+ *
+ * Events: 'save' ({ name, state }), 'load' ({ state })
+ */
+export default class Presets extends EventDispatcher {
+    static hashParameter = 'state'
+    static storagePrefix = 'lab-core'
+
+    constructor(experience, {
+        id = '',
+        key = id ? `${window.location.pathname}#${id}` : window.location.pathname,
+        // The Experience's tools, created before the presets
+        exclude = ['Presets', 'Record', 'Quality', 'Performance', 'Leaks', 'Camera'],
+        restore = true
+    } = {}) {
+        super()
+
+        this.experience = experience
+        this.gui = experience.debug.ui
+        this.key = key
+        this.hashParameter = id ? `${Presets.hashParameter}-${id}` : Presets.hashParameter
+        this.exclude = [...exclude]
+        this.sources = {}
+        // True while a state is applied: controllers reacting to it can tell
+        this.loading = false
+        this.defaults = null
+
+        // GUI-facing values
+        this.name = 'preset'
+        this.selected = ''
+
+        // Also what the (excluded) Camera folder holds: projection, controls and their settings
+        this.register('camera', {
+            save: () => {
+                const camera = experience.camera
+                const { instance, controls } = camera
+                const state = {
+                    projection: camera.projection,
+                    frustumHeight: round(camera.frustumHeight),
+                    controls: camera.controlsType,
+                    position: instance.position.toArray().map(round),
+                    target: controls ? controls.target.toArray().map(round) : null,
+                    zoom: round(instance.zoom)
+                }
+                if (camera.controlsType === 'cursor' || camera.controlsType === 'parallax') {
+                    const { damping, lookAtTarget, azimuthRange, polarRange, amount } = controls
+                    state.cursor = { damping, lookAtTarget, azimuthRange, polarRange, amount }
+                }
+                return state
+            },
+            load: ({ projection, frustumHeight, controls: type, cursor, position, target, zoom = 1 }) => {
+                const camera = experience.camera
+                if (projection) camera.setProjection(projection)
+                // The switch derives it from the current pose: the saved one wins
+                if (frustumHeight) camera.frustumHeight = frustumHeight
+                if (cursor) camera.cursorOptions = { ...camera.cursorOptions, ...cursor }
+                if (type && (type !== camera.controlsType || cursor)) camera.setControls(type)
+
+                const { instance, controls } = camera
+                // Hand-edited or older JSON may lack it
+                if (position) instance.position.fromArray(position)
+                instance.zoom = zoom
+                camera.updateProjection()
+                if (controls && target) {
+                    controls.target.fromArray(target)
+                    // Cursor controls ease back to their rest pose: make it this one
+                    if (controls.saveState) {
+                        instance.lookAt(controls.target)
+                        controls.saveState()
+                    }
+                    controls.update()
+                }
+            }
+        })
+
+        // Experiments build their GUI after the Experience (some only once
+        // resources are loaded): capture defaults and restore after 'ready'
+        this.onReady = () => queueMicrotask(() => this.start(restore))
+        experience.addEventListener('ready', this.onReady)
+
+        this.onPageHide = () => this.writeStorage('last', this.save())
+        window.addEventListener('pagehide', this.onPageHide)
+
+        if (this.gui) this.setDebug()
+    }
+
+    /**
+     * Add non-GUI state to presets: `save()` returns JSON-friendly data,
+     * `load(data)` applies it back
+     */
+    register(name, { save, load }) {
+        this.sources[name] = { save, load }
+    }
+
+    excludeFolder(title) {
+        if (!this.exclude.includes(title)) this.exclude.push(title)
+    }
+
+    start(restore) {
+        this.defaults = this.save()
+
+        const hashState = this.readHash()
+        const lastState = this.readStorage('last')
+
+        if (hashState) {
+            this.load(hashState)
+        }
+        else if (restore && lastState) {
+            delete lastState.gui?.folders?.Seed
+            this.load(lastState)
+        }
+    }
+
+    /**
+     * Current state: { gui, ...registered sources }
+     */
+    save() {
+        const state = {}
+
+        if (this.gui) {
+            const { controllers } = this.gui.save(false)
+            const folders = {}
+            for (const folder of this.gui.folders) {
+                if (!this.exclude.includes(folder._title)) folders[folder._title] = folder.save()
+            }
+            state.gui = { controllers, folders }
+        }
+
+        for (const [name, source] of Object.entries(this.sources)) {
+            state[name] = source.save()
+        }
+
+        return state
+    }
+
+    load(state) {
+        this.loading = true
+        try {
+            // Controllers fire their onChange / onFinishChange, so experiments rebuild as usual
+            if (this.gui && state.gui) {
+                // States saved before a tool excluded its folder
+                const folders = { ...state.gui.folders }
+                for (const title of this.exclude) delete folders[title]
+                this.gui.load({ ...state.gui, folders })
+            }
+
+            for (const [name, source] of Object.entries(this.sources)) {
+                if (state[name] !== undefined) source.load(state[name])
+            }
+        } finally {
+            this.loading = false
+        }
+
+        this.dispatchEvent({ type: 'load', state })
+    }
+
+    reset() {
+        if (this.defaults) this.load(this.defaults)
+
+        // Only this experience's state leaves the hash
+        const url = new URL(window.location.href)
+        const parameters = new URLSearchParams(url.hash.slice(1))
+        parameters.delete(this.hashParameter)
+        url.hash = parameters.toString()
+        window.history.replaceState(window.history.state, '', url)
+    }
+
+    /**
+     * Named presets
+     */
+    get names() {
+        return Object.keys(this.readStorage('presets') ?? {})
+    }
+
+    store(name = this.name) {
+        const presets = this.readStorage('presets') ?? {}
+        const state = this.save()
+        presets[name] = state
+        this.writeStorage('presets', presets)
+
+        this.dispatchEvent({ type: 'save', name, state })
+        this.refreshDebug(name)
+    }
+
+    restore(name) {
+        const state = this.readStorage('presets')?.[name]
+        if (state) this.load(state)
+    }
+
+    remove(name = this.selected) {
+        const presets = this.readStorage('presets') ?? {}
+        delete presets[name]
+        this.writeStorage('presets', presets)
+        this.refreshDebug()
+    }
+
+    /**
+     * localStorage (private mode or quota errors only lose persistence)
+     */
+    storageKey(entry) {
+        return `${Presets.storagePrefix}:${this.key}:${entry}`
+    }
+
+    readStorage(entry) {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.storageKey(entry)))
+        }
+        catch {
+            return null
+        }
+    }
+
+    writeStorage(entry, value) {
+        try {
+            window.localStorage.setItem(this.storageKey(entry), JSON.stringify(value))
+        }
+        catch (error) {
+            console.warn('[lab-core] Could not save presets', error)
+        }
+    }
+
+    /**
+     * URL hash
+     */
+    toUrl(state = this.save()) {
+        const url = new URL(window.location.href)
+        // Other experiences' states stay in the hash
+        const parameters = new URLSearchParams(url.hash.slice(1))
+        parameters.set(this.hashParameter, encode(state))
+        url.hash = parameters.toString()
+        return url.toString()
+    }
+
+    readHash() {
+        const value = new URLSearchParams(window.location.hash.slice(1)).get(this.hashParameter)
+        if (!value) return null
+
+        try {
+            return decode(value)
+        }
+        catch (error) {
+            console.warn('[lab-core] Invalid state in URL hash', error)
+            return null
+        }
+    }
+
+    async share() {
+        const url = this.toUrl()
+        window.history.replaceState(window.history.state, '', url)
+
+        try {
+            await navigator.clipboard.writeText(url)
+        }
+        catch {
+            // Clipboard refused (iframe, http): the URL bar has the link
+        }
+
+        return url
+    }
+
+    /**
+     * JSON files
+     */
+    export(name = this.name) {
+        const blob = new Blob([JSON.stringify(this.save(), null, 2)], { type: 'application/json' })
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(blob)
+        link.download = `${name}.json`
+        link.click()
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+    }
+
+    import() {
+        const input = document.createElement('input')
+        input.type = 'file'
+        input.accept = 'application/json,.json'
+        input.addEventListener('change', async () => {
+            const [file] = input.files
+            if (!file) return
+
+            try {
+                this.load(JSON.parse(await file.text()))
+            }
+            catch (error) {
+                console.error('[lab-core] Could not import preset', error)
+            }
+        })
+        input.click()
+    }
+
+    setDebug() {
+        this.folder = this.gui.addFolder('Presets')
+        this.folder.close()
+        this.refreshDebug()
+    }
+
+    // lil-gui can't update dropdown options in place: rebuild the folder
+    refreshDebug(selected = '') {
+        if (!this.folder) return
+
+        for (const controller of [...this.folder.controllers]) controller.destroy()
+
+        this.selected = selected
+        this.folder.add(this, 'selected', ['', ...this.names])
+            .name('preset')
+            .onChange((name) => {
+                if (!name) return
+                this.name = name
+                nameController.updateDisplay()
+                this.restore(name)
+            })
+        const nameController = this.folder.add(this, 'name')
+
+        const actions = {
+            save: () => this.store(this.name),
+            delete: () => this.remove(this.selected),
+            export: () => this.export(this.name),
+            import: () => this.import(),
+            share: () => this.share(),
+            reset: () => this.reset()
+        }
+        this.folder.add(actions, 'save').name('save preset')
+        this.folder.add(actions, 'delete').name('delete preset')
+        this.folder.add(actions, 'export').name('export JSON')
+        this.folder.add(actions, 'import').name('import JSON')
+        this.folder.add(actions, 'share').name('copy link')
+        this.folder.add(actions, 'reset').name('reset to defaults')
+    }
+
+    destroy() {
+        this.experience.removeEventListener('ready', this.onReady)
+        window.removeEventListener('pagehide', this.onPageHide)
+    }
+}
@@ -0,0 +1,235 @@
+import { EventDispatcher } from 'three'
+
+/**
+ * Quality
+ *
+ * Adaptive quality governor. Measures the frame time and steps a tier
+ * (low / medium / high) down when frames are over budget, back up when
+ * there is headroom. Every knob declares its bounds: `min` at the lowest
+ * tier, `max` at the highest, interpolated in between.
+ *
+ * Hysteresis, so it doesn't flicker between two tiers:
+ * - down after `downSamples` slow samples in a row, up after `upSamples` fast ones
+ * - a tier that was just left for being too slow needs twice as long to come back
+ * - the sample right after a change is skipped (regeneration / shader compile hitch)
+ *
+ * The pixel ratio knob is built in. Experiments add their own:
+ *
+ * parameters.count = experience.quality.add('particles', {
+ *     min: 20000, max: 100000, step: 1000,
+ *     onChange: (count) => { parameters.count = count; generateGalaxy() }
+ * })
+ * experience.quality.addShadowMap(directionalLight) // max = current map size
+ *
+ * `?quality=low` in the URL pins a tier (the "low version" of a demo).
+ *
+ * Events: 'change' ({ tier, name })
+ */
+export default class Quality extends EventDispatcher {
+    static parameter = 'quality'
+    static tiers = ['low', 'medium', 'high']
+
+    constructor(experience, {
+        adaptive = true,
+        tier = null,
+        targetFps = 50,
+        headroom = 0.85, // upgrade under this fraction of the frame budget
+        sampleDuration = 1,
+        downSamples = 2,
+        upSamples = 3,
+        pixelRatio = {},
+        gui = null
+    } = {}) {
+        super()
+
+        this.experience = experience
+        this.targetFps = targetFps
+        this.headroom = headroom
+        this.sampleDuration = sampleDuration
+        this.downSamples = downSamples
+        this.upSamples = upSamples
+
+        const urlTier = new URLSearchParams(window.location.search).get(Quality.parameter)
+        const initialTier = urlTier ?? tier
+
+        this.tier = initialTier !== null && Quality.tiers.includes(initialTier)
+            ? Quality.tiers.indexOf(initialTier)
+            : Quality.tiers.length - 1
+        this.name = Quality.tiers[this.tier]
+        this.adaptive = adaptive && urlTier === null
+
+        this.knobs = new Map()
+        this.resetSample()
+        this.slowCount = 0
+        this.fastCount = 0
+        this.settling = false
+        this.upDelays = Quality.tiers.map(() => upSamples)
+
+        // GUI readout
+        this.frameTime = 0
+
+        const { renderer, sizes } = experience
+        this.add('pixelRatio', {
+            min: 0.75,
+            max: sizes.maxPixelRatio,
+            step: 0.25,
+            onChange: (ratio) => {
+                renderer.maxPixelRatio = ratio
+                renderer.resize()
+            },
+            ...pixelRatio
+        })
+        renderer.maxPixelRatio = this.get('pixelRatio')
+        renderer.resize()
+
+        if (gui) this.setDebug(gui)
+    }
+
+    /**
+     * Declare a knob, returns its value for the current tier
+     */
+    add(name, { min, max, step = 0, round = null, onChange = null }) {
+        this.knobs.set(name, {
+            min,
+            max,
+            round: round ?? (step ? (value) => Math.round(value / step) * step : (value) => value),
+            onChange,
+            value: null
+        })
+
+        const knob = this.knobs.get(name)
+        knob.value = this.valueOf(knob)
+
+        return knob.value
+    }
+
+    /**
+     * Shadow map size knob, power of two, from `max / 4` to the current size
+     */
+    addShadowMap(light, { min = light.shadow.mapSize.x / 4, max = light.shadow.mapSize.x } = {}) {
+        const apply = (size) => {
+            light.shadow.mapSize.set(size, size)
+            // Recreated at the new size on the next render
+            light.shadow.map?.dispose()
+            light.shadow.map = null
+        }
+
+        const size = this.add(`shadow ${light.name || light.type} ${light.id}`, {
+            min,
+            max,
+            round: (value) => 2 ** Math.round(Math.log2(value)),
+            onChange: apply
+        })
+        apply(size)
+
+        return size
+    }
+
+    get(name) {
+        return this.knobs.get(name)?.value
+    }
+
+    valueOf(knob) {
+        const progress = this.tier / (Quality.tiers.length - 1)
+        return knob.round(knob.min + (knob.max - knob.min) * progress)
+    }
+
+    setTier(tier) {
+        const index = typeof tier === 'string' ? Quality.tiers.indexOf(tier) : tier
+        if (index < 0 || index >= Quality.tiers.length || index === this.tier) return
+
+        this.tier = index
+        this.name = Quality.tiers[index]
+
+        for (const knob of this.knobs.values()) {
+            const value = this.valueOf(knob)
+            if (value === knob.value) continue
+
+            knob.value = value
+            knob.onChange?.(value)
+        }
+
+        this.slowCount = 0
+        this.fastCount = 0
+        this.settling = true
+        this.nameController?.updateDisplay()
+
+        this.dispatchEvent({ type: 'change', tier: index, name: this.name })
+    }
+
+    resetSample() {
+        this.sampleStart = null
+        this.sampleFrames = 0
+        this.previousFrame = null
+    }
+
+    /**
+     * Once per frame (Experience calls it before the update)
+     */
+    update() {
+        // Offline recording isn't realtime: nothing to measure
+        if (!this.adaptive || this.experience.recorder?.recording) {
+            this.resetSample()
+            return
+        }
+
+        const now = performance.now()
+
+        // Background tab or breakpoint: start over instead of measuring the gap
+        if (this.previousFrame !== null && now - this.previousFrame > 250) this.resetSample()
+        this.previousFrame = now
+
+        if (this.sampleStart === null) {
+            this.sampleStart = now
+            return
+        }
+
+        this.sampleFrames++
+        const elapsed = now - this.sampleStart
+        if (elapsed < this.sampleDuration * 1000) return
+
+        this.frameTime = Math.round(elapsed / this.sampleFrames * 10) / 10
+        this.frameTimeController?.updateDisplay()
+        this.sampleStart = now
+        this.sampleFrames = 0
+
+        if (this.settling) {
+            this.settling = false
+            return
+        }
+
+        this.evaluate(this.frameTime)
+    }
+
+    evaluate(frameTime) {
+        const budget = 1000 / this.targetFps
+
+        this.slowCount = frameTime > budget ? this.slowCount + 1 : 0
+        this.fastCount = frameTime < budget * this.headroom ? this.fastCount + 1 : 0
+
+        if (this.slowCount >= this.downSamples && this.tier > 0) {
+            // The tier we leave failed: make it harder to come back to
+            this.upDelays[this.tier] = Math.min(this.upDelays[this.tier] * 2, 60)
+            this.setTier(this.tier - 1)
+        }
+        else if (this.fastCount >= this.upDelays[this.tier + 1] && this.tier < Quality.tiers.length - 1) {
+            this.setTier(this.tier + 1)
+        }
+    }
+
+    setDebug(gui) {
+        const folder = gui.addFolder('Quality')
+        folder.close()
+
+        this.adaptiveController = folder.add(this, 'adaptive')
+        // Picking a tier by hand pins it
+        this.nameController = folder.add(this, 'name', Quality.tiers)
+            .name('tier')
+            .onChange((name) => {
+                this.adaptive = false
+                this.adaptiveController.updateDisplay()
+                this.setTier(name)
+            })
+        this.frameTimeController = folder.add(this, 'frameTime').name('frame ms').disable()
+    }
+}
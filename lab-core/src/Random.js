@@ -0,0 +1,143 @@
+/**
+ * Random
+ *
+ * Seedable PRNG (sfc32, seeded by a cyrb128 hash of the seed string) used
+ * instead of Math.random() so a procedural layout can be reproduced.
+ *
+ * Named sub-streams are independent: drawing more numbers in the 'graves'
+ * stream never shifts the 'bushes' stream, so tweaking one generator does
+ * not reshuffle the rest of the scene.
+ *
+ * const random = new Random('galaxy-42')
+ * const graves = random.stream('graves')
+ * graves.range(3, 9)
+ */
+
+// Hash a string into four 32-bit integers
+const cyrb128 = (string) => {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762
+
+    for (let i = 0; i < string.length; i++) {
+        const k = string.charCodeAt(i)
+        h1 = h2 ^ Math.imul(h1 ^ k, 597399067)
+        h2 = h3 ^ Math.imul(h2 ^ k, 2869860233)
+        h3 = h4 ^ Math.imul(h3 ^ k, 951274213)
+        h4 = h1 ^ Math.imul(h4 ^ k, 2716044179)
+    }
+
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067)
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233)
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213)
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179)
+    h1 ^= (h2 ^ h3 ^ h4)
+    h2 ^= h1
+    h3 ^= h1
+    h4 ^= h1
+
+    return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0]
+}
+
+export default class Random {
+    /**
+     * Short human-friendly seed, e.g. 'k3x9qa'
+     */
+    static randomSeed() {
+        return Math.random().toString(36).slice(2, 8)
+    }
+
+    constructor(seed = Random.randomSeed()) {
+        this.streams = new Map()
+        this.reseed(seed)
+    }
+
+    /**
+     * Restart this generator (and every sub-stream) from a new seed
+     */
+    reseed(seed) {
+        this.seed = String(seed)
+        this.reset()
+
+        for (const [name, stream] of this.streams) {
+            stream.reseed(`${this.seed}/${name}`)
+        }
+
+        return this
+    }
+
+    /**
+     * Restart from the current seed: the same calls give the same numbers again
+     */
+    reset() {
+        this.state = cyrb128(this.seed)
+
+        // Warm up, the first outputs of sfc32 are poorly mixed
+        for (let i = 0; i < 15; i++) this.next()
+
+        return this
+    }
+
+    /**
+     * Independent generator derived from this seed and a name (cached)
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new Random(`${this.seed}/${name}`))
+        }
+
+        return this.streams.get(name)
+    }
+
+    /**
+     * Float in [0, 1), drop-in for Math.random()
+     */
+    next() {
+        let [a, b, c, d] = this.state
+
+        a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0
+        const t = (a + b | 0) + d | 0
+        d = d + 1 | 0
+        a = b ^ b >>> 9
+        b = c + (c << 3) | 0
+        c = (c << 21 | c >>> 11)
+        c = c + t | 0
+
+        this.state[0] = a
+        this.state[1] = b
+        this.state[2] = c
+        this.state[3] = d
+
+        return (t >>> 0) / 4294967296
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min)
+    }
+
+    /**
+     * Integer in [min, max]
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1))
+    }
+
+    /**
+     * 1 or -1
+     */
+    sign() {
+        return this.next() < 0.5 ? 1 : -1
+    }
+
+    /**
+     * Float in [-0.5, 0.5), the usual (Math.random() - 0.5)
+     */
+    centered() {
+        return this.next() - 0.5
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)]
+    }
+}
@@ -0,0 +1,269 @@
+import { EventDispatcher } from 'three'
+import ZipWriter from './encoders/ZipWriter.js'
+import WebMWriter from './encoders/WebMWriter.js'
+
+const wait = (duration) => new Promise(resolve => setTimeout(resolve, duration))
+
+const download = (blob, filename) => {
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = filename
+    link.click()
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+}
+
+/**
+ * Recorder
+ *
+ * Frame-accurate offline capture of an Experience. The realtime loop is
+ * stopped and the clock is stepped by exactly 1 / fps per frame, so a
+ * recording is identical from run to run (with a pinned seed) and never
+ * drops frames, however slow each frame is to render.
+ *
+ * Output resolution is independent of the window: the renderer is resized
+ * to width x height (pixel ratio 1) for the capture, then restored.
+ *
+ * Formats:
+ * - 'webm': WebCodecs VideoEncoder (VP9) with exact timestamps, falls back
+ *   to MediaRecorder paced in real time where WebCodecs is missing
+ * - 'png': PNG sequence in a zip (kept in memory: mind long 4K sequences)
+ *
+ * const blob = await experience.recorder.record({ fps: 60, duration: 5, width: 1920, height: 1080 })
+ *
+ * Events: 'start', 'progress' ({ frame, total }), 'end' ({ blob }), 'cancel'
+ */
+export default class Recorder extends EventDispatcher {
+    constructor(experience) {
+        super()
+
+        this.experience = experience
+        this.recording = false
+        this.cancelled = false
+
+        // GUI-facing settings
+        this.settings = {
+            format: 'webm',
+            fps: 60,
+            duration: 5,
+            width: 1920,
+            height: 1080,
+            startTime: 0,
+            bitrate: 20
+        }
+        this.status = 'idle'
+
+        if (experience.debug.active) this.setDebug()
+    }
+
+    async record({
+        format = this.settings.format,
+        fps = this.settings.fps,
+        duration = this.settings.duration,
+        width = this.settings.width,
+        height = this.settings.height,
+        startTime = this.settings.startTime,
+        bitrate = this.settings.bitrate * 1_000_000,
+        filename = `${document.title || 'experience'}-${Date.now()}`,
+        save = true
+    } = {}) {
+        if (this.recording) throw new Error('Recorder is already recording')
+
+        const { time, renderer, camera } = this.experience
+        const total = Math.round(fps * duration)
+
+        this.recording = true
+        this.cancelled = false
+        this.dispatchEvent({ type: 'start', total })
+
+        // Switch to offline mode: loop stopped, clock stepped by hand
+        const wasRunning = time.running
+        const previousElapsed = time.elapsed
+        time.stop()
+        time.seek(startTime)
+
+        // Render at the output resolution, whatever the window size
+        renderer.instance.setPixelRatio(1)
+        renderer.instance.setSize(width, height, false)
+        camera.setAspect(width / height)
+
+        // Frames are copied right after render, so preserveDrawingBuffer is not needed
+        const captureCanvas = document.createElement('canvas')
+        captureCanvas.width = width
+        captureCanvas.height = height
+        const captureContext = captureCanvas.getContext('2d')
+
+        const renderFrame = (index) => {
+            // First frame shows startTime exactly
+            time.step(index === 0 ? 0 : 1 / fps)
+            captureContext.drawImage(renderer.instance.domElement, 0, 0, width, height)
+        }
+
+        let blob = null
+        try {
+            const encode = format === 'png'
+                ? this.encodePng
+                : ('VideoEncoder' in window ? this.encodeWebCodecs : this.encodeMediaRecorder)
+
+            blob = await encode.call(this, { renderFrame, captureCanvas, total, fps, width, height, bitrate })
+        }
+        finally {
+            // Back to realtime
+            this.recording = false
+            time.seek(previousElapsed)
+            this.experience.resize()
+            if (wasRunning) time.play()
+        }
+
+        if (this.cancelled) {
+            this.dispatchEvent({ type: 'cancel' })
+            return null
+        }
+
+        if (save) download(blob, `${filename}.${format === 'png' ? 'zip' : 'webm'}`)
+        this.dispatchEvent({ type: 'end', blob })
+
+        return blob
+    }
+
+    cancel() {
+        this.cancelled = this.recording
+    }
+
+    progress(frame, total) {
+        this.dispatchEvent({ type: 'progress', frame, total })
+    }
+
+    async encodePng({ renderFrame, captureCanvas, total }) {
+        const zip = new ZipWriter()
+        const digits = String(total).length
+
+        for (let i = 0; i < total && !this.cancelled; i++) {
+            renderFrame(i)
+
+            const frame = await new Promise(resolve => captureCanvas.toBlob(resolve, 'image/png'))
+            zip.add(`frame_${String(i).padStart(digits, '0')}.png`, new Uint8Array(await frame.arrayBuffer()))
+
+            this.progress(i + 1, total)
+        }
+
+        return zip.toBlob()
+    }
+
+    async encodeWebCodecs({ renderFrame, captureCanvas, total, fps, width, height, bitrate }) {
+        // VP9 first, VP8 for older encoders
+        const candidates = ['vp09.00.41.08', 'vp8']
+        let config = null
+        for (const codec of candidates) {
+            const candidate = { codec, width, height, bitrate, framerate: fps }
+            if ((await VideoEncoder.isConfigSupported(candidate)).supported) {
+                config = candidate
+                break
+            }
+        }
+        if (!config) throw new Error(`No WebCodecs encoder supports ${width}x${height}`)
+
+        const writer = new WebMWriter({ width, height, codec: config.codec })
+        let encoderError = null
+
+        const encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength)
+                chunk.copyTo(data)
+                writer.addFrame(data, chunk.timestamp, chunk.type === 'key', chunk.duration ?? 0)
+            },
+            error: (error) => { encoderError = error }
+        })
+        encoder.configure(config)
+
+        const frameDuration = 1_000_000 / fps
+
+        for (let i = 0; i < total && !this.cancelled && !encoderError; i++) {
+            renderFrame(i)
+
+            const frame = new VideoFrame(captureCanvas, {
+                timestamp: Math.round(i * frameDuration),
+                duration: Math.round(frameDuration)
+            })
+            // Keyframe every second so the file stays seekable
+            encoder.encode(frame, { keyFrame: i % fps === 0 })
+            frame.close()
+
+            // Backpressure: don't queue hundreds of raw frames
+            while (encoder.encodeQueueSize > 4) await wait(1)
+
+            this.progress(i + 1, total)
+        }
+
+        await encoder.flush()
+        encoder.close()
+
+        if (encoderError) throw encoderError
+
+        return writer.toBlob()
+    }
+
+    async encodeMediaRecorder({ renderFrame, captureCanvas, total, fps, bitrate }) {
+        // Fallback: frames are still stepped exactly, but timestamps come from
+        // real time, so frames are pushed at the target rate
+        const stream = captureCanvas.captureStream(0)
+        const [track] = stream.getVideoTracks()
+        const chunks = []
+
+        const mediaRecorder = new MediaRecorder(stream, { mimeType: 'video/webm', videoBitsPerSecond: bitrate })
+        mediaRecorder.addEventListener('dataavailable', (event) => chunks.push(event.data))
+        const stopped = new Promise(resolve => mediaRecorder.addEventListener('stop', resolve))
+        mediaRecorder.start()
+
+        for (let i = 0; i < total && !this.cancelled; i++) {
+            const frameStart = performance.now()
+
+            renderFrame(i)
+            track.requestFrame()
+            this.progress(i + 1, total)
+
+            await wait(Math.max(0, 1000 / fps - (performance.now() - frameStart)))
+        }
+
+        mediaRecorder.stop()
+        await stopped
+        track.stop()
+
+        return new Blob(chunks, { type: 'video/webm' })
+    }
+
+    setDebug() {
+        const folder = this.experience.debug.ui.addFolder('Record')
+        folder.close()
+
+        folder.add(this.settings, 'format', ['webm', 'png'])
+        folder.add(this.settings, 'fps', [24, 25, 30, 50, 60])
+        folder.add(this.settings, 'duration').min(0.5).max(60).step(0.5).name('duration (s)')
+        folder.add(this.settings, 'width').min(16).max(7680).step(2)
+        folder.add(this.settings, 'height').min(16).max(4320).step(2)
+        folder.add(this.settings, 'startTime').min(0).max(600).step(0.01).name('start time (s)')
+        folder.add(this.settings, 'bitrate').min(1).max(100).step(1).name('bitrate (Mbps)')
+
+        const statusController = folder.add(this, 'status').disable()
+        const setStatus = (status) => {
+            this.status = status
+            statusController.updateDisplay()
+        }
+
+        this.addEventListener('start', () => setStatus('recording...'))
+        this.addEventListener('progress', ({ frame, total }) => setStatus(`frame ${frame} / ${total}`))
+        this.addEventListener('end', () => setStatus('done'))
+        this.addEventListener('cancel', () => setStatus('cancelled'))
+
+        const actions = {
+            record: () => {
+                if (!this.recording) this.record().catch((error) => {
+                    console.error('[lab-core] Recording failed', error)
+                    setStatus('failed, see console')
+                })
+            },
+            cancel: () => this.cancel()
+        }
+        folder.add(actions, 'record').name('● record')
+        folder.add(actions, 'cancel')
+    }
+}
@@ -0,0 +1,67 @@
+import * as THREE from 'three'
+
+const shadowMapTypes = {
+    basic: THREE.BasicShadowMap,
+    pcf: THREE.PCFShadowMap,
+    pcfsoft: THREE.PCFSoftShadowMap,
+    vsm: THREE.VSMShadowMap
+}
+
+/**
+ * Renderer
+ *
+ * WebGLRenderer bound to the experience canvas. Size and pixel ratio are
+ * always applied together so they can never drift apart on resize.
+ * `maxPixelRatio` caps the sizes pixel ratio (set by Quality).
+ * `renderOverride` replaces the one-camera render (set by Viewports).
+ */
+export default class Renderer {
+    constructor(experience, {
+        antialias = false,
+        alpha = false,
+        clearColor = null,
+        shadows = false,
+        toneMapping = THREE.NoToneMapping,
+        toneMappingExposure = 1
+    } = {}) {
+        this.experience = experience
+        this.sizes = experience.sizes
+        this.scene = experience.scene
+        this.canvas = experience.canvas
+
+        this.instance = new THREE.WebGLRenderer({
+            canvas: this.canvas,
+            antialias,
+            alpha
+        })
+        this.maxPixelRatio = Infinity
+        this.renderOverride = null
+        if (clearColor !== null) this.instance.setClearColor(clearColor)
+
+        // Shadows: true for PCFSoftShadowMap, or 'basic' | 'pcf' | 'pcfsoft' | 'vsm'
+        if (shadows) {
+            this.instance.shadowMap.enabled = true
+            this.instance.shadowMap.type = shadowMapTypes[shadows === true ? 'pcfsoft' : shadows]
+        }
+
+        this.instance.toneMapping = toneMapping
+        this.instance.toneMappingExposure = toneMappingExposure
+
+        this.resize()
+    }
+
+    resize() {
+        // Embedded: CSS sizes the canvas to its container, only the drawing buffer follows
+        this.instance.setSize(this.sizes.width, this.sizes.height, !this.experience.container)
+        this.instance.setPixelRatio(Math.min(this.sizes.pixelRatio, this.maxPixelRatio))
+    }
+
+    update() {
+        if (this.renderOverride) this.renderOverride()
+        else this.instance.render(this.scene, this.experience.camera.instance)
+    }
+
+    destroy() {
+        this.instance.dispose()
+    }
+}
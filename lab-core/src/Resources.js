@@ -0,0 +1,147 @@
+import * as THREE from 'three'
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js'
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js'
+import { FontLoader } from 'three/addons/loaders/FontLoader.js'
+import { createPlaceholder } from './placeholders.js'
+
+/**
+ * Resources
+ *
+ * Loads a list of sources through one LoadingManager and stores the results
+ * in `items` by name.
+ *
+ * Source format:
+ * { name: 'doorColor', type: 'texture', path: '/textures/door/color.jpg' }
+ * { name: 'environmentMap', type: 'cubeTexture', path: ['/px.jpg', ...] }
+ * { name: 'fox', type: 'gltf', path: '/models/Fox/glTF/Fox.gltf' }
+ * { name: 'studio', type: 'rgbe', path: '/textures/environmentMap/2k.hdr' }
+ * { name: 'helvetiker', type: 'font', path: '/fonts/helvetiker_regular.typeface.json' }
+ *
+ * Root-absolute paths are files of the experiment's static/ folder, served
+ * under its base URL: `/textures/a.jpg` loads `/experiments/<id>/textures/a.jpg`
+ * in the gallery. Sub-files (GLTF buffers and textures, the Draco decoder)
+ * follow through the manager.
+ *
+ * Experiments keep their list in `assets.json` (checked by `npm run preflight`
+ * in gallery/) and pass it as is: `new Experience({ ...assets })`.
+ *
+ * A source that fails to load is replaced by a procedural stand-in (see
+ * placeholders.js) unless `placeholders: false`; its name is listed in
+ * `placeholders` and the item has `userData.placeholder`.
+ *
+ * Events: 'progress' ({ loaded, total }), 'error' ({ source, error, placeholder }), 'ready'
+ */
+const base = import.meta.env?.BASE_URL ?? '/'
+
+/**
+ * A path of static/ as served: prefixed with the base URL (Vite's `base`)
+ */
+export const resolvePath = (url) => {
+    if (base === '/' || !url.startsWith('/') || url.startsWith('//') || url.startsWith(base)) return url
+    return base + url.slice(1)
+}
+
+export default class Resources extends THREE.EventDispatcher {
+    constructor(sources = [], { dracoDecoderPath = null, placeholders = true, manager = new THREE.LoadingManager() } = {}) {
+        super()
+
+        this.sources = sources
+        this.usePlaceholders = placeholders
+        this.items = {}
+        this.placeholders = []
+        this.loaded = 0
+        this.total = sources.length
+        this.isReady = false
+        // CubeTextureLoader calls onError once per failed face: a source counts once
+        this.settled = new Set()
+
+        this.manager = manager
+        this.manager.setURLModifier(resolvePath)
+        this.setLoaders(dracoDecoderPath)
+        this.startLoading()
+    }
+
+    setLoaders(dracoDecoderPath) {
+        this.loaders = {
+            texture: new THREE.TextureLoader(this.manager),
+            cubeTexture: new THREE.CubeTextureLoader(this.manager),
+            gltf: new GLTFLoader(this.manager),
+            rgbe: new RGBELoader(this.manager),
+            font: new FontLoader(this.manager)
+        }
+
+        if (dracoDecoderPath) {
+            this.dracoLoader = new DRACOLoader(this.manager)
+            this.dracoLoader.setDecoderPath(dracoDecoderPath)
+            this.loaders.gltf.setDRACOLoader(this.dracoLoader)
+        }
+    }
+
+    startLoading() {
+        // Nothing to load: still resolve asynchronously so listeners can attach first
+        if (this.total === 0) {
+            queueMicrotask(() => this.ready())
+            return
+        }
+
+        for (const source of this.sources) {
+            const loader = this.loaders[source.type]
+
+            if (!loader) {
+                this.sourceFailed(source, new Error(`Unknown source type "${source.type}"`))
+                continue
+            }
+
+            loader.load(
+                source.path,
+                (file) => this.sourceLoaded(source, file),
+                undefined,
+                (error) => this.sourceFailed(source, error)
+            )
+        }
+    }
+
+    sourceLoaded(source, file) {
+        if (this.settled.has(source)) return
+        this.settled.add(source)
+
+        this.items[source.name] = file
+        this.advance()
+    }
+
+    sourceFailed(source, error) {
+        if (this.settled.has(source)) return
+        this.settled.add(source)
+
+        const placeholder = this.usePlaceholders ? createPlaceholder(source) : null
+
+        if (placeholder) {
+            console.warn(`[lab-core] Failed to load "${source.name}" (${source.path}), using a placeholder`, error)
+            this.items[source.name] = placeholder
+            this.placeholders.push(source.name)
+        }
+        else {
+            console.error(`[lab-core] Failed to load "${source.name}" (${source.path})`, error)
+        }
+
+        this.dispatchEvent({ type: 'error', source, error, placeholder })
+        this.advance()
+    }
+
+    advance() {
+        this.loaded++
+        this.dispatchEvent({ type: 'progress', loaded: this.loaded, total: this.total })
+
+        if (this.loaded === this.total) this.ready()
+    }
+
+    ready() {
+        this.isReady = true
+        this.dispatchEvent({ type: 'ready' })
+    }
+
+    destroy() {
+        this.dracoLoader?.dispose()
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Scheduler
+ *
+ * Decides when the loop runs. By default it always does, except when
+ * nobody can see it: hidden tab, or canvas scrolled out of view
+ * (IntersectionObserver), for portfolio pages embedding a scene.
+ *
+ * With `onDemand`, a frame is only rendered when something invalidates it:
+ * - camera controls 'change' (damping and cursor easing included)
+ * - any GUI value, resize, seed change, quality tier, preset load
+ * - resources progress and ready
+ * - `scheduler.invalidate()` from experiment code
+ * - an active animation: `const release = scheduler.animate()`, call
+ *   `release()` when it is done; the loop runs as long as one is held
+ *
+ * When nothing is pending the Time loop stops: no requestAnimationFrame,
+ * no battery. `onUpdate` callbacks only run on rendered frames, so
+ * continuous motion needs `animate()`.
+ *
+ * new Experience({ scheduler: { onDemand: true } })
+ */
+export default class Scheduler {
+    constructor(experience, { onDemand = false, pauseWhenHidden = true } = {}) {
+        this.experience = experience
+        this.time = experience.time
+        this.onDemand = onDemand
+
+        this.pending = 1 // the first frame
+        this.active = 0
+        this.hidden = false
+        this.offscreen = false
+        this.resume = false
+
+        // Event listener: the event must not end up in `frames`
+        this.onInvalidate = () => this.invalidate()
+
+        if (onDemand) this.listen()
+        if (pauseWhenHidden) this.watchVisibility()
+    }
+
+    get paused() {
+        return this.hidden || this.offscreen
+    }
+
+    /**
+     * Render `frames` more frames (1 by default)
+     */
+    invalidate(frames = 1) {
+        this.pending = Math.max(this.pending, frames)
+        this.wake()
+    }
+
+    /**
+     * Keep the loop running until the returned function is called
+     */
+    animate() {
+        this.active++
+        this.wake()
+
+        let released = false
+        return () => {
+            if (released) return
+            released = true
+            this.active--
+        }
+    }
+
+    wake() {
+        // The recorder drives the clock itself while capturing
+        if (this.paused || this.time.running || this.experience.recorder?.recording) return
+        this.time.play()
+    }
+
+    /**
+     * Start of a frame: it consumes one pending frame, invalidations
+     * from this frame on (controls damping) ask for the next one
+     */
+    beginFrame() {
+        this.pending = Math.max(this.pending - 1, 0)
+    }
+
+    /**
+     * End of a frame: stop the loop if nothing asked for another one
+     */
+    endFrame() {
+        if (this.onDemand && this.pending === 0 && this.active === 0) this.time.stop()
+    }
+
+    listen() {
+        const { camera, debug, resources, seed, sizes } = this.experience
+
+        this.sources = [
+            [camera, 'change'],
+            [resources, 'progress'],
+            [resources, 'ready'],
+            [seed, 'change'],
+            [sizes, 'resize']
+        ].filter(([target]) => target)
+        for (const [target, type] of this.sources) target.addEventListener(type, this.onInvalidate)
+
+        // Root GUI handlers see every controller (folders included)
+        debug.ui?.onChange(this.onInvalidate)
+        debug.ui?.onFinishChange(this.onInvalidate)
+    }
+
+    /**
+     * Systems created after the scheduler (quality, presets) register here
+     */
+    listenTo(target, type) {
+        if (!this.onDemand || !target) return
+        target.addEventListener(type, this.onInvalidate)
+        this.sources.push([target, type])
+    }
+
+    watchVisibility() {
+        this.onVisibilityChange = () => {
+            this.hidden = document.hidden
+            this.updatePaused()
+        }
+        document.addEventListener('visibilitychange', this.onVisibilityChange)
+
+        this.observer = new IntersectionObserver(([entry]) => {
+            this.offscreen = !entry.isIntersecting
+            this.updatePaused()
+        })
+        this.observer.observe(this.experience.canvas)
+    }
+
+    updatePaused() {
+        if (this.experience.recorder?.recording) return
+
+        if (this.paused) {
+            // Only restart a loop that was running (autoStart: false stays stopped)
+            this.resume ||= this.time.running
+            this.time.stop()
+        }
+        else {
+            // On demand: also catch up on what was invalidated while paused
+            const wanted = this.resume || (this.onDemand && (this.pending > 0 || this.active > 0))
+            this.resume = false
+            if (wanted) this.wake()
+        }
+    }
+
+    destroy() {
+        for (const [target, type] of this.sources ?? []) target.removeEventListener(type, this.onInvalidate)
+        document.removeEventListener('visibilitychange', this.onVisibilityChange)
+        this.observer?.disconnect()
+    }
+}
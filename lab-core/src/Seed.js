@@ -0,0 +1,68 @@
+import { EventDispatcher } from 'three'
+import Random from './Random.js'
+
+/**
+ * Seed
+ *
+ * Owns the experiment seed and its Random generator.
+ * - `?seed=galaxy-42` in the URL pins the seed (reload = same layout)
+ * - otherwise a new seed is rolled on every load
+ * - GUI: edit the seed, reroll it, or pin it into the URL to share the link
+ *
+ * Dispatches 'change' after every reseed so generators can rebuild.
+ */
+export default class Seed extends EventDispatcher {
+    static parameter = 'seed'
+
+    constructor({ seed = null, gui = null } = {}) {
+        super()
+
+        const urlSeed = new URLSearchParams(window.location.search).get(Seed.parameter)
+
+        this.value = urlSeed ?? (seed === null ? Random.randomSeed() : String(seed))
+        this.pinned = urlSeed !== null
+        this.random = new Random(this.value)
+
+        if (gui) this.setDebug(gui)
+    }
+
+    set(value) {
+        this.value = String(value)
+        this.random.reseed(this.value)
+        if (this.pinned) this.writeUrl()
+
+        this.controller?.updateDisplay()
+        this.dispatchEvent({ type: 'change', seed: this.value })
+    }
+
+    reroll() {
+        this.set(Random.randomSeed())
+    }
+
+    pin(pinned = true) {
+        this.pinned = pinned
+        this.writeUrl()
+        this.pinController?.updateDisplay()
+    }
+
+    writeUrl() {
+        const url = new URL(window.location.href)
+
+        if (this.pinned) url.searchParams.set(Seed.parameter, this.value)
+        else url.searchParams.delete(Seed.parameter)
+
+        window.history.replaceState(window.history.state, '', url)
+    }
+
+    setDebug(gui) {
+        const folder = gui.addFolder('Seed')
+
+        this.controller = folder.add(this, 'value')
+            .name('seed')
+            .onFinishChange((value) => this.set(value))
+        folder.add(this, 'reroll').name('reroll')
+        this.pinController = folder.add(this, 'pinned')
+            .name('pin in URL')
+            .onChange((pinned) => this.pin(pinned))
+    }
+}
@@ -0,0 +1,96 @@
+import { EventDispatcher } from 'three'
+
+/**
+ * Sizes
+ *
+ * Single source of truth for viewport width, height and pixel ratio.
+ * Dispatches 'resize' whenever any of them change, including when the
+ * window moves to a screen with a different devicePixelRatio (which does
+ * not always fire a window resize).
+ *
+ * The viewport is the window, or `element` (an embedded experience: a card,
+ * a CMS block, a gallery cell) watched by a ResizeObserver: its own size
+ * changes count, not only the window's. A hidden element (0 x 0) keeps the
+ * last size.
+ *
+ * `toggleFullscreen()` puts `element` fullscreen (the whole page without one).
+ */
+export default class Sizes extends EventDispatcher {
+    constructor({ element = null, maxPixelRatio = 2 } = {}) {
+        super()
+
+        this.element = element
+        this.maxPixelRatio = maxPixelRatio
+        this.width = 1
+        this.height = 1
+        this.measure()
+
+        // Resize event
+        this.onResize = () => {
+            this.measure()
+            this.dispatchEvent({ type: 'resize' })
+        }
+
+        if (element) {
+            this.observer = new ResizeObserver(this.onResize)
+            this.observer.observe(element)
+        }
+        else {
+            window.addEventListener('resize', this.onResize)
+        }
+
+        // Pixel ratio change (dragging between screens, browser zoom)
+        this.watchPixelRatio()
+    }
+
+    measure() {
+        const { element } = this
+        const width = element ? element.clientWidth : window.innerWidth
+        const height = element ? element.clientHeight : window.innerHeight
+
+        if (width > 0 && height > 0) {
+            this.width = width
+            this.height = height
+        }
+        this.pixelRatio = Math.min(window.devicePixelRatio, this.maxPixelRatio)
+    }
+
+    watchPixelRatio() {
+        this.pixelRatioQuery?.removeEventListener('change', this.onPixelRatioChange)
+
+        this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`)
+        this.onPixelRatioChange = () => {
+            this.onResize()
+            this.watchPixelRatio()
+        }
+        this.pixelRatioQuery.addEventListener('change', this.onPixelRatioChange)
+    }
+
+    /**
+     * Fullscreen
+     */
+    get fullscreen() {
+        const current = document.fullscreenElement ?? document.webkitFullscreenElement
+        return current === (this.element ?? document.documentElement)
+    }
+
+    toggleFullscreen() {
+        // Refused without a user gesture or in a frame without allowfullscreen
+        // (the webkit versions return nothing)
+        if (this.fullscreen) {
+            const exit = document.exitFullscreen ?? document.webkitExitFullscreen
+            exit?.call(document)?.catch((error) => console.warn('[lab-core] Could not exit fullscreen', error))
+        }
+        else {
+            const element = this.element ?? document.documentElement
+            const request = element.requestFullscreen ?? element.webkitRequestFullscreen
+            request?.call(element)?.catch((error) => console.warn('[lab-core] Could not enter fullscreen', error))
+        }
+    }
+
+    destroy() {
+        this.observer?.disconnect()
+        window.removeEventListener('resize', this.onResize)
+        this.pixelRatioQuery.removeEventListener('change', this.onPixelRatioChange)
+    }
+}
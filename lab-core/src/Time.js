@@ -0,0 +1,84 @@
+import { EventDispatcher } from 'three'
+
+/**
+ * Time
+ *
+ * Owns the requestAnimationFrame loop and dispatches 'tick' every frame.
+ * All values are in seconds, like THREE.Clock:
+ * - elapsed: time since start
+ * - delta: time since the previous frame (clamped so a backgrounded tab
+ *   does not produce one giant step when it comes back)
+ *
+ * Fixed timestep: with `fixedDelta` set, every tick advances exactly that
+ * much whatever the real frame time. `step()` advances the clock by hand
+ * while the loop is stopped (offline rendering, see Recorder).
+ */
+export default class Time extends EventDispatcher {
+    constructor({ maxDelta = 0.1, fixedDelta = null } = {}) {
+        super()
+
+        this.maxDelta = maxDelta
+        this.fixedDelta = fixedDelta
+        this.start = performance.now()
+        this.current = this.start
+        this.elapsed = 0
+        this.delta = 1 / 60
+        this.frame = 0
+        this.running = false
+        this.requestId = null
+
+        this.tick = this.tick.bind(this)
+    }
+
+    play() {
+        if (this.running) return
+
+        this.running = true
+        this.current = performance.now()
+        this.requestId = window.requestAnimationFrame(this.tick)
+    }
+
+    stop() {
+        this.running = false
+        window.cancelAnimationFrame(this.requestId)
+        this.requestId = null
+    }
+
+    tick() {
+        const current = performance.now()
+        const delta = this.fixedDelta ?? Math.min((current - this.current) / 1000, this.maxDelta)
+        this.current = current
+
+        this.advance(delta)
+
+        if (this.running) {
+            this.requestId = window.requestAnimationFrame(this.tick)
+        }
+    }
+
+    /**
+     * Advance by exactly `delta` seconds and dispatch 'tick' synchronously
+     */
+    step(delta = this.fixedDelta ?? 1 / 60) {
+        this.advance(delta)
+    }
+
+    /**
+     * Jump to an absolute time (no tick)
+     */
+    seek(elapsed) {
+        this.elapsed = elapsed
+    }
+
+    advance(delta) {
+        this.delta = delta
+        this.elapsed += delta
+        this.frame++
+
+        this.dispatchEvent({ type: 'tick' })
+    }
+
+    destroy() {
+        this.stop()
+    }
+}
@@ -0,0 +1,496 @@
+import * as THREE from 'three'
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js'
+
+const styles = `
+.lab-viewports {
+    position: fixed;
+    inset: 0;
+    z-index: 1;
+    pointer-events: none;
+}
+.lab-viewports.is-embedded { position: absolute; }
+.lab-viewport {
+    position: absolute;
+    box-sizing: border-box;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+}
+.lab-viewport.is-controlled { pointer-events: auto; touch-action: none; }
+.lab-viewports.is-wipe .lab-viewport { border: none; }
+.lab-viewport-label {
+    position: absolute;
+    left: 8px;
+    bottom: 8px;
+    padding: 2px 6px;
+    background: rgba(0, 0, 0, 0.6);
+    color: #ffffff;
+    font: 11px/1.45 monospace;
+}
+.lab-viewport.is-right .lab-viewport-label { left: auto; right: 8px; }
+.lab-viewports-wipe {
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    width: 24px;
+    margin-left: -12px;
+    cursor: ew-resize;
+    pointer-events: auto;
+    touch-action: none;
+}
+.lab-viewports-wipe::before {
+    content: '';
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    left: 11px;
+    width: 2px;
+    background: #ffffff;
+}
+.lab-viewports-wipe::after {
+    content: '';
+    position: absolute;
+    top: 50%;
+    left: 4px;
+    width: 16px;
+    height: 16px;
+    margin-top: -8px;
+    border-radius: 50%;
+    background: #ffffff;
+}
+`
+
+let stylesInjected = false
+const injectStyles = () => {
+    if (stylesInjected) return
+    const style = document.createElement('style')
+    style.textContent = styles
+    document.head.append(style)
+    stylesInjected = true
+}
+
+// [left, top, width, height] of each view, in fractions of the canvas
+const layouts = {
+    single: [[0, 0, 1, 1]],
+    split: [[0, 0, 0.5, 1], [0.5, 0, 0.5, 1]],
+    triple: [[0, 0, 1 / 3, 1], [1 / 3, 0, 1 / 3, 1], [2 / 3, 0, 1 / 3, 1]],
+    quad: [[0, 0, 0.5, 0.5], [0.5, 0, 0.5, 0.5], [0, 0.5, 0.5, 0.5], [0.5, 0.5, 0.5, 0.5]],
+    // Both full size, the divider picks which one shows
+    wipe: [[0, 0, 1, 1], [0, 0, 1, 1]]
+}
+
+const toneMappings = {
+    renderer: null,
+    None: THREE.NoToneMapping,
+    Linear: THREE.LinearToneMapping,
+    Reinhard: THREE.ReinhardToneMapping,
+    Cineon: THREE.CineonToneMapping,
+    ACESFilmic: THREE.ACESFilmicToneMapping,
+    AgX: THREE.AgXToneMapping,
+    // three r162+ (the peer range starts at 0.160)
+    ...(THREE.NeutralToneMapping !== undefined && { Neutral: THREE.NeutralToneMapping })
+}
+
+const shadowTypes = {
+    renderer: null,
+    Basic: THREE.BasicShadowMap,
+    PCF: THREE.PCFShadowMap,
+    PCFSoft: THREE.PCFSoftShadowMap,
+    VSM: THREE.VSMShadowMap
+}
+
+const overrides = {
+    none: () => null,
+    normal: () => new THREE.MeshNormalMaterial(),
+    depth: () => new THREE.MeshDepthMaterial(),
+    wireframe: () => new THREE.MeshBasicMaterial({ color: '#ffffff', wireframe: true }),
+    clay: () => new THREE.MeshStandardMaterial({ color: '#bbbbbb', roughness: 0.8 })
+}
+
+const size = new THREE.Vector2()
+
+/**
+ * Viewports
+ *
+ * Several views of the same scene on one canvas (scissor rendering), for
+ * side-by-side comparisons: 'split' (two columns), 'triple', 'quad' (2 x 2)
+ * or 'wipe' (two views on top of each other, a draggable divider shows the
+ * first on its left and the second on its right). 'single' renders as usual.
+ *
+ * Each view has a label and its own render settings, `null` keeping the
+ * renderer's: `toneMapping`, `toneMappingExposure`, `shadowType` and an
+ * `override` material ('normal', 'depth', 'wireframe', 'clay'). A view
+ * follows the main camera, or unlinked (`linked: false`, not in 'wipe')
+ * gets its own camera with OrbitControls over its area.
+ *
+ * const viewports = new Viewports({ experience, layout: 'split', views: [
+ *     { label: 'ACES', toneMapping: THREE.ACESFilmicToneMapping },
+ *     { label: 'AgX', toneMapping: THREE.AgXToneMapping }
+ * ] })
+ *
+ * GUI (Viewports folder): layout, wipe position, one folder per view.
+ * Shadow types that differ between views recompile nothing (programs are
+ * cached) but refresh every material each frame: fine for a comparison.
+ */
+export default class Viewports extends THREE.EventDispatcher {
+    static layouts = Object.keys(layouts)
+    static overrides = Object.keys(overrides)
+
+    constructor({
+        experience,
+        layout = 'single',
+        views = [],
+        wipe = 0.5,
+        gui = experience.debug.ui
+    }) {
+        super()
+
+        this.experience = experience
+        this.renderer = experience.renderer.instance
+        this.scene = experience.scene
+
+        this.layout = 'single'
+        this.wipe = wipe
+        this.shadowType = this.renderer.shadowMap.type
+
+        this.setDom()
+
+        this.views = []
+        for (let i = 0; i < 4; i++) this.addView({ label: 'ABCD'[i], ...views[i] })
+
+        this.removeUpdate = experience.onUpdate(() => {
+            for (const view of this.views) view.controls?.update()
+        })
+        this.onDestroy = () => this.dispose()
+        experience.addEventListener('destroy', this.onDestroy)
+
+        // Not the folder: the layout and views go through register()
+        experience.presets?.excludeFolder('Viewports')
+        experience.presets?.register('viewports', {
+            save: () => this.toJSON(),
+            load: (state) => this.fromJSON(state)
+        })
+
+        if (gui) this.setDebug(gui)
+
+        this.setLayout(layout)
+    }
+
+    setDom() {
+        injectStyles()
+
+        const { container } = this.experience
+        this.element = document.createElement('div')
+        this.element.className = 'lab-viewports'
+        this.element.classList.toggle('is-embedded', container !== null)
+
+        // Wipe divider: drag it, the second view shows on its right
+        this.wipeElement = document.createElement('div')
+        this.wipeElement.className = 'lab-viewports-wipe'
+        this.wipeElement.addEventListener('pointerdown', (event) => {
+            this.wipeElement.setPointerCapture(event.pointerId)
+            this.dragWipe(event)
+        })
+        this.wipeElement.addEventListener('pointermove', (event) => {
+            if (this.wipeElement.hasPointerCapture(event.pointerId)) this.dragWipe(event)
+        })
+        this.element.append(this.wipeElement)
+
+        const parent = container ?? document.body
+        parent.append(this.element)
+    }
+
+    addView({ label, linked = true, toneMapping = null, toneMappingExposure = null, shadowType = null, override = 'none' }) {
+        const element = document.createElement('div')
+        element.className = 'lab-viewport'
+        const labelElement = document.createElement('span')
+        labelElement.className = 'lab-viewport-label'
+        labelElement.textContent = label
+        element.append(labelElement)
+        this.element.insertBefore(element, this.wipeElement)
+
+        const view = {
+            label,
+            linked: true,
+            toneMapping,
+            toneMappingExposure,
+            shadowType,
+            override: null,
+            material: null,
+            camera: null, // the main camera's copy
+            ownCamera: null,
+            controls: null,
+            element,
+            labelElement
+        }
+        this.views.push(view)
+
+        this.setOverride(view, override)
+        if (!linked) this.setLinked(view, false)
+
+        return view
+    }
+
+    /**
+     * Layout
+     */
+    setLayout(layout) {
+        if (!layouts[layout]) {
+            console.warn(`[lab-core] Viewports: unknown layout "${layout}" (${Viewports.layouts.join(', ')})`)
+            return
+        }
+
+        this.layout = layout
+        const rects = layouts[layout]
+        const wipe = layout === 'wipe'
+
+        this.views.forEach((view, index) => {
+            const rect = rects[index]
+            const visible = layout !== 'single' && rect !== undefined
+
+            view.element.hidden = !visible
+            view.folder?.show(visible)
+            if (rect) {
+                const [left, top, width, height] = rect
+                Object.assign(view.element.style, { left: `${left * 100}%`, top: `${top * 100}%`, width: `${width * 100}%`, height: `${height * 100}%` })
+            }
+            view.element.classList.toggle('is-right', wipe && index === 1)
+            this.updateControlled(view)
+        })
+
+        this.element.classList.toggle('is-wipe', wipe)
+        this.wipeElement.hidden = !wipe
+        this.updateWipe()
+
+        // Back to one render: the renderer's own shadow type
+        if (layout === 'single') this.useShadowType(this.renderer.shadowMap.type)
+        this.experience.renderer.renderOverride = layout === 'single' ? null : () => this.render()
+
+        this.layoutController?.updateDisplay()
+        this.experience.scheduler.invalidate()
+        this.dispatchEvent({ type: 'change' })
+    }
+
+    dragWipe(event) {
+        const rect = this.element.getBoundingClientRect()
+        this.wipe = THREE.MathUtils.clamp((event.clientX - rect.left) / rect.width, 0, 1)
+        this.updateWipe()
+    }
+
+    updateWipe() {
+        this.wipeElement.style.left = `${this.wipe * 100}%`
+        this.experience.scheduler.invalidate()
+    }
+
+    /**
+     * Views
+     */
+    setLinked(view, linked) {
+        view.linked = linked
+
+        if (linked) {
+            view.controls?.dispose()
+            view.controls = null
+            view.ownCamera = null
+        }
+        else if (!view.controls) {
+            // Its own camera, from where the main one is
+            const main = this.experience.camera
+            view.ownCamera = main.instance.clone(false)
+            view.controls = new OrbitControls(view.ownCamera, view.element)
+            view.controls.enableDamping = true
+            view.controls.target.copy(main.controls?.target ?? main.target)
+            view.controls.update()
+            view.controls.addEventListener('change', () => this.experience.scheduler.invalidate())
+        }
+
+        this.updateControlled(view)
+    }
+
+    // Unlinked views take the pointer over their area, the others let it through to the canvas
+    updateControlled(view) {
+        const controlled = !view.linked && this.layout !== 'wipe'
+        view.element.classList.toggle('is-controlled', controlled)
+        if (view.controls) view.controls.enabled = controlled
+    }
+
+    setOverride(view, name) {
+        view.material?.dispose()
+        view.override = overrides[name] ? name : 'none'
+        view.material = overrides[view.override]()
+        this.experience.scheduler.invalidate()
+    }
+
+    /**
+     * The camera a view renders with, at its aspect
+     */
+    viewCamera(view, aspect) {
+        const main = this.experience.camera.instance
+        let camera = view.ownCamera
+
+        if (view.linked || this.layout === 'wipe') {
+            // A new projection (perspective / orthographic) replaces the copy
+            if (view.camera?.type !== main.type) view.camera = main.clone(false)
+            camera = view.camera.copy(main, false)
+        }
+
+        if (camera.isOrthographicCamera) {
+            const halfHeight = (camera.top - camera.bottom) / 2
+            camera.left = -halfHeight * aspect
+            camera.right = halfHeight * aspect
+        }
+        else {
+            camera.aspect = aspect
+        }
+        camera.updateProjectionMatrix()
+
+        return camera
+    }
+
+    /**
+     * Shadow maps: the materials' programs depend on the type
+     */
+    useShadowType(type) {
+        this.renderer.shadowMap.type = type
+        if (type === this.shadowType) return
+
+        this.shadowType = type
+        this.scene.traverse((child) => {
+            if (!child.material) return
+            const materials = Array.isArray(child.material) ? child.material : [child.material]
+            for (const material of materials) material.needsUpdate = true
+        })
+        for (const view of this.views) {
+            if (view.material) view.material.needsUpdate = true
+        }
+    }
+
+    render() {
+        const { renderer, scene } = this
+        const rects = layouts[this.layout]
+        renderer.getSize(size)
+
+        const saved = {
+            toneMapping: renderer.toneMapping,
+            toneMappingExposure: renderer.toneMappingExposure,
+            shadowType: renderer.shadowMap.type,
+            overrideMaterial: scene.overrideMaterial
+        }
+
+        renderer.setScissorTest(true)
+
+        rects.forEach(([left, top, width, height], index) => {
+            const view = this.views[index]
+
+            // WebGL counts from the bottom
+            const x = left * size.x
+            const y = (1 - top - height) * size.y
+            const w = width * size.x
+            const h = height * size.y
+            renderer.setViewport(x, y, w, h)
+
+            if (this.layout === 'wipe') {
+                const split = this.wipe * size.x
+                if (index === 0) renderer.setScissor(0, 0, split, size.y)
+                else renderer.setScissor(split, 0, size.x - split, size.y)
+            }
+            else {
+                renderer.setScissor(x, y, w, h)
+            }
+
+            renderer.toneMapping = view.toneMapping ?? saved.toneMapping
+            renderer.toneMappingExposure = view.toneMappingExposure ?? saved.toneMappingExposure
+            this.useShadowType(view.shadowType ?? saved.shadowType)
+            scene.overrideMaterial = view.material ?? saved.overrideMaterial
+
+            renderer.render(scene, this.viewCamera(view, w / h))
+        })
+
+        renderer.setScissorTest(false)
+        renderer.setViewport(0, 0, size.x, size.y)
+        renderer.toneMapping = saved.toneMapping
+        renderer.toneMappingExposure = saved.toneMappingExposure
+        renderer.shadowMap.type = saved.shadowType
+        scene.overrideMaterial = saved.overrideMaterial
+    }
+
+    /**
+     * JSON
+     */
+    toJSON() {
+        return {
+            layout: this.layout,
+            wipe: this.wipe,
+            views: this.views.map(({ label, linked, toneMapping, toneMappingExposure, shadowType, override }) => ({
+                label, linked, toneMapping, toneMappingExposure, shadowType, override
+            }))
+        }
+    }
+
+    fromJSON({ layout = this.layout, wipe = this.wipe, views = [] } = {}) {
+        views.forEach(({ label, linked, toneMapping, toneMappingExposure, shadowType, override }, index) => {
+            const view = this.views[index]
+            if (!view) return
+
+            view.label = label
+            view.labelElement.textContent = label
+            view.toneMapping = toneMapping
+            view.toneMappingExposure = toneMappingExposure
+            view.shadowType = shadowType
+            this.setOverride(view, override)
+            this.setLinked(view, linked)
+        })
+
+        this.wipe = wipe
+        this.setLayout(layout)
+        this.folder?.controllersRecursive().forEach((controller) => controller.updateDisplay())
+    }
+
+    setDebug(gui) {
+        const folder = gui.addFolder('Viewports')
+        folder.close()
+        this.folder = folder
+
+        this.layoutController = folder.add(this, 'layout', Viewports.layouts)
+            .onChange((layout) => this.setLayout(layout))
+        folder.add(this, 'wipe', 0, 1, 0.001).listen()
+            .onChange(() => this.updateWipe())
+
+        this.views.forEach((view, index) => {
+            const viewFolder = folder.addFolder(`View ${index + 1}`)
+            viewFolder.close()
+            view.folder = viewFolder
+
+            // Shows the renderer's value while the view has none of its own
+            const { renderer } = this
+            const exposure = {
+                get value() { return view.toneMappingExposure ?? renderer.toneMappingExposure },
+                set value(value) { view.toneMappingExposure = value }
+            }
+
+            viewFolder.add(view, 'label')
+                .onChange((label) => {
+                    view.labelElement.textContent = label
+                })
+            viewFolder.add(view, 'linked').name('linked camera')
+                .onChange((linked) => this.setLinked(view, linked))
+            viewFolder.add(view, 'toneMapping', toneMappings).name('tone mapping')
+            viewFolder.add(exposure, 'value', 0, 10, 0.001).name('exposure').listen()
+            viewFolder.add(view, 'shadowType', shadowTypes).name('shadow map')
+            viewFolder.add(view, 'override', Viewports.overrides).name('material')
+                .onChange((name) => this.setOverride(view, name))
+        })
+    }
+
+    dispose() {
+        this.experience.removeEventListener('destroy', this.onDestroy)
+        this.removeUpdate()
+        if (this.layout !== 'single') this.experience.renderer.renderOverride = null
+        this.useShadowType(this.renderer.shadowMap.type)
+
+        for (const view of this.views) {
+            view.controls?.dispose()
+            view.material?.dispose()
+        }
+        this.element.remove()
+        this.folder?.destroy()
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * WebMWriter
+ *
+ * Minimal WebM muxer for one video track of WebCodecs chunks. Frames carry
+ * their exact timestamps, so the video plays at the recorded frame rate no
+ * matter how long each frame took to render.
+ *
+ * Everything stays in memory and is written at the end, so every element
+ * size is known (no seeking, no unknown-size elements).
+ */
+
+const textEncoder = new TextEncoder()
+
+// Element ID bytes (IDs already include their length marker)
+const idBytes = (id) => {
+    const bytes = []
+    while (id > 0) {
+        bytes.unshift(id & 0xFF)
+        id = Math.floor(id / 256)
+    }
+    return new Uint8Array(bytes)
+}
+
+// Size as an 8-byte vint: always valid, no need to pick the shortest form
+const sizeBytes = (size) => {
+    const bytes = new Uint8Array(8)
+    bytes[0] = 0x01
+    for (let i = 7; i > 0; i--) {
+        bytes[i] = size & 0xFF
+        size = Math.floor(size / 256)
+    }
+    return bytes
+}
+
+const uintBytes = (value) => {
+    const bytes = []
+    do {
+        bytes.unshift(value & 0xFF)
+        value = Math.floor(value / 256)
+    } while (value > 0)
+    return new Uint8Array(bytes)
+}
+
+const floatBytes = (value) => {
+    const view = new DataView(new ArrayBuffer(8))
+    view.setFloat64(0, value)
+    return new Uint8Array(view.buffer)
+}
+
+const partsSize = (parts) => parts.reduce((size, part) => size + part.byteLength, 0)
+
+// An element is a flat list of byte parts: [id, size, ...payload]
+const element = (id, payload) => {
+    const parts = payload instanceof Uint8Array ? [payload] : payload.flat(Infinity)
+    return [idBytes(id), sizeBytes(partsSize(parts)), ...parts]
+}
+
+const uint = (id, value) => element(id, uintBytes(value))
+const float = (id, value) => element(id, floatBytes(value))
+const string = (id, value) => element(id, textEncoder.encode(value))
+
+const codecIds = {
+    vp8: 'V_VP8',
+    vp09: 'V_VP9',
+    av01: 'V_AV1'
+}
+
+export default class WebMWriter {
+    constructor({ width, height, codec = 'vp09' }) {
+        this.width = width
+        this.height = height
+        this.codecId = codecIds[codec.split('.')[0]] ?? 'V_VP9'
+        this.clusters = []
+        this.cluster = null
+        this.duration = 0
+    }
+
+    /**
+     * @param {Uint8Array} data encoded frame
+     * @param {number} timestamp microseconds
+     * @param {boolean} isKey
+     * @param {number} duration microseconds
+     */
+    addFrame(data, timestamp, isKey, duration = 0) {
+        const time = Math.round(timestamp / 1000) // ms
+
+        // New cluster on every keyframe (and before the int16 relative timecode overflows)
+        if (!this.cluster || isKey || time - this.cluster.time > 30000) {
+            this.cluster = { time, blocks: [] }
+            this.clusters.push(this.cluster)
+        }
+
+        const header = new Uint8Array(4)
+        const view = new DataView(header.buffer)
+        header[0] = 0x81 // track number 1 as a vint
+        view.setInt16(1, time - this.cluster.time)
+        header[3] = isKey ? 0x80 : 0x00
+
+        this.cluster.blocks.push(element(0xA3, [header, data]))
+        this.duration = Math.max(this.duration, (timestamp + duration) / 1000)
+    }
+
+    toBlob() {
+        const header = element(0x1A45DFA3, [
+            uint(0x4286, 1), // EBMLVersion
+            uint(0x42F7, 1), // EBMLReadVersion
+            uint(0x42F2, 4), // EBMLMaxIDLength
+            uint(0x42F3, 8), // EBMLMaxSizeLength
+            string(0x4282, 'webm'), // DocType
+            uint(0x4287, 2), // DocTypeVersion
+            uint(0x4285, 2) // DocTypeReadVersion
+        ])
+
+        const info = element(0x1549A966, [
+            uint(0x2AD7B1, 1000000), // TimecodeScale: 1ms
+            string(0x4D80, 'lab-core'), // MuxingApp
+            string(0x5741, 'lab-core'), // WritingApp
+            float(0x4489, this.duration) // Duration (ms)
+        ])
+
+        const tracks = element(0x1654AE6B, [
+            element(0xAE, [ // TrackEntry
+                uint(0xD7, 1), // TrackNumber
+                uint(0x73C5, 1), // TrackUID
+                uint(0x83, 1), // TrackType: video
+                string(0x86, this.codecId), // CodecID
+                element(0xE0, [ // Video
+                    uint(0xB0, this.width), // PixelWidth
+                    uint(0xBA, this.height) // PixelHeight
+                ])
+            ])
+        ])
+
+        const clusters = this.clusters.map(cluster => element(0x1F43B675, [
+            uint(0xE7, cluster.time), // Timecode
+            ...cluster.blocks
+        ]))
+
+        const segment = element(0x18538067, [info, tracks, ...clusters])
+
+        return new Blob([...header, ...segment], { type: 'video/webm' })
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * ZipWriter
+ *
+ * Minimal zip archive (STORE, no compression: PNG frames are already
+ * compressed). Enough for image sequences, no dependency.
+ *
+ * const zip = new ZipWriter()
+ * zip.add('frame_0000.png', new Uint8Array(await blob.arrayBuffer()))
+ * const archive = zip.toBlob()
+ */
+
+const crcTable = new Uint32Array(256).map((_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    return c >>> 0
+})
+
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+    return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+export default class ZipWriter {
+    constructor() {
+        this.parts = []
+        this.entries = []
+        this.offset = 0
+        this.encoder = new TextEncoder()
+    }
+
+    add(name, bytes) {
+        const nameBytes = this.encoder.encode(name)
+        const crc = crc32(bytes)
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30))
+        header.setUint32(0, 0x04034B50, true)
+        header.setUint16(4, 20, true) // version needed
+        header.setUint16(8, 0, true) // method: store
+        header.setUint32(14, crc, true)
+        header.setUint32(18, bytes.length, true) // compressed size
+        header.setUint32(22, bytes.length, true) // uncompressed size
+        header.setUint16(26, nameBytes.length, true)
+
+        this.entries.push({ nameBytes, crc, size: bytes.length, offset: this.offset })
+        this.parts.push(header, nameBytes, bytes)
+        this.offset += 30 + nameBytes.length + bytes.length
+    }
+
+    toBlob() {
+        const directoryOffset = this.offset
+        let directorySize = 0
+        const directory = []
+
+        // Central directory
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46))
+            record.setUint32(0, 0x02014B50, true)
+            record.setUint16(4, 20, true) // version made by
+            record.setUint16(6, 20, true) // version needed
+            record.setUint32(16, entry.crc, true)
+            record.setUint32(20, entry.size, true)
+            record.setUint32(24, entry.size, true)
+            record.setUint16(28, entry.nameBytes.length, true)
+            record.setUint32(42, entry.offset, true)
+
+            directory.push(record, entry.nameBytes)
+            directorySize += 46 + entry.nameBytes.length
+        }
+
+        // End of central directory
+        const end = new DataView(new ArrayBuffer(22))
+        end.setUint32(0, 0x06054B50, true)
+        end.setUint16(8, this.entries.length, true)
+        end.setUint16(10, this.entries.length, true)
+        end.setUint32(12, directorySize, true)
+        end.setUint32(16, directoryOffset, true)
+
+        return new Blob([...this.parts, ...directory, end], { type: 'application/zip' })
+    }
+}
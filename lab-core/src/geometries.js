@@ -0,0 +1,404 @@
+import * as THREE from 'three'
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js'
+
+/**
+ * Procedural geometries
+ *
+ * Indexed BufferGeometries with smooth normals, UVs and tangents (so lit,
+ * textured and normal mapped materials work), all built on one grid of
+ * (u, v) in [0, 1]:
+ *
+ * parametricGeometry({ surface: (u, v, target) => ... })  any surface f(u, v)
+ * superformulaGeometry({ longitude: { m: 6 }, latitude: { m: 3 } })  supershapes
+ * loftGeometry({ path, profile, scale, twist, caps })     a profile swept along a curve
+ * terrainGeometry({ height: (x, z) => ... })              a subdivided heightmap
+ *
+ * Front faces are where ∂P/∂u × ∂P/∂v points (the generators below face
+ * outwards and up). Normals are averaged over vertices sharing a position,
+ * so seams and poles of closed surfaces don't show.
+ *
+ * addGeometryControls(gui, mesh, build, parameters) adds a slider per
+ * parameter and rebuilds the geometry (disposing the old one) on change.
+ */
+
+const pointA = new THREE.Vector3()
+const edgeA = new THREE.Vector3()
+const edgeB = new THREE.Vector3()
+const normal = new THREE.Vector3()
+const tangent = new THREE.Vector3()
+const bitangent = new THREE.Vector3()
+const point = new THREE.Vector3()
+const profilePoint = new THREE.Vector2()
+
+/**
+ * Area weighted face normals, summed over every vertex at the same position
+ */
+const computeNormals = (positions, indices) => {
+    const normals = new Float32Array(positions.length)
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i] * 3
+        const b = indices[i + 1] * 3
+        const c = indices[i + 2] * 3
+        pointA.fromArray(positions, a)
+        edgeA.fromArray(positions, b).sub(pointA)
+        edgeB.fromArray(positions, c).sub(pointA)
+        normal.crossVectors(edgeA, edgeB)
+
+        for (const vertex of [a, b, c]) {
+            normals[vertex] += normal.x
+            normals[vertex + 1] += normal.y
+            normals[vertex + 2] += normal.z
+        }
+    }
+
+    // Seams (u = 0 and u = 1) and poles are the same point several times
+    const groups = new Map()
+    for (let i = 0; i < positions.length; i += 3) {
+        const key = `${Math.round(positions[i] * 1e4)},${Math.round(positions[i + 1] * 1e4)},${Math.round(positions[i + 2] * 1e4)}`
+        const group = groups.get(key)
+        if (group) group.push(i)
+        else groups.set(key, [i])
+    }
+
+    for (const group of groups.values()) {
+        normal.set(0, 0, 0)
+        for (const vertex of group) {
+            normal.x += normals[vertex]
+            normal.y += normals[vertex + 1]
+            normal.z += normals[vertex + 2]
+        }
+        normal.normalize()
+        for (const vertex of group) normal.toArray(normals, vertex)
+    }
+
+    return normals
+}
+
+/**
+ * Along +u in the surface (MikkTSpace-like, per triangle from the UVs), w
+ * the handedness of +v
+ */
+const computeTangents = (positions, normals, uvs, indices) => {
+    const count = positions.length / 3
+    const tangents = new Float32Array(count * 3)
+    const bitangents = new Float32Array(count * 3)
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i]
+        const b = indices[i + 1]
+        const c = indices[i + 2]
+        pointA.fromArray(positions, a * 3)
+        edgeA.fromArray(positions, b * 3).sub(pointA)
+        edgeB.fromArray(positions, c * 3).sub(pointA)
+
+        const du1 = uvs[b * 2] - uvs[a * 2]
+        const dv1 = uvs[b * 2 + 1] - uvs[a * 2 + 1]
+        const du2 = uvs[c * 2] - uvs[a * 2]
+        const dv2 = uvs[c * 2 + 1] - uvs[a * 2 + 1]
+        const determinant = du1 * dv2 - du2 * dv1
+        if (Math.abs(determinant) < 1e-12) continue
+
+        tangent.copy(edgeA).multiplyScalar(dv2).addScaledVector(edgeB, -dv1).divideScalar(determinant)
+        bitangent.copy(edgeB).multiplyScalar(du1).addScaledVector(edgeA, -du2).divideScalar(determinant)
+
+        for (const vertex of [a * 3, b * 3, c * 3]) {
+            tangents[vertex] += tangent.x
+            tangents[vertex + 1] += tangent.y
+            tangents[vertex + 2] += tangent.z
+            bitangents[vertex] += bitangent.x
+            bitangents[vertex + 1] += bitangent.y
+            bitangents[vertex + 2] += bitangent.z
+        }
+    }
+
+    const result = new Float32Array(count * 4)
+    for (let i = 0; i < count; i++) {
+        normal.fromArray(normals, i * 3)
+        tangent.fromArray(tangents, i * 3)
+        bitangent.fromArray(bitangents, i * 3)
+
+        // Gram-Schmidt: perpendicular to the normal
+        tangent.addScaledVector(normal, -normal.dot(tangent))
+        if (tangent.lengthSq() < 1e-12) {
+            // Degenerate (a lone pole vertex): any direction in the plane
+            tangent.set(1, 0, 0).addScaledVector(normal, -normal.x)
+            if (tangent.lengthSq() < 1e-6) tangent.set(0, 1, 0).addScaledVector(normal, -normal.y)
+        }
+        tangent.normalize().toArray(result, i * 4)
+        result[i * 4 + 3] = point.crossVectors(normal, tangent).dot(bitangent) < 0 ? -1 : 1
+    }
+
+    return result
+}
+
+const createGeometry = (positions, normals, uvs, indices) => {
+    const geometry = new THREE.BufferGeometry()
+    geometry.setIndex(indices)
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3))
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2))
+    geometry.setAttribute('tangent', new THREE.BufferAttribute(computeTangents(positions, normals, uvs, indices), 4))
+
+    return geometry
+}
+
+/**
+ * (columns + 1) x (rows + 1) vertices, `sample(u, v, target)` places each one
+ */
+const gridGeometry = (columns, rows, sample) => {
+    columns = Math.max(1, Math.round(columns))
+    rows = Math.max(1, Math.round(rows))
+
+    const positions = new Float32Array((columns + 1) * (rows + 1) * 3)
+    const uvs = new Float32Array((columns + 1) * (rows + 1) * 2)
+    const indices = []
+
+    for (let row = 0; row <= rows; row++) {
+        for (let column = 0; column <= columns; column++) {
+            const i = row * (columns + 1) + column
+            const u = column / columns
+            const v = row / rows
+
+            sample(u, v, point.set(0, 0, 0))
+            point.toArray(positions, i * 3)
+            uvs[i * 2] = u
+            uvs[i * 2 + 1] = v
+        }
+    }
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const a = row * (columns + 1) + column
+            const b = a + 1
+            const c = a + columns + 2
+            const d = a + columns + 1
+            indices.push(a, b, d, b, c, d)
+        }
+    }
+
+    return createGeometry(positions, computeNormals(positions, indices), uvs, indices)
+}
+
+/**
+ * Parametric surface: `surface(u, v, target)` writes the point at (u, v) in
+ * target (the signature of three's ParametricGeometry)
+ */
+export const parametricGeometry = ({ surface, uSegments = 64, vSegments = 32 } = {}) => {
+    return gridGeometry(uSegments, vSegments, surface)
+}
+
+/**
+ * Gielis' superformula: the radius of a 2D supershape at `angle`
+ */
+export const superformula = (angle, { m = 0, n1 = 1, n2 = 1, n3 = 1, a = 1, b = 1 } = {}) => {
+    const t = m * angle / 4
+    const sum = Math.abs(Math.cos(t) / a) ** n2 + Math.abs(Math.sin(t) / b) ** n3
+    const radius = sum ** (-1 / n1)
+
+    return Number.isFinite(radius) ? radius : 0
+}
+
+/**
+ * 3D supershape: the spherical product of two superformulas, `longitude`
+ * around the y axis (u) and `latitude` from the south pole to the north (v)
+ */
+export const superformulaGeometry = ({
+    longitude = {},
+    latitude = {},
+    radius = 1,
+    segments = 128
+} = {}) => {
+    return gridGeometry(segments, Math.ceil(segments / 2), (u, v, target) => {
+        const theta = (u - 0.5) * Math.PI * 2
+        const phi = (v - 0.5) * Math.PI
+        const r1 = superformula(theta, longitude)
+        const r2 = superformula(phi, latitude)
+
+        target.set(
+            r1 * Math.cos(theta) * r2 * Math.cos(phi),
+            r2 * Math.sin(phi),
+            -r1 * Math.sin(theta) * r2 * Math.cos(phi)
+        ).multiplyScalar(radius)
+    })
+}
+
+const circle = (v, t, target) => target.set(Math.cos(v * Math.PI * 2), Math.sin(v * Math.PI * 2))
+
+/**
+ * Loft: `profile` swept along `path` (a Curve3), u around the profile, v
+ * along the path.
+ * - profile: a 2D Curve (Shape, Path, EllipseCurve...) or
+ *   `(v, t, target) => target.set(x, y)`, t along the path (morphing
+ *   profiles); a circle of `radius` by default
+ * - scale: a number or `(t) => number`; twist: radians over the whole path
+ * - caps: close both ends of an open path (flat, for closed profiles)
+ */
+export const loftGeometry = ({
+    path,
+    profile = null,
+    radius = 0.25,
+    scale = 1,
+    twist = 0,
+    pathSegments = 128,
+    profileSegments = 32,
+    closed = path.closed ?? false,
+    caps = false
+} = {}) => {
+    pathSegments = Math.max(1, Math.round(pathSegments))
+    profileSegments = Math.max(3, Math.round(profileSegments))
+
+    const sampleProfile = typeof profile === 'function' ? profile
+        : profile ? (u, t, target) => profile.getPoint(u, target)
+        : circle
+    const scaleAt = typeof scale === 'function' ? scale : () => scale
+
+    // Profile points at `t`, in order
+    const outlineAt = (t) => {
+        const outline = []
+        for (let i = 0; i < profileSegments; i++) outline.push(sampleProfile(i / profileSegments, t, new THREE.Vector2()))
+        return outline
+    }
+
+    // Counter-clockwise profiles face outwards: flip clockwise ones
+    const clockwise = THREE.ShapeUtils.isClockWise(outlineAt(0))
+
+    const frames = path.computeFrenetFrames(pathSegments, closed)
+    const center = new THREE.Vector3()
+
+    // Profile point at path segment `index`, in world space
+    const place = ({ x, y }, index, target) => {
+        const t = index / pathSegments
+        const angle = twist * t
+        const size = scaleAt(t) * (profile ? 1 : radius)
+
+        return target.copy(path.getPointAt(t, center))
+            .addScaledVector(frames.normals[index], (x * Math.cos(angle) - y * Math.sin(angle)) * size)
+            .addScaledVector(frames.binormals[index], (x * Math.sin(angle) + y * Math.cos(angle)) * size)
+    }
+
+    const side = gridGeometry(profileSegments, pathSegments, (u, v, target) => {
+        const index = Math.round(v * pathSegments)
+        sampleProfile(clockwise ? 1 - u : u, index / pathSegments, profilePoint)
+
+        return place(profilePoint, index, target)
+    })
+    if (!caps || closed) return side
+
+    const cap = (index, direction) => {
+        const outline = outlineAt(index / pathSegments)
+        const ring = outline.map((vertex) => place(vertex, index, new THREE.Vector3()))
+        const faces = THREE.ShapeUtils.triangulateShape(outline, [])
+
+        // UVs: the profile's bounding box
+        const box = new THREE.Box2().setFromPoints(outline)
+        const extent = box.getSize(new THREE.Vector2())
+        const positions = new Float32Array(ring.length * 3)
+        const normals = new Float32Array(ring.length * 3)
+        const uvs = new Float32Array(ring.length * 2)
+        normal.copy(frames.tangents[index]).multiplyScalar(direction)
+
+        ring.forEach((vertex, i) => {
+            vertex.toArray(positions, i * 3)
+            normal.toArray(normals, i * 3)
+            uvs[i * 2] = (outline[i].x - box.min.x) / (extent.x || 1)
+            uvs[i * 2 + 1] = (outline[i].y - box.min.y) / (extent.y || 1)
+        })
+
+        const indices = []
+        for (const [a, b, c] of faces) {
+            // Wound towards the cap's normal, whatever the triangulation did
+            edgeA.subVectors(ring[b], ring[a])
+            edgeB.subVectors(ring[c], ring[a])
+            if (point.crossVectors(edgeA, edgeB).dot(normal) < 0) indices.push(a, c, b)
+            else indices.push(a, b, c)
+        }
+
+        return createGeometry(positions, normals, uvs, indices)
+    }
+
+    const start = cap(0, -1)
+    const end = cap(pathSegments, 1)
+    const geometry = mergeGeometries([side, start, end])
+    side.dispose()
+    start.dispose()
+    end.dispose()
+
+    return geometry
+}
+
+/**
+ * Terrain: a `width` x `depth` plane on xz, centered, `height(x, z)` lifting
+ * each vertex. UVs like a PlaneGeometry rotated flat (v = 1 at -z).
+ */
+export const terrainGeometry = ({
+    height = () => 0,
+    width = 10,
+    depth = 10,
+    widthSegments = 128,
+    depthSegments = 128
+} = {}) => {
+    return gridGeometry(widthSegments, depthSegments, (u, v, target) => {
+        const x = (u - 0.5) * width
+        const z = (0.5 - v) * depth
+
+        target.set(x, height(x, z), z)
+    })
+}
+
+// [min, max, step] of the GUI sliders, by parameter name
+const ranges = {
+    segments: [3, 512, 1],
+    uSegments: [1, 512, 1],
+    vSegments: [1, 512, 1],
+    pathSegments: [1, 512, 1],
+    profileSegments: [3, 128, 1],
+    widthSegments: [1, 512, 1],
+    depthSegments: [1, 512, 1],
+    radius: [0.01, 5, 0.01],
+    scale: [0.01, 5, 0.01],
+    twist: [-Math.PI * 4, Math.PI * 4, 0.01],
+    width: [1, 100, 0.1],
+    depth: [1, 100, 0.1],
+    m: [0, 20, 0.01],
+    n1: [0.01, 20, 0.01],
+    n2: [0, 20, 0.01],
+    n3: [0, 20, 0.01],
+    a: [0.1, 2, 0.01],
+    b: [0.1, 2, 0.01]
+}
+
+/**
+ * GUI folder for a generator: numbers (sliders, see `ranges`), booleans,
+ * strings and nested objects (a subfolder each). `options` gives a string
+ * its choices, or a number its own [min, max, step]; `onChange` gets the
+ * new geometry (lil-gui keeps one onFinishChange per folder: this one).
+ * Any change rebuilds `mesh.geometry` with `build(parameters)`, the old one
+ * disposed.
+ *
+ * const parameters = { longitude: { m: 6, n1: 1, n2: 1, n3: 1 }, segments: 128 }
+ * const mesh = new THREE.Mesh(superformulaGeometry(parameters), material)
+ * addGeometryControls(gui, mesh, superformulaGeometry, parameters, { title: 'Supershape' })
+ */
+export const addGeometryControls = (gui, mesh, build, parameters, { title = 'Geometry', options = {}, onChange = null } = {}) => {
+    const folder = gui.addFolder(title)
+
+    const addControls = (folder, object) => {
+        for (const [key, value] of Object.entries(object)) {
+            if (typeof value === 'number') folder.add(object, key, ...(options[key] ?? ranges[key] ?? []))
+            else if (typeof value === 'boolean') folder.add(object, key)
+            else if (typeof value === 'string' && options[key]) folder.add(object, key, options[key])
+            else if (value?.constructor === Object) addControls(folder.addFolder(key), value)
+        }
+    }
+    addControls(folder, parameters)
+
+    // Like a subdivision slider: rebuild when the value is set, not on every drag step
+    folder.onFinishChange(() => {
+        mesh.geometry.dispose()
+        mesh.geometry = build(parameters)
+        onChange?.(mesh.geometry)
+    })
+
+    return folder
+}
@@ -0,0 +1,21 @@
+export { default as Experience } from './Experience.js'
+export { default as Sizes } from './Sizes.js'
+export { default as Time } from './Time.js'
+export { default as Camera } from './Camera.js'
+export { default as CursorOrbitControls } from './CursorOrbitControls.js'
+export { default as CameraPath } from './CameraPath.js'
+export { default as Renderer } from './Renderer.js'
+export { default as Debug } from './Debug.js'
+export { default as Resources, resolvePath } from './Resources.js'
+export { default as Random } from './Random.js'
+export { default as Seed } from './Seed.js'
+export { default as Recorder } from './Recorder.js'
+export { default as Presets } from './Presets.js'
+export { default as LoadingOverlay } from './LoadingOverlay.js'
+export { default as Perf } from './Perf.js'
+export { default as LeakTracker } from './LeakTracker.js'
+export { default as Quality } from './Quality.js'
+export { default as Scheduler } from './Scheduler.js'
+export { default as Viewports } from './Viewports.js'
+export { parametricGeometry, superformulaGeometry, superformula, loftGeometry, terrainGeometry, addGeometryControls } from './geometries.js'
+export { sampleImage, sampleCanvasText, sampleMesh, sampleTextGeometry, sampleSphere, fitPoints } from './pointSets.js'
@@ -0,0 +1,132 @@
+import * as THREE from 'three'
+
+/**
+ * Placeholders
+ *
+ * Procedural stand-ins for sources that failed to load, so a fresh clone
+ * without the heavy assets still shows a scene instead of a blank canvas.
+ * Every stand-in is obviously fake (magenta checker, "missing" label) and
+ * flagged with `userData.placeholder = true`.
+ */
+
+const label = (path) => `missing: ${path.split('/').pop() || path}`
+
+const checkerCanvas = (text, size = 256) => {
+    const canvas = document.createElement('canvas')
+    canvas.width = size
+    canvas.height = size
+    const context = canvas.getContext('2d')
+
+    const cells = 8
+    const cell = size / cells
+    for (let y = 0; y < cells; y++) {
+        for (let x = 0; x < cells; x++) {
+            context.fillStyle = (x + y) % 2 ? '#ff00ff' : '#1a001a'
+            context.fillRect(x * cell, y * cell, cell, cell)
+        }
+    }
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.75)'
+    context.fillRect(0, size * 0.42, size, size * 0.16)
+    context.fillStyle = '#ffffff'
+    context.font = `bold ${Math.round(size * 0.06)}px monospace`
+    context.textAlign = 'center'
+    context.textBaseline = 'middle'
+    context.fillText(text, size * 0.5, size * 0.5, size * 0.95)
+
+    return canvas
+}
+
+const mark = (object, source) => {
+    object.userData.placeholder = true
+    object.userData.source = source.path
+    return object
+}
+
+export const checkerTexture = (source) => {
+    const texture = new THREE.CanvasTexture(checkerCanvas(label(String(source.path))))
+    texture.colorSpace = THREE.SRGBColorSpace
+    texture.wrapS = THREE.RepeatWrapping
+    texture.wrapT = THREE.RepeatWrapping
+    return mark(texture, source)
+}
+
+// Six labelled checker faces
+export const checkerCubeTexture = (source) => {
+    const paths = Array.isArray(source.path) ? source.path : [source.path]
+    const images = Array.from({ length: 6 }, (_, index) => checkerCanvas(label(String(paths[index] ?? paths[0]))))
+
+    const texture = new THREE.CubeTexture(images)
+    texture.colorSpace = THREE.SRGBColorSpace
+    texture.needsUpdate = true
+    return mark(texture, source)
+}
+
+// Equirectangular sky / horizon / ground gradient, in HDR range like RGBELoader output
+export const gradientEnvironment = (source, width = 64, height = 32) => {
+    const data = new Float32Array(width * height * 4)
+    const sky = new THREE.Color(0.6, 0.75, 1.2)
+    const horizon = new THREE.Color(2, 1.6, 1.2)
+    const ground = new THREE.Color(0.15, 0.12, 0.1)
+    const color = new THREE.Color()
+
+    for (let y = 0; y < height; y++) {
+        // Rows go from the bottom (ground) to the top (sky)
+        const v = y / (height - 1)
+        if (v > 0.5) color.lerpColors(horizon, sky, (v - 0.5) * 2)
+        else color.lerpColors(ground, horizon, Math.pow(v * 2, 4))
+
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4
+            // Magenta stripes mark it as a stand-in in reflections
+            const stripe = x % 16 < 2 ? 1.5 : 1
+            data[index] = color.r * stripe
+            data[index + 1] = color.g
+            data[index + 2] = color.b * stripe
+            data[index + 3] = 1
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType)
+    texture.mapping = THREE.EquirectangularReflectionMapping
+    texture.magFilter = THREE.LinearFilter
+    texture.minFilter = THREE.LinearFilter
+    texture.needsUpdate = true
+    return mark(texture, source)
+}
+
+// Same shape as a GLTFLoader result, with a checker torus knot as the scene
+export const primitiveGltf = (source) => {
+    const mesh = new THREE.Mesh(
+        new THREE.TorusKnotGeometry(0.5, 0.18, 128, 16),
+        new THREE.MeshStandardMaterial({ map: checkerTexture(source), roughness: 0.6 })
+    )
+    mesh.name = label(String(source.path))
+    mesh.position.y = 0.7
+
+    const scene = mark(new THREE.Group(), source)
+    scene.name = 'placeholder'
+    scene.add(mesh)
+
+    return {
+        scene,
+        scenes: [scene],
+        animations: [],
+        cameras: [],
+        asset: {},
+        parser: null,
+        userData: { placeholder: true, source: source.path }
+    }
+}
+
+const factories = {
+    texture: checkerTexture,
+    cubeTexture: checkerCubeTexture,
+    rgbe: gradientEnvironment,
+    gltf: primitiveGltf
+}
+
+/**
+ * Stand-in for a source, or null when its type has none (fonts)
+ */
+export const createPlaceholder = (source) => factories[source.type]?.(source) ?? null
@@ -0,0 +1,185 @@
+import * as THREE from 'three'
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js'
+import { TextGeometry } from 'three/addons/geometries/TextGeometry.js'
+import Random from './Random.js'
+
+/**
+ * Point sets
+ *
+ * Samplers returning `count` points (Float32Array, xyz) spread over a
+ * shape: the targets of a ParticleMorph, or spawn points for any particle
+ * system. Each takes a `random` (a seeded stream: same seed, same points).
+ *
+ * sampleImage(image, count, { width })       bright, opaque pixels of an image
+ * sampleCanvasText('Hello', count)           a headline drawn on a canvas
+ * sampleTextGeometry('Hello', count, { font })  surface of a 3D TextGeometry
+ * sampleMesh(gltf.scene, count, { fit: 3 })  surface of every mesh of an object
+ * sampleSphere(count, { radius })            a cloud, the "dissolved" state
+ */
+
+const defaultRandom = () => new Random('point-sets')
+
+/**
+ * Pixels weighted by luminance x alpha (over `threshold`), centered,
+ * `width` units wide, `depth` units of jitter along z
+ */
+export const sampleImage = (image, count, { width = 4, threshold = 0.5, depth = 0, maxResolution = 512, random = defaultRandom() } = {}) => {
+    const canvas = document.createElement('canvas')
+    const scale = Math.min(1, maxResolution / Math.max(image.width, image.height))
+    canvas.width = Math.max(1, Math.round(image.width * scale))
+    canvas.height = Math.max(1, Math.round(image.height * scale))
+
+    const context = canvas.getContext('2d', { willReadFrequently: true })
+    context.drawImage(image, 0, 0, canvas.width, canvas.height)
+    const { data } = context.getImageData(0, 0, canvas.width, canvas.height)
+
+    const pixels = []
+    for (let i = 0; i < canvas.width * canvas.height; i++) {
+        const luminance = (data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114) / 255
+        if (luminance * (data[i * 4 + 3] / 255) > threshold) pixels.push(i)
+    }
+
+    const points = new Float32Array(count * 3)
+    if (pixels.length === 0) {
+        console.warn('[lab-core] sampleImage: no pixel over the threshold, every point at the center')
+        return points
+    }
+
+    const unit = width / canvas.width
+    for (let i = 0; i < count; i++) {
+        const pixel = random.pick(pixels)
+        const x = pixel % canvas.width + random.next()
+        const y = Math.floor(pixel / canvas.width) + random.next()
+
+        points[i * 3] = (x - canvas.width / 2) * unit
+        points[i * 3 + 1] = (canvas.height / 2 - y) * unit
+        points[i * 3 + 2] = random.centered() * depth
+    }
+
+    return points
+}
+
+/**
+ * A line of text drawn on a canvas (any CSS font), sampled like an image
+ */
+export const sampleCanvasText = (text, count, { font = 'bold 160px sans-serif', width = 4, depth = 0, random } = {}) => {
+    const canvas = document.createElement('canvas')
+    const context = canvas.getContext('2d')
+    context.font = font
+
+    const metrics = context.measureText(text)
+    const height = Math.ceil(metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent)
+    canvas.width = Math.ceil(metrics.width) + 20
+    canvas.height = height + 20
+
+    // Resizing the canvas resets the context
+    context.font = font
+    context.fillStyle = '#ffffff'
+    context.textBaseline = 'alphabetic'
+    context.fillText(text, 10, 10 + metrics.actualBoundingBoxAscent)
+
+    return sampleImage(canvas, count, { width, depth, random, maxResolution: 1024 })
+}
+
+/**
+ * Surface of every mesh under `object` (a gltf.scene, a Mesh...), in the
+ * object's space, area weighted across meshes. `fit`: scale the result so
+ * its largest side is `fit` units, centered on the origin.
+ */
+export const sampleMesh = (object, count, { fit = null, random = defaultRandom() } = {}) => {
+    object.updateWorldMatrix(true, true)
+    const toObject = new THREE.Matrix4().copy(object.matrixWorld).invert()
+    const matrix = new THREE.Matrix4()
+
+    // Every mesh in one non-indexed triangle soup, so the sampler weights them all by area
+    const arrays = []
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry.attributes.position) return
+
+        const geometry = (child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone())
+        geometry.applyMatrix4(matrix.multiplyMatrices(toObject, child.matrixWorld))
+        arrays.push(geometry.attributes.position.array)
+        geometry.dispose()
+    })
+
+    const points = new Float32Array(count * 3)
+    if (arrays.length === 0) {
+        console.warn('[lab-core] sampleMesh: no mesh to sample, every point at the center')
+        return points
+    }
+
+    const positions = new Float32Array(arrays.reduce((total, array) => total + array.length, 0))
+    arrays.reduce((offset, array) => {
+        positions.set(array, offset)
+        return offset + array.length
+    }, 0)
+
+    const soup = new THREE.BufferGeometry()
+    soup.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+
+    const sampler = new MeshSurfaceSampler(new THREE.Mesh(soup))
+        .setRandomGenerator(() => random.next())
+        .build()
+
+    const point = new THREE.Vector3()
+    for (let i = 0; i < count; i++) {
+        sampler.sample(point)
+        point.toArray(points, i * 3)
+    }
+    soup.dispose()
+
+    if (fit !== null) fitPoints(points, fit)
+
+    return points
+}
+
+/**
+ * Surface of a TextGeometry (`font` from FontLoader / resources), centered
+ */
+export const sampleTextGeometry = (text, count, { font, size = 1, depth = 0.2, curveSegments = 6, bevelEnabled = false, random } = {}) => {
+    const geometry = new TextGeometry(text, { font, size, depth, curveSegments, bevelEnabled })
+    geometry.center()
+
+    const points = sampleMesh(new THREE.Mesh(geometry), count, { random })
+    geometry.dispose()
+
+    return points
+}
+
+/**
+ * Uniform inside a sphere (or a shell: `innerRadius`)
+ */
+export const sampleSphere = (count, { radius = 3, innerRadius = 0, random = defaultRandom() } = {}) => {
+    const points = new Float32Array(count * 3)
+
+    for (let i = 0; i < count; i++) {
+        // Cube root: uniform over the volume, not bunched at the center
+        const r = Math.cbrt(THREE.MathUtils.lerp((innerRadius / radius) ** 3, 1, random.next())) * radius
+        const theta = random.next() * Math.PI * 2
+        const phi = Math.acos(2 * random.next() - 1)
+
+        points[i * 3] = r * Math.sin(phi) * Math.cos(theta)
+        points[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta)
+        points[i * 3 + 2] = r * Math.cos(phi)
+    }
+
+    return points
+}
+
+/**
+ * Centers points on the origin and scales their largest side to `size`
+ */
+export const fitPoints = (points, size) => {
+    const box = new THREE.Box3().setFromArray(points)
+    const center = box.getCenter(new THREE.Vector3())
+    const dimensions = box.getSize(new THREE.Vector3())
+    const scale = size / (Math.max(dimensions.x, dimensions.y, dimensions.z) || 1)
+
+    for (let i = 0; i < points.length; i += 3) {
+        points[i] = (points[i] - center.x) * scale
+        points[i + 1] = (points[i + 1] - center.y) * scale
+        points[i + 2] = (points[i + 2] - center.z) * scale
+    }
+
+    return points
+}